@@ -3,28 +3,71 @@ import Scene from './components/Scene'
 import Panel from './ui/Panel'
 import InstructionsModal from './ui/InstructionsModal'
 import PhysicsDropdown from './ui/PhysicsDropdown'
+import ProjectManager from './ui/ProjectManager'
+import ShareDropdown from './ui/ShareDropdown'
+import ExportDropdown from './ui/ExportDropdown'
 import useMobileStore from './store/mobileStore'
 import { getUnitSystem, setUnitSystem, subscribeToUnitSystem } from './config/units'
+import { isShareHash } from './utils/shareLink'
+import { formatProblems } from './models/mobileSchema'
 
 const INSTRUCTIONS_SEEN_KEY = 'calder-instructions-seen'
 
+// Tell the user which fields of a loaded design were clamped or reset
+function reportImportWarnings(warnings) {
+  if (warnings?.length > 0) {
+    alert(`Some values were adjusted to load this design:\n${formatProblems(warnings)}`)
+  }
+}
+
 export default function App() {
   const orbitControlsEnabled = useMobileStore((state) => state.orbitControlsEnabled)
   const toggleOrbitControls = useMobileStore((state) => state.toggleOrbitControls)
   const viewMode = useMobileStore((state) => state.viewMode)
   const toggleViewMode = useMobileStore((state) => state.toggleViewMode)
-  const exportMobileJSON = useMobileStore((state) => state.exportMobileJSON)
   const importMobileJSON = useMobileStore((state) => state.importMobileJSON)
+  const undo = useMobileStore((state) => state.undo)
+  const redo = useMobileStore((state) => state.redo)
+  const projectName = useMobileStore((state) => state.projectName)
+  const projectSaveStatus = useMobileStore((state) => state.projectSaveStatus)
+  const initProjects = useMobileStore((state) => state.initProjects)
+  const openShareLink = useMobileStore((state) => state.openShareLink)
+  const canUndo = useMobileStore((state) => state.past.length > 0 && !state.isAnimating)
+  const canRedo = useMobileStore((state) => state.future.length > 0 && !state.isAnimating)
   const fileInputRef = useRef(null)
   const [unitSystem, setUnitSystemState] = useState(getUnitSystem())
   const [showInstructions, setShowInstructions] = useState(() => {
     return localStorage.getItem(INSTRUCTIONS_SEEN_KEY) !== 'true'
   })
+  const [showProjects, setShowProjects] = useState(false)
   
   useEffect(() => {
     return subscribeToUnitSystem(setUnitSystemState)
   }, [])
   
+  // Reopen the last project from local storage, then open a design link if the
+  // page was loaded from one (or one is pasted into the address bar later)
+  useEffect(() => {
+    const openLinkFromHash = async () => {
+      const hash = window.location.hash.slice(1)
+      if (!isShareHash(hash)) return
+      
+      // Drop the design from the address bar so a reload doesn't open it again
+      window.history.replaceState(null, '', window.location.pathname + window.location.search)
+      
+      const result = await openShareLink(hash)
+      if (!result.success) {
+        alert(`Could not open shared design: ${result.error}`)
+      } else {
+        reportImportWarnings(result.warnings)
+      }
+    }
+    
+    initProjects().then(openLinkFromHash)
+    window.addEventListener('hashchange', openLinkFromHash)
+    return () => window.removeEventListener('hashchange', openLinkFromHash)
+  }, [initProjects, openShareLink])
+  
   const handleCloseInstructions = () => {
     localStorage.setItem(INSTRUCTIONS_SEEN_KEY, 'true')
     setShowInstructions(false)
@@ -54,6 +97,8 @@ export default function App() {
         const result = importMobileJSON(json)
         if (!result.success) {
           alert(`Import failed: ${result.error}`)
+        } else {
+          reportImportWarnings(result.warnings)
         }
       } catch (err) {
         alert('Invalid JSON file')
@@ -153,17 +198,50 @@ export default function App() {
           
           <div className="io-controls">
             <button 
-              className="io-toggle export"
-              onClick={exportMobileJSON}
-              title="Export mobile as JSON"
+              className="io-toggle history"
+              onClick={undo}
+              disabled={!canUndo}
+              title="Undo (Ctrl+Z)"
             >
               <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
-                <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" />
-                <polyline points="7 10 12 15 17 10" />
-                <line x1="12" y1="15" x2="12" y2="3" />
+                <polyline points="9 14 4 9 9 4" />
+                <path d="M20 20v-7a4 4 0 0 0-4-4H4" />
+              </svg>
+              <span>Undo</span>
+            </button>
+            
+            <button 
+              className="io-toggle history"
+              onClick={redo}
+              disabled={!canRedo}
+              title="Redo (Ctrl+Shift+Z)"
+            >
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                <polyline points="15 14 20 9 15 4" />
+                <path d="M4 20v-7a4 4 0 0 1 4-4h12" />
+              </svg>
+              <span>Redo</span>
+            </button>
+          </div>
+          
+          <div className="io-controls">
+            <button 
+              className={`io-toggle projects ${projectSaveStatus === 'error' ? 'error' : ''}`}
+              onClick={() => setShowProjects(true)}
+              title={projectSaveStatus === 'error' ? 'Projects (not saved - storage unavailable)' : 'Projects (saved automatically)'}
+            >
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                <path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z" />
               </svg>
-              <span>Export</span>
+              <span className="project-name-label">{projectName}</span>
+              {projectSaveStatus === 'saving' && <span className="save-status">Saving…</span>}
             </button>
+          </div>
+          
+          <div className="io-controls">
+            <ShareDropdown />
+            
+            <ExportDropdown />
             
             <button 
               className="io-toggle import"
@@ -193,6 +271,10 @@ export default function App() {
         isOpen={showInstructions} 
         onClose={handleCloseInstructions} 
       />
+      <ProjectManager
+        isOpen={showProjects}
+        onClose={() => setShowProjects(false)}
+      />
     </div>
   )
 }
@@ -3,33 +3,54 @@ import { useFrame } from '@react-three/fiber'
 import * as THREE from 'three'
 import useMobileStore from '../store/mobileStore'
 import PivotHandle from './PivotHandle'
-import { calculateTiltAngle, calculateBalanceRatio, getBalanceColor } from '../physics/balanceSolver'
+import LockIcon from './LockIcon'
+import { calculateArmEquilibrium, getBalanceColor } from '../physics/balanceSolver'
+import { analyzeArmSensitivity, getSensitivityColor } from '../physics/sensitivity'
 import { DEFAULT_WIRE_LENGTH } from './Mobile'
+import { getChildren, getAttachPosition, isNodeLocked } from '../models/mobileTree'
+import { getArmLocalPath, getArmLocalPoint } from '../models/armGeometry'
 
-export default function Arm({ node, position, parentRotation = 0, yawAngle = 0 }) {
+// Build a tube following the rod's centreline (points relative to the pivot)
+// Straight rods are a single segment; bent rods follow their polyline or sampled curve
+export function createArmTubeGeometry(path, radius) {
+  const curve = new THREE.CurvePath()
+  for (let i = 1; i < path.length; i++) {
+    curve.add(new THREE.LineCurve3(
+      new THREE.Vector3(path[i - 1].x, path[i - 1].y, 0),
+      new THREE.Vector3(path[i].x, path[i].y, 0)
+    ))
+  }
+  
+  const tubularSegments = Math.max(16, (path.length - 1) * 4)
+  return new THREE.TubeGeometry(curve, tubularSegments, radius, 12, false)
+}
+
+// `position` is the rod's pivot; `tiltAngle` the arm's equilibrium angle
+export default function Arm({ node, position, tiltAngle = 0, yawAngle = 0 }) {
   const groupRef = useRef()
   const meshRef = useRef()
   
   const selectedId = useMobileStore((state) => state.selectedId)
   const setSelected = useMobileStore((state) => state.setSelected)
+  const showSensitivityMap = useMobileStore((state) => state.showSensitivityMap)
   
   const isSelected = selectedId === node.id
   
-  // Calculate balance state
-  const tiltAngle = useMemo(() => calculateTiltAngle(node), [node])
-  const balanceRatio = useMemo(() => calculateBalanceRatio(node), [node])
-  const balanceColor = useMemo(() => getBalanceColor(balanceRatio), [balanceRatio])
-  
-  // Total rotation including parent and own tilt
-  const totalRotation = parentRotation + tiltAngle
-  
-  // Calculate arm endpoints
-  const leftDistance = node.pivotPosition * node.length
-  const rightDistance = (1 - node.pivotPosition) * node.length
+  // Color follows how far the real equilibrium tilt is from the arm's target
+  // angle (level by default), or with the sensitivity heat map on, how far
+  // manufacturing errors could tip it
+  const equilibrium = useMemo(() => calculateArmEquilibrium(node), [node])
+  const balanceColor = useMemo(() => {
+    if (showSensitivityMap) {
+      return getSensitivityColor(analyzeArmSensitivity(node).toleranceTilt)
+    }
+    return getBalanceColor(equilibrium.deviationDegrees, equilibrium.unstable)
+  }, [equilibrium, node, showSensitivityMap])
   
-  // Offset needed to position arm so pivot is at correct location along its length
-  // When pivot is at center (0.5), offset is 0. Otherwise, arm shifts accordingly.
-  const armCenterOffset = (0.5 - node.pivotPosition) * node.length
+  // Rod centreline relative to the pivot, so the pivot sits at the group origin
+  const armPath = useMemo(() => getArmLocalPath(node), [node])
+  const rodGeometry = useMemo(() => createArmTubeGeometry(armPath, 0.06), [armPath])
+  const selectionGeometry = useMemo(() => createArmTubeGeometry(armPath, 0.1), [armPath])
   
   // Animate arm color smoothly
   useFrame(() => {
@@ -46,7 +67,7 @@ export default function Arm({ node, position, parentRotation = 0, yawAngle = 0 }
     setSelected(node.id)
   }
   
-  // The arm visual: a thin cylinder/box rotated and positioned
+  // The arm visual: a thin tube along the rod's (possibly bent) centreline
   // Pivot is at `position`, arm extends left and right from there
   
   // Use the arm's wireLength property (fallback for backwards compatibility)
@@ -54,26 +75,24 @@ export default function Arm({ node, position, parentRotation = 0, yawAngle = 0 }
   
   return (
     <group ref={groupRef} position={[position.x, position.y, position.z || 0]}>
-      {/* Wire connecting to parent - OUTSIDE the rotated group to stay vertical */}
-      <mesh position={[0, wireLength / 2, 0]}>
-        <cylinderGeometry args={[0.02, 0.02, wireLength, 8]} />
-        <meshStandardMaterial color="#71717a" metalness={0.6} roughness={0.4} />
-      </mesh>
-      
       {/* Yaw rotation group - rotates the entire arm around Y axis */}
       <group rotation={[0, yawAngle, 0]}>
         {/* Tilt rotation group - rotates the arm for balance */}
-        <group rotation={[0, 0, totalRotation]}>
+        <group rotation={[0, 0, tiltAngle]}>
+          {/* Wire connecting to parent - stiff, so it tilts with the arm */}
+          <mesh position={[0, wireLength / 2, 0]}>
+            <cylinderGeometry args={[0.02, 0.02, wireLength, 8]} />
+            <meshStandardMaterial color="#71717a" metalness={0.6} roughness={0.4} />
+          </mesh>
+          
           {/* Arm rod */}
           <mesh 
             ref={meshRef}
+            geometry={rodGeometry}
             onClick={handleClick}
-            position={[armCenterOffset, 0, 0]}
-            rotation={[0, 0, Math.PI / 2]}
             castShadow
             receiveShadow
           >
-            <cylinderGeometry args={[0.06, 0.06, node.length, 16]} />
             <meshStandardMaterial 
               color={new THREE.Color(balanceColor.r, balanceColor.g, balanceColor.b)}
               metalness={0.7}
@@ -81,29 +100,30 @@ export default function Arm({ node, position, parentRotation = 0, yawAngle = 0 }
             />
           </mesh>
           
-          {/* Left endpoint marker */}
-          <mesh position={[-leftDistance, 0, 0]}>
-            <sphereGeometry args={[0.08, 12, 12]} />
-            <meshStandardMaterial color="#a1a1aa" metalness={0.5} roughness={0.4} />
-          </mesh>
-          
-          {/* Right endpoint marker */}
-          <mesh position={[rightDistance, 0, 0]}>
-            <sphereGeometry args={[0.08, 12, 12]} />
-            <meshStandardMaterial color="#a1a1aa" metalness={0.5} roughness={0.4} />
-          </mesh>
+          {/* Hanging point markers - one per child, at its attachment point */}
+          {getChildren(node).map(child => {
+            const point = getArmLocalPoint(node, getAttachPosition(child))
+            return (
+              <mesh key={child.id} position={[point.x, point.y, 0]}>
+                <sphereGeometry args={[0.08, 12, 12]} />
+                <meshStandardMaterial color="#a1a1aa" metalness={0.5} roughness={0.4} />
+              </mesh>
+            )
+          })}
           
           {/* Pivot handle (draggable) */}
           <PivotHandle 
             arm={node} 
             armWorldPosition={position}
-            armRotation={totalRotation}
+            armRotation={tiltAngle}
           />
           
+          {/* Lock badge beside the pivot */}
+          {isNodeLocked(node) && <LockIcon position={[0.3, 0.2, 0]} />}
+          
           {/* Selection indicator */}
           {isSelected && (
-            <mesh position={[armCenterOffset, 0, 0]} rotation={[0, 0, Math.PI / 2]}>
-              <cylinderGeometry args={[0.1, 0.1, node.length + 0.1, 16]} />
+            <mesh geometry={selectionGeometry}>
               <meshBasicMaterial color="#3b82f6" transparent opacity={0.3} />
             </mesh>
           )}
@@ -1,31 +1,40 @@
 import React, { useRef, useMemo, useEffect, useState } from 'react'
-import { useFrame } from '@react-three/fiber'
-import { useGLTF } from '@react-three/drei'
+import { useFrame, useThree } from '@react-three/fiber'
 import * as THREE from 'three'
 import useMobileStore from '../store/mobileStore'
 import { getModelById } from '../config/models'
+import { useModelScene, preloadModelScene } from '../utils/modelLoaders'
 import { analyzeGLTFScene, estimateMassFromVolume, computeAttachmentOffset } from '../utils/glbAnalyzer'
 import { DEFAULT_WIRE_LENGTH } from './Mobile'
+import LockIcon from './LockIcon'
+import { isRigidMount, isNodeLocked } from '../models/mobileTree'
+import { hasAttachmentPoint, getHangRotation } from '../models/weightAttachment'
 
-export default function GLBWeight({ node, position }) {
+export default function GLBWeight({ node, position, mountRotation }) {
   const groupRef = useRef()
   const modelRef = useRef()
   const selectedId = useMobileStore((state) => state.selectedId)
   const setSelected = useMobileStore((state) => state.setSelected)
   const expandWeight = useMobileStore((state) => state.expandWeight)
   const updateWeight = useMobileStore((state) => state.updateWeight)
+  const attachmentPickId = useMobileStore((state) => state.attachmentPickId)
+  const setAttachmentPoint = useMobileStore((state) => state.setAttachmentPoint)
+  const offsetRef = useRef()
+  const { gl } = useThree()
   
   const isSelected = selectedId === node.id
+  const isRigid = isRigidMount(node)
+  const isPicking = attachmentPickId === node.id
+  const hasChosenPoint = hasAttachmentPoint(node)
   
   // Get model config
   const modelConfig = getModelById(node.modelId)
-  const modelPath = modelConfig?.path || '/assets/earth.glb'
   const baseScale = modelConfig?.baseScale ?? 1
   const userScale = node.modelScale ?? modelConfig?.defaultScale ?? 0.3
   const modelScale = baseScale * userScale
   
-  // Load the GLB model
-  const { scene } = useGLTF(modelPath)
+  // Load the model (GLB, STL or OBJ)
+  const scene = useModelScene(modelConfig, '/assets/earth.glb')
   
   // State for computed geometry data
   const [geometryData, setGeometryData] = useState(null)
@@ -45,29 +54,61 @@ export default function GLBWeight({ node, position }) {
         // Volume scales with cube of scale factor
         const scaledVolume = analysis.volume * Math.pow(modelScale, 3)
         const estimatedMass = estimateMassFromVolume(scaledVolume)
-        updateWeight(node.id, { mass: estimatedMass })
+        updateWeight(node.id, { mass: estimatedMass }, { recordHistory: false })
       }
     }
   }, [scene, modelScale, node.id, node.massSetByUser, updateWeight])
   
+  // Rigidly mounted at a rod end, the model's CoG sits beyond the tip by the distance
+  // to the side of its bounding box that meets the rod (see getRigidMountOffset)
+  useEffect(() => {
+    if (!geometryData || !isRigid || geometryData.triangleCount === 0) return
+    
+    const { boundingBox, centerOfGravity } = geometryData
+    const mountReach = {
+      left: (centerOfGravity.x - boundingBox.min.x) * modelScale,
+      right: (boundingBox.max.x - centerOfGravity.x) * modelScale
+    }
+    if (node.mountReach?.left === mountReach.left && node.mountReach?.right === mountReach.right) return
+    updateWeight(node.id, { mountReach }, { recordHistory: false })
+  }, [geometryData, isRigid, modelScale, node.id, node.mountReach, updateWeight])
+  
   // Calculate model offset so attachment point is at origin (wire connection point)
   // The offset is in LOCAL (unscaled) coordinates since it's applied before the scale transform
   const modelOffset = useMemo(() => {
     if (!geometryData) {
       return new THREE.Vector3(0, 0, 0)
     }
+    // Rigidly mounted models are centered on their CoG, which sits on the rod
+    if (isRigid) {
+      return computeAttachmentOffset(geometryData.centerOfGravity)
+    }
     // Move model so attachment point is at origin
-    return computeAttachmentOffset(geometryData.attachmentPoint)
-  }, [geometryData])
+    return computeAttachmentOffset(hasChosenPoint ? node.attachmentPoint : geometryData.attachmentPoint)
+  }, [geometryData, isRigid, hasChosenPoint, node.attachmentPoint])
+  
+  // A chosen attachment point turns the model so its CoG hangs straight below it
+  const hangRotation = useMemo(() => {
+    if (!geometryData || !hasChosenPoint) return new THREE.Quaternion()
+    const { x, y, z, w } = getHangRotation(node.attachmentPoint, geometryData.centerOfGravity)
+    return new THREE.Quaternion(x, y, z, w)
+  }, [geometryData, hasChosenPoint, node.attachmentPoint])
   
   // Wire connects from origin (0,0,0) upward to the arm
   // The wire length is simply the full wireLength since the attachment point is now at origin
-  const nodeWireLength = node.wireLength ?? DEFAULT_WIRE_LENGTH
+  const nodeWireLength = isRigid ? 0 : (node.wireLength ?? DEFAULT_WIRE_LENGTH)
   const wireY = nodeWireLength / 2
   
-  // Handle click - select
+  // Handle click - select, or place the wire while picking an attachment point
   const handleClick = (e) => {
     e.stopPropagation()
+    if (isPicking && offsetRef.current) {
+      // Clicked point in model coordinates (before offset and scale)
+      const { x, y, z } = offsetRef.current.worldToLocal(e.point.clone())
+      setAttachmentPoint(node.id, { x, y, z })
+      gl.domElement.style.cursor = 'auto'
+      return
+    }
     if (isSelected) return
     setSelected(node.id)
   }
@@ -135,12 +176,12 @@ export default function GLBWeight({ node, position }) {
   // Calculate center position for selection ring (scaled and offset)
   const selectionRingY = useMemo(() => {
     if (!geometryData) return 0
-    // Center of gravity in scaled coordinates, adjusted by the model offset
-    return (geometryData.centerOfGravity.y + modelOffset.y) * modelScale
-  }, [geometryData, modelOffset, modelScale])
+    // Center of gravity in scaled coordinates, adjusted by the model offset and hang rotation
+    return geometryData.centerOfGravity.clone().add(modelOffset).multiplyScalar(modelScale).applyQuaternion(hangRotation).y
+  }, [geometryData, modelOffset, modelScale, hangRotation])
   
   return (
-    <group ref={groupRef} position={[position.x, position.y, position.z || 0]}>
+    <group ref={groupRef} position={[position.x, position.y, position.z || 0]} rotation={mountRotation}>
       {/* Wire connecting to arm - goes from origin upward */}
       {nodeWireLength > 0 && (
         <mesh position={[0, wireY, 0]}>
@@ -149,18 +190,24 @@ export default function GLBWeight({ node, position }) {
         </mesh>
       )}
       
-      {/* GLB Model - offset applied in local coords, then scaled */}
+      {/* GLB Model - offset applied in local coords, then scaled, then turned to hang */}
       <group
         ref={modelRef}
+        quaternion={hangRotation}
         scale={modelScale}
         onClick={handleClick}
         onDoubleClick={handleDoubleClick}
+        onPointerOver={() => { if (isPicking) gl.domElement.style.cursor = 'crosshair' }}
+        onPointerOut={() => { if (isPicking) gl.domElement.style.cursor = 'auto' }}
       >
-        <group position={[modelOffset.x, modelOffset.y, modelOffset.z]}>
+        <group ref={offsetRef} position={[modelOffset.x, modelOffset.y, modelOffset.z]}>
           <primitive key={`${node.modelId}-${modelScale}`} object={clonedScene} />
         </group>
       </group>
       
+      {/* Lock badge beside the model */}
+      {isNodeLocked(node) && <LockIcon position={[boundingRadius + 0.15, selectionRingY, 0]} />}
+      
       {/* Selection ring */}
       {isSelected && (
         <mesh 
@@ -177,8 +224,8 @@ export default function GLBWeight({ node, position }) {
 
 // Preload all models for better performance
 export function preloadModels() {
-  useGLTF.preload('/assets/earth.glb')
-  useGLTF.preload('/assets/house.glb')
-  useGLTF.preload('/assets/jupiter.glb')
+  preloadModelScene('/assets/earth.glb')
+  preloadModelScene('/assets/house.glb')
+  preloadModelScene('/assets/jupiter.glb')
 }
 
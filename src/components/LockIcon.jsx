@@ -0,0 +1,20 @@
+import React from 'react'
+
+// Small padlock shown next to locked arms and weights
+export default function LockIcon({ position = [0, 0, 0] }) {
+  return (
+    <group position={position}>
+      {/* Body */}
+      <mesh>
+        <boxGeometry args={[0.16, 0.13, 0.06]} />
+        <meshStandardMaterial color="#f59e0b" metalness={0.5} roughness={0.4} />
+      </mesh>
+      
+      {/* Shackle - half a ring standing on the body */}
+      <mesh position={[0, 0.065, 0]}>
+        <torusGeometry args={[0.05, 0.015, 8, 16, Math.PI]} />
+        <meshStandardMaterial color="#a1a1aa" metalness={0.8} roughness={0.2} />
+      </mesh>
+    </group>
+  )
+}
@@ -4,6 +4,7 @@ import useMobileStore from '../store/mobileStore'
 import Arm from './Arm'
 import Weight from './Weight'
 import { calculateTiltAngle } from '../physics/balanceSolver'
+import { getChildren, getAttachPoint, isRigidMount } from '../models/mobileTree'
 
 // Rotation speed in radians per second (negative = clockwise when viewed from above)
 const ROTATION_SPEED = -1.5
@@ -15,94 +16,78 @@ export const DEFAULT_WIRE_LENGTH = 0.7
 const PhysicsMobile = React.lazy(() => import('../physics/PhysicsMobile'))
 
 // Recursively render the mobile tree
-function MobileNode({ node, position, parentRotation = 0, parentYaw = 0, armYawAngles }) {
+// `position` is where an arm hangs from (the top of its wire) and where a weight sits
+function MobileNode({ node, position, mountRotation, parentYaw = 0, armYawAngles }) {
   if (!node) return null
   
   if (node.type === 'weight') {
-    return <Weight node={node} position={position} />
+    return <Weight node={node} position={position} mountRotation={mountRotation} />
   }
   
   if (node.type === 'arm') {
-    // Calculate this arm's tilt
+    // Equilibrium tilt - absolute, since each arm hangs freely from its wire
     const tiltAngle = calculateTiltAngle(node)
-    const totalRotation = parentRotation + tiltAngle
     
     // Get this arm's yaw angle (used for 3D mode and rotation animation)
     const armYaw = armYawAngles[node.id] || 0
     const totalYaw = parentYaw + armYaw  // Accumulated yaw to pass to children
     
-    // Calculate child positions
-    const leftDistance = node.pivotPosition * node.length
-    const rightDistance = (1 - node.pivotPosition) * node.length
-    
-    const cosTilt = Math.cos(totalRotation)
-    const sinTilt = Math.sin(totalRotation)
-    // Use only THIS arm's yaw for endpoint calculations
+    const cosTilt = Math.cos(tiltAngle)
+    const sinTilt = Math.sin(tiltAngle)
+    // Use only THIS arm's yaw for hanging point calculations
     // (parent yaw is already baked into `position`)
     const cosYaw = Math.cos(armYaw)
     const sinYaw = Math.sin(armYaw)
     
-    // In flat mode (yaw=0): left end is at (-leftDistance * cosTilt, -sinTilt * leftDistance, 0)
-    // In 3D mode: the horizontal component (cosTilt) is rotated by yaw around Y axis
+    // In flat mode (yaw=0): a point at (dx, dy) from the pivot (dy != 0 on bent rods)
+    // is at (dx * cosTilt - dy * sinTilt, dx * sinTilt + dy * cosTilt, 0)
+    // In 3D mode: the horizontal component is rotated by yaw around Y axis
     // Y-axis rotation formula: (x, y, z) -> (x*cos(yaw) + z*sin(yaw), y, -x*sin(yaw) + z*cos(yaw))
     // With z=0: x' = x*cos(yaw), z' = -x*sin(yaw)
-    
-    // Left end position (relative to pivot, then add pivot position)
-    const leftLocalX = -leftDistance * cosTilt
-    const leftLocalY = -leftDistance * sinTilt
-    const leftEndPos = {
-      x: position.x + leftLocalX * cosYaw,
-      y: position.y + leftLocalY,
-      z: position.z - leftLocalX * sinYaw  // Note: -x*sin(yaw) from rotation formula
+    const toWorld = (origin, dx, dy) => {
+      const localX = dx * cosTilt - dy * sinTilt
+      const localY = dx * sinTilt + dy * cosTilt
+      return {
+        x: origin.x + localX * cosYaw,
+        y: origin.y + localY,
+        z: (origin.z || 0) - localX * sinYaw  // Note: -x*sin(yaw) from rotation formula
+      }
     }
     
-    // Right end position
-    const rightLocalX = rightDistance * cosTilt
-    const rightLocalY = rightDistance * sinTilt
-    const rightEndPos = {
-      x: position.x + rightLocalX * cosYaw,
-      y: position.y + rightLocalY,
-      z: position.z - rightLocalX * sinYaw  // Note: -x*sin(yaw) from rotation formula
-    }
+    // The arm turns with its stiff wire about the top of the wire,
+    // so the pivot swings sideways as the arm tilts
+    const pivot = toWorld(position, 0, -(node.wireLength ?? DEFAULT_WIRE_LENGTH))
     
-    // Use each child's individual wire length for positioning
-    const leftWireLength = node.leftChild?.wireLength ?? DEFAULT_WIRE_LENGTH
-    const rightWireLength = node.rightChild?.wireLength ?? DEFAULT_WIRE_LENGTH
-    
-    const leftChildPos = {
-      x: leftEndPos.x,
-      y: leftEndPos.y - leftWireLength,
-      z: leftEndPos.z
-    }
-    
-    const rightChildPos = {
-      x: rightEndPos.x,
-      y: rightEndPos.y - rightWireLength,
-      z: rightEndPos.z
-    }
+    // Child arms hang from their attachment point; weights hang below it on their own wire
+    // Rigidly mounted weights sit on the rod itself, with no wire
+    const childPositions = getChildren(node).map(child => {
+      const point = getAttachPoint(node, child)
+      const attach = toWorld(pivot, point.x, point.y)
+      const wireLength = child.type === 'weight' && !isRigidMount(child)
+        ? (child.wireLength ?? DEFAULT_WIRE_LENGTH)
+        : 0
+      
+      return { ...attach, y: attach.y - wireLength }
+    })
     
     return (
       <>
         <Arm 
           node={node} 
-          position={position} 
-          parentRotation={parentRotation}
+          position={pivot} 
+          tiltAngle={tiltAngle}
           yawAngle={armYaw}
         />
-        <MobileNode 
-          node={node.leftChild} 
-          position={leftChildPos}
-          parentRotation={totalRotation}
-          parentYaw={totalYaw}
-          armYawAngles={armYawAngles}
-        />
-        <MobileNode 
-          node={node.rightChild} 
-          position={rightChildPos}
-          parentRotation={totalRotation}
-          parentYaw={totalYaw}
-          armYawAngles={armYawAngles}
-        />
+        {getChildren(node).map((child, index) => (
+          <MobileNode 
+            key={child.id}
+            node={child} 
+            position={childPositions[index]}
+            mountRotation={isRigidMount(child) ? [0, armYaw, tiltAngle] : undefined}
+            parentYaw={totalYaw}
+            armYawAngles={armYawAngles}
+          />
+        ))}
       </>
     )
   }
@@ -129,21 +114,20 @@ function AnalyticalMobile() {
     }
   })
   
-  // Start position: below the suspension point, accounting for root arm's wire length
-  // The wire extends UP from the arm to the suspension point
-  const rootWireLength = mobile?.wireLength ?? DEFAULT_WIRE_LENGTH
+  // Start position: the root arm hangs from the suspension point by its wire
+  // (a lone root weight hangs its wire length below it)
+  const rootDrop = mobile?.type === 'weight' ? (mobile.wireLength ?? DEFAULT_WIRE_LENGTH) : 0
   const startPosition = useMemo(() => ({ 
     x: 0, 
-    y: SUSPENSION_Y - rootWireLength, 
+    y: SUSPENSION_Y - rootDrop, 
     z: 0 
-  }), [rootWireLength])
+  }), [rootDrop])
   
   return (
     <group>
       <MobileNode 
         node={mobile} 
         position={startPosition}
-        parentRotation={0}
         parentYaw={0}
         armYawAngles={armYawAngles}
       />
@@ -2,6 +2,8 @@ import React, { useRef, useState } from 'react'
 import { useThree } from '@react-three/fiber'
 import * as THREE from 'three'
 import useMobileStore from '../store/mobileStore'
+import { isNodeLocked } from '../models/mobileTree'
+import { METRIC_RANGES } from '../config/units'
 
 export default function PivotHandle({ arm, armWorldPosition, armRotation }) {
   const handleRef = useRef()
@@ -10,18 +12,29 @@ export default function PivotHandle({ arm, armWorldPosition, armRotation }) {
   
   const { camera, gl } = useThree()
   const updateArm = useMobileStore((state) => state.updateArm)
+  const beginHistoryGroup = useMobileStore((state) => state.beginHistoryGroup)
+  const endHistoryGroup = useMobileStore((state) => state.endHistoryGroup)
+  
+  // A locked arm's pivot stays put
+  const isLocked = isNodeLocked(arm)
   
   const handlePointerDown = (e) => {
     e.stopPropagation()
+    if (isLocked) return
     setIsDragging(true)
     gl.domElement.style.cursor = 'grabbing'
     
+    // The whole drag becomes a single undo step
+    beginHistoryGroup()
+    
     // Capture pointer
     e.target.setPointerCapture(e.pointerId)
   }
   
   const handlePointerUp = (e) => {
+    if (!isDragging) return
     setIsDragging(false)
+    endHistoryGroup()
     gl.domElement.style.cursor = isHovered ? 'grab' : 'auto'
     e.target.releasePointerCapture(e.pointerId)
   }
@@ -85,12 +98,19 @@ export default function PivotHandle({ arm, armWorldPosition, armRotation }) {
       newPivotPosition = 0.5 + localX / arm.length
       
       // Clamp to valid range
-      newPivotPosition = Math.max(0.1, Math.min(0.9, newPivotPosition))
+      newPivotPosition = Math.max(METRIC_RANGES.pivotPosition.min, Math.min(METRIC_RANGES.pivotPosition.max, newPivotPosition))
       
       updateArm(arm.id, { pivotPosition: newPivotPosition })
     }
   }
   
+  let color = isDragging ? '#f59e0b' : isHovered ? '#fbbf24' : '#fcd34d'
+  let emissiveIntensity = isDragging ? 0.5 : isHovered ? 0.3 : 0.1
+  if (isLocked) {
+    color = '#71717a'
+    emissiveIntensity = 0
+  }
+  
   // Pivot handle is now at the origin since the arm is offset to place the pivot at (0,0,0)
   return (
     <mesh
@@ -102,7 +122,7 @@ export default function PivotHandle({ arm, armWorldPosition, armRotation }) {
       onPointerMove={handlePointerMove}
       onPointerEnter={() => {
         setIsHovered(true)
-        if (!isDragging) gl.domElement.style.cursor = 'grab'
+        if (!isDragging) gl.domElement.style.cursor = isLocked ? 'not-allowed' : 'grab'
       }}
       onPointerLeave={() => {
         setIsHovered(false)
@@ -111,9 +131,9 @@ export default function PivotHandle({ arm, armWorldPosition, armRotation }) {
     >
       <torusGeometry args={[0.15, 0.05, 8, 24]} />
       <meshStandardMaterial 
-        color={isDragging ? '#f59e0b' : isHovered ? '#fbbf24' : '#fcd34d'}
-        emissive={isDragging ? '#f59e0b' : isHovered ? '#fbbf24' : '#fcd34d'}
-        emissiveIntensity={isDragging ? 0.5 : isHovered ? 0.3 : 0.1}
+        color={color}
+        emissive={color}
+        emissiveIntensity={emissiveIntensity}
         metalness={0.3}
         roughness={0.4}
       />
@@ -1,14 +1,27 @@
-import React, { useRef, useMemo } from 'react'
-import { useFrame } from '@react-three/fiber'
+import React, { useRef, useMemo, useEffect } from 'react'
+import { useFrame, useThree } from '@react-three/fiber'
 import * as THREE from 'three'
 import useMobileStore from '../store/mobileStore'
 import { DEFAULT_WIRE_LENGTH } from './Mobile'
 import GLBWeight from './GLBWeight'
+import LockIcon from './LockIcon'
 import { isModelShape } from '../config/models'
-import { generateBlobPoints } from '../models/mobileTree'
+import { generateBlobPoints, isRigidMount, isNodeLocked } from '../models/mobileTree'
+import {
+  hasAttachmentPoint,
+  getPrimitiveAttachmentPoint,
+  getPrimitiveCenterOfGravity,
+  toPrimitiveAttachmentPoint,
+  getHangRotation
+} from '../models/weightAttachment'
 
-// Create organic blob geometry with smooth bezier curves
-function createOrganicGeometry(blobPoints, size, thickness) {
+// Orientation of weights that hang from their default point
+const UPRIGHT = new THREE.Quaternion()
+
+// Outline of an organic blob with smooth bezier curves, scaled by `size` and
+// centered on its centroid (the center of mass)
+// Returns { shape, top } - `top` is the highest control point, where the blob hangs from
+export function createOrganicShape(blobPoints, size) {
   // Use provided points or generate default
   const points = blobPoints || generateBlobPoints(Date.now())
   
@@ -55,82 +68,173 @@ function createOrganicGeometry(blobPoints, size, thickness) {
   
   // No need for closePath() - the loop naturally ends where it started
   
-  // Extrude the shape for thickness
-  const extrudeSettings = {
+  // Find the topmost point for attachment (max Y in shape coordinates)
+  let top = -Infinity
+  for (const p of centeredPoints) {
+    if (p.y > top) top = p.y
+  }
+  
+  return { shape, top }
+}
+
+// Extrusion of organic blobs, with a slight bevel on both faces
+export function getOrganicExtrudeSettings(thickness) {
+  return {
     depth: thickness,
     bevelEnabled: true,
     bevelThickness: thickness * 0.1,
     bevelSize: thickness * 0.1,
     bevelSegments: 2
   }
+}
+
+// Create organic blob geometry
+// Hanging shapes have their top edge at the origin (the wire attachment point);
+// rigidly mounted shapes stay centered on their centroid
+function createOrganicGeometry(blobPoints, size, thickness, hangFromTop = true) {
+  const { shape, top } = createOrganicShape(blobPoints, size)
   
-  const geometry = new THREE.ExtrudeGeometry(shape, extrudeSettings)
+  // Extrude the shape for thickness
+  const geometry = new THREE.ExtrudeGeometry(shape, getOrganicExtrudeSettings(thickness))
   
   // Center the extrusion on Z axis
   geometry.translate(0, 0, -thickness / 2)
   
-  // Find the topmost point for attachment (max Y in shape coordinates)
-  let maxY = -Infinity
-  for (const p of centeredPoints) {
-    if (p.y > maxY) maxY = p.y
-  }
+  if (!hangFromTop) return geometry
   
   // Translate so the top edge is at Y=0 (attachment point)
   // The shape hangs down from the attachment point
-  geometry.translate(0, -maxY, 0)
+  geometry.translate(0, -top, 0)
   
   return geometry
 }
 
-export default function Weight({ node, position }) {
+// Height of a hanging weight's top above its origin, where the wire meets it
+// Rigidly mounted weights and weights hanging from a chosen point have no gap
+export function getWeightTopY(node) {
+  if (isRigidMount(node) || hasAttachmentPoint(node)) return 0
+  switch (node.shape) {
+    case 'cube':
+      return node.size * 0.8 // Half of 1.6 * size
+    case 'cylinder':
+      return node.size // Half of 2 * size
+    case 'cone':
+      return node.size // Half of 2 * size (height)
+    case 'torus':
+      return node.size * 0.35 // Torus tube radius
+    case 'octahedron':
+      return node.size // Radius
+    case 'tetrahedron':
+      return node.size * 0.8 // Approximate top
+    case 'disk':
+      return 0 // Disk hangs from top edge, attachment point is at y=0
+    case 'organic':
+      return 0 // Organic hangs from top edge, attachment point is at y=0
+    case 'sphere':
+    default:
+      return node.size
+  }
+}
+
+// Geometry of a primitive weight in its mesh coordinates
+// Disks and organic shapes hang from their top edge; rigidly mounted ones are
+// centered on their centroid
+export function createWeightGeometry(node) {
+  const isRigid = isRigidMount(node)
+  const thickness = node.thickness ?? 0.05
+  switch (node.shape) {
+    case 'cube':
+      return new THREE.BoxGeometry(node.size * 1.6, node.size * 1.6, node.size * 1.6)
+    case 'cylinder':
+      return new THREE.CylinderGeometry(node.size * 0.6, node.size * 0.6, node.size * 2, 16)
+    case 'cone':
+      return new THREE.ConeGeometry(node.size * 0.8, node.size * 2, 16)
+    case 'torus':
+      return new THREE.TorusGeometry(node.size * 0.7, node.size * 0.35, 16, 32)
+    case 'octahedron':
+      return new THREE.OctahedronGeometry(node.size, 0)
+    case 'tetrahedron':
+      return new THREE.TetrahedronGeometry(node.size * 1.2, 0)
+    case 'disk': {
+      const geometry = new THREE.CylinderGeometry(node.size, node.size, thickness, 32)
+      if (isRigid) {
+        // Rigid mounts lie flat in the plane of the rod, centered on their CoG
+        geometry.rotateX(Math.PI / 2)
+      } else {
+        // Rotate 90 degrees on Z axis so disk is vertical (facing camera)
+        geometry.rotateZ(Math.PI / 2)
+        // Translate so top edge is at y=0 (attachment point)
+        geometry.translate(0, -node.size, 0)
+      }
+      return geometry
+    }
+    case 'organic':
+      // Custom organic blob shape with smooth curves
+      return createOrganicGeometry(node.blobPoints, node.size, thickness, !isRigid)
+    case 'sphere':
+    default:
+      return new THREE.SphereGeometry(node.size, 24, 24)
+  }
+}
+
+// How a primitive hangs from its chosen attachment point, or null if it has none:
+// the point sits at the end of the wire (the origin) and the shape is turned by
+// `rotation` so its CoG is straight below it, at `centerY`
+export function getPrimitiveHang(node) {
+  if (!hasAttachmentPoint(node)) return null
+  const point = getPrimitiveAttachmentPoint(node)
+  const centerOfGravity = getPrimitiveCenterOfGravity(node)
+  const { x, y, z, w } = getHangRotation(point, centerOfGravity)
+  return {
+    point,
+    rotation: new THREE.Quaternion(x, y, z, w),
+    centerY: -Math.hypot(centerOfGravity.x - point.x, centerOfGravity.y - point.y, centerOfGravity.z - point.z)
+  }
+}
+
+// `mountRotation` is only passed for rigidly mounted weights, which turn with the rod
+export default function Weight({ node, position, mountRotation }) {
   // Delegate to GLBWeight for model shapes
   if (isModelShape(node.shape)) {
-    return <GLBWeight node={node} position={position} />
+    return <GLBWeight node={node} position={position} mountRotation={mountRotation} />
   }
   const meshRef = useRef()
   const selectedId = useMobileStore((state) => state.selectedId)
   const setSelected = useMobileStore((state) => state.setSelected)
   const expandWeight = useMobileStore((state) => state.expandWeight)
+  const attachmentPickId = useMobileStore((state) => state.attachmentPickId)
+  const setAttachmentPoint = useMobileStore((state) => state.setAttachmentPoint)
+  const { gl } = useThree()
   
   const isSelected = selectedId === node.id
+  const isRigid = isRigidMount(node)
+  const isPicking = attachmentPickId === node.id
   
   // Use the weight's wireLength property (fallback for backwards compatibility)
-  const nodeWireLength = node.wireLength ?? DEFAULT_WIRE_LENGTH
-  
-  // Calculate the top of the weight based on shape
-  const weightTopY = useMemo(() => {
-    const thickness = node.thickness ?? 0.05
-    switch (node.shape) {
-      case 'cube':
-        return node.size * 0.8 // Half of 1.6 * size
-      case 'cylinder':
-        return node.size // Half of 2 * size
-      case 'cone':
-        return node.size // Half of 2 * size (height)
-      case 'torus':
-        return node.size * 0.35 // Torus tube radius
-      case 'octahedron':
-        return node.size // Radius
-      case 'tetrahedron':
-        return node.size * 0.8 // Approximate top
-      case 'disk':
-        return 0 // Disk hangs from top edge, attachment point is at y=0
-      case 'organic':
-        return 0 // Organic hangs from top edge, attachment point is at y=0
-      case 'sphere':
-      default:
-        return node.size
-    }
-  }, [node.shape, node.size, node.thickness])
+  // Rigidly mounted weights are fixed straight to the rod, with no wire
+  const nodeWireLength = isRigid ? 0 : (node.wireLength ?? DEFAULT_WIRE_LENGTH)
+  
+  // Hanging from a chosen point: the shape turns so its CoG is straight below it
+  const hang = useMemo(() => getPrimitiveHang(node), [node])
+  
+  // Top of the weight, where the wire meets it
+  const weightTopY = getWeightTopY(node)
   
   // Wire connects from top of weight to arm endpoint (nodeWireLength above weight position)
   // The actual wire spans from weight top to the arm endpoint
   const actualWireLength = nodeWireLength - weightTopY
   const wireY = weightTopY + actualWireLength / 2
   
-  // Handle click - select or expand
+  // Handle click - select, or place the wire while picking an attachment point
   const handleClick = (e) => {
     e.stopPropagation()
+    if (isPicking && meshRef.current) {
+      // Clicked point in the shape's mesh coordinates
+      const point = meshRef.current.worldToLocal(e.point.clone())
+      setAttachmentPoint(node.id, toPrimitiveAttachmentPoint(node, point))
+      gl.domElement.style.cursor = 'auto'
+      return
+    }
     if (isSelected) {
       // Already selected, don't expand on single click when selected
       return
@@ -158,55 +262,15 @@ export default function Weight({ node, position }) {
   // Parse color
   const color = new THREE.Color(node.color)
   
-  // Create organic geometry if needed (memoized)
-  const organicGeometry = useMemo(() => {
-    if (node.shape !== 'organic') return null
-    const thickness = node.thickness ?? 0.05
-    return createOrganicGeometry(node.blobPoints, node.size, thickness)
-  }, [node.shape, node.size, node.thickness, node.blobPoints])
-  
-  // Create disk geometry (memoized) - rotated to hang vertically from edge
-  const diskGeometry = useMemo(() => {
-    if (node.shape !== 'disk') return null
-    const thickness = node.thickness ?? 0.05
-    const geometry = new THREE.CylinderGeometry(node.size, node.size, thickness, 32)
-    // Rotate 90 degrees on Z axis so disk is vertical (facing camera)
-    geometry.rotateZ(Math.PI / 2)
-    // Translate so top edge is at y=0 (attachment point)
-    geometry.translate(0, -node.size, 0)
-    return geometry
-  }, [node.shape, node.size, node.thickness])
-  
-  // Render appropriate geometry based on shape
-  const renderGeometry = () => {
-    const thickness = node.thickness ?? 0.05
-    switch (node.shape) {
-      case 'cube':
-        return <boxGeometry args={[node.size * 1.6, node.size * 1.6, node.size * 1.6]} />
-      case 'cylinder':
-        return <cylinderGeometry args={[node.size * 0.6, node.size * 0.6, node.size * 2, 16]} />
-      case 'cone':
-        return <coneGeometry args={[node.size * 0.8, node.size * 2, 16]} />
-      case 'torus':
-        return <torusGeometry args={[node.size * 0.7, node.size * 0.35, 16, 32]} />
-      case 'octahedron':
-        return <octahedronGeometry args={[node.size, 0]} />
-      case 'tetrahedron':
-        return <tetrahedronGeometry args={[node.size * 1.2, 0]} />
-      case 'disk':
-        // Disk rotated to hang vertically from edge
-        return diskGeometry ? <primitive object={diskGeometry} attach="geometry" /> : <sphereGeometry args={[node.size, 24, 24]} />
-      case 'organic':
-        // Custom organic blob shape - geometry is created above with useMemo
-        return organicGeometry ? <primitive object={organicGeometry} attach="geometry" /> : <sphereGeometry args={[node.size, 24, 24]} />
-      case 'sphere':
-      default:
-        return <sphereGeometry args={[node.size, 24, 24]} />
-    }
-  }
+  // Shape geometry (memoized)
+  const geometry = useMemo(
+    () => createWeightGeometry(node),
+    [node.shape, node.size, node.thickness, node.blobPoints, isRigid]
+  )
+  useEffect(() => () => geometry.dispose(), [geometry])
   
   return (
-    <group position={[position.x, position.y, position.z || 0]}>
+    <group position={[position.x, position.y, position.z || 0]} rotation={mountRotation}>
       {/* Wire connecting to arm - spans from top of weight to arm endpoint */}
       {actualWireLength > 0 && (
         <mesh position={[0, wireY, 0]}>
@@ -215,27 +279,35 @@ export default function Weight({ node, position }) {
         </mesh>
       )}
       
-      {/* Weight shape */}
-      <mesh 
-        ref={meshRef}
-        onClick={handleClick}
-        onDoubleClick={handleDoubleClick}
-        castShadow
-        receiveShadow
-      >
-        {renderGeometry()}
-        <meshStandardMaterial 
-          color={color}
-          emissive={color}
-          emissiveIntensity={0}
-          metalness={0.2}
-          roughness={0.6}
-        />
-      </mesh>
+      {/* Weight shape (turned to hang from its chosen point, if any) */}
+      <group quaternion={hang?.rotation ?? UPRIGHT}>
+        <mesh 
+          ref={meshRef}
+          geometry={geometry}
+          position={hang ? [-hang.point.x, -hang.point.y, -hang.point.z] : [0, 0, 0]}
+          onClick={handleClick}
+          onDoubleClick={handleDoubleClick}
+          onPointerOver={() => { if (isPicking) gl.domElement.style.cursor = 'crosshair' }}
+          onPointerOut={() => { if (isPicking) gl.domElement.style.cursor = 'auto' }}
+          castShadow
+          receiveShadow
+        >
+          <meshStandardMaterial 
+            color={color}
+            emissive={color}
+            emissiveIntensity={0}
+            metalness={0.2}
+            roughness={0.6}
+          />
+        </mesh>
+      </group>
+      
+      {/* Lock badge beside the weight */}
+      {isNodeLocked(node) && <LockIcon position={[node.size + 0.25, hang?.centerY ?? 0, 0]} />}
       
       {/* Selection ring */}
       {isSelected && (
-        <mesh rotation={[Math.PI / 2, 0, 0]}>
+        <mesh position={[0, hang?.centerY ?? 0, 0]} rotation={[Math.PI / 2, 0, 0]}>
           <torusGeometry args={[node.size + 0.15, 0.03, 8, 32]} />
           <meshBasicMaterial color="#3b82f6" />
         </mesh>
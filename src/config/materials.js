@@ -0,0 +1,188 @@
+/**
+ * Registry of rod materials for mobile arms and wire for the connections between them
+ * Arm and wire mass is derived from the material: density × cross-section × length.
+ * Densities are in g/cm³, diameters in mm.
+ * Rods also have a Young's modulus (GPa) and yield strength (MPa) for the
+ * structural check: typical values for craft stock, on the cautious side.
+ * `appearance` is how the material looks in exported 3D scenes.
+ */
+
+export const ARM_MATERIALS = {
+  brass: {
+    id: 'brass',
+    name: 'Brass rod',
+    density: 8.5,
+    youngsModulus: 100,
+    yieldStrength: 200,
+    appearance: { color: '#c9a94f', metalness: 0.9, roughness: 0.3 },
+    diameters: [1.5, 2, 3, 4, 5, 6],
+    defaultDiameter: 3
+  },
+  steel: {
+    id: 'steel',
+    name: 'Steel wire',
+    density: 7.85,
+    youngsModulus: 200,
+    yieldStrength: 350,
+    appearance: { color: '#9ca3af', metalness: 0.9, roughness: 0.35 },
+    diameters: [1, 1.5, 2, 2.5, 3, 4],
+    defaultDiameter: 2
+  },
+  aluminium: {
+    id: 'aluminium',
+    name: 'Aluminium tube',
+    density: 2.7,
+    youngsModulus: 69,
+    yieldStrength: 150,
+    appearance: { color: '#d4d4d8', metalness: 0.8, roughness: 0.4 },
+    // Hollow: the cross-section is the ring between the outer and inner walls
+    wallThickness: 0.5,
+    diameters: [3, 4, 5, 6, 8, 10],
+    defaultDiameter: 6
+  },
+  wood: {
+    id: 'wood',
+    name: 'Wooden dowel',
+    density: 0.65,
+    youngsModulus: 10,
+    yieldStrength: 40,
+    appearance: { color: '#b8875a', metalness: 0, roughness: 0.8 },
+    diameters: [3, 4, 5, 6, 8, 10],
+    defaultDiameter: 5
+  }
+}
+
+// Array version for iteration in UI
+export const ARM_MATERIAL_LIST = Object.values(ARM_MATERIALS)
+
+// Arms without a material are treated as 2mm steel wire, which weighs about
+// the same per length as the fixed arm density used before materials existed
+export const DEFAULT_ARM_MATERIAL = 'steel'
+
+// Get material by ID (falls back to the default material)
+export function getArmMaterialById(materialId) {
+  return ARM_MATERIALS[materialId] || ARM_MATERIALS[DEFAULT_ARM_MATERIAL]
+}
+
+// Get an arm's material and diameter (mm), with defaults for arms that don't set them
+export function getArmMaterialSpec(arm) {
+  const material = getArmMaterialById(arm?.material)
+  return {
+    material,
+    diameter: arm?.diameter ?? material.defaultDiameter
+  }
+}
+
+// Cross-sectional area in cm² of a rod (or tube) of the given outer diameter in mm
+export function getCrossSectionArea(material, diameterMm) {
+  const outerRadiusCm = diameterMm / 20
+  if (!material.wallThickness) {
+    return Math.PI * outerRadiusCm * outerRadiusCm
+  }
+  
+  const innerRadiusCm = Math.max(0, outerRadiusCm - material.wallThickness / 10)
+  return Math.PI * (outerRadiusCm * outerRadiusCm - innerRadiusCm * innerRadiusCm)
+}
+
+// Second moment of area in mm⁴ of a rod (or tube) of the given outer diameter in mm,
+// its resistance to bending
+export function getSecondMomentOfArea(material, diameterMm) {
+  const outer = diameterMm ** 4
+  const innerDiameter = material.wallThickness ? Math.max(0, diameterMm - material.wallThickness * 2) : 0
+  return Math.PI * (outer - innerDiameter ** 4) / 64
+}
+
+// Mass per centimetre of rod in grams (density × cross-section)
+export function getArmMassPerCm(materialId, diameterMm) {
+  const material = getArmMaterialById(materialId)
+  return material.density * getCrossSectionArea(material, diameterMm ?? material.defaultDiameter)
+}
+
+// Format a material and diameter for build specs, e.g. "Brass rod, 3mm"
+export function formatArmMaterial(materialId, diameterMm) {
+  const material = getArmMaterialById(materialId)
+  return `${material.name}, ${diameterMm ?? material.defaultDiameter}mm`
+}
+
+// Arm material recommendations based on length
+// Longer arms need stiffer (thicker) stock; aluminium tube keeps long arms light
+export function getRecommendedArmMaterial(lengthCm) {
+  if (lengthCm <= 30) {
+    return { materialId: 'brass', diameter: 3 }
+  }
+  if (lengthCm <= 60) {
+    return { materialId: 'aluminium', diameter: 6 }
+  }
+  return { materialId: 'aluminium', diameter: 8 }
+}
+
+// Suspension wire gauges (AWG) with their diameters in mm
+export const WIRE_GAUGES = {
+  awg26: { id: 'awg26', name: '26 AWG', diameter: 0.4 },
+  awg24: { id: 'awg24', name: '24 AWG', diameter: 0.5 },
+  awg22: { id: 'awg22', name: '22 AWG', diameter: 0.6 },
+  awg20: { id: 'awg20', name: '20 AWG', diameter: 0.8 },
+  awg18: { id: 'awg18', name: '18 AWG', diameter: 1.0 },
+  awg16: { id: 'awg16', name: '16 AWG', diameter: 1.3 }
+}
+
+// Array version for iteration in UI
+export const WIRE_GAUGE_LIST = Object.values(WIRE_GAUGES)
+
+// Suspension wire materials
+export const WIRE_MATERIALS = {
+  steel: { id: 'steel', name: 'Steel', density: 7.85, appearance: { color: '#9ca3af', metalness: 0.9, roughness: 0.35 } },
+  brass: { id: 'brass', name: 'Brass', density: 8.5, appearance: { color: '#c9a94f', metalness: 0.9, roughness: 0.3 } },
+  copper: { id: 'copper', name: 'Copper', density: 8.96, appearance: { color: '#b87333', metalness: 0.9, roughness: 0.3 } },
+  nylon: { id: 'nylon', name: 'Nylon line', density: 1.14, appearance: { color: '#e4e4e7', metalness: 0, roughness: 0.5 } }
+}
+
+// Array version for iteration in UI
+export const WIRE_MATERIAL_LIST = Object.values(WIRE_MATERIALS)
+
+// Connections without a wire spec use 20 AWG steel craft wire
+export const DEFAULT_WIRE_GAUGE = 'awg20'
+export const DEFAULT_WIRE_MATERIAL = 'steel'
+
+// Get the wire gauge and material of a node's connection to its parent, with defaults
+export function getWireSpec(node) {
+  return {
+    gauge: WIRE_GAUGES[node?.wireGauge] || WIRE_GAUGES[DEFAULT_WIRE_GAUGE],
+    material: WIRE_MATERIALS[node?.wireMaterial] || WIRE_MATERIALS[DEFAULT_WIRE_MATERIAL]
+  }
+}
+
+// Mass per centimetre of wire in grams (density × cross-section)
+export function getWireMassPerCm(gaugeId, materialId) {
+  const { gauge, material } = getWireSpec({ wireGauge: gaugeId, wireMaterial: materialId })
+  const radiusCm = gauge.diameter / 20
+  return material.density * Math.PI * radiusCm * radiusCm
+}
+
+// Wire gauge recommendations based on total supported weight
+export function getRecommendedWireGauge(totalWeightGrams) {
+  const gauge = totalWeightGrams < 100 ? WIRE_GAUGES.awg24
+    : totalWeightGrams < 250 ? WIRE_GAUGES.awg22
+    : totalWeightGrams < 500 ? WIRE_GAUGES.awg20
+    : totalWeightGrams < 1000 ? WIRE_GAUGES.awg18
+    : WIRE_GAUGES.awg16
+  return { gaugeId: gauge.id, gauge: gauge.name, diameter: `${gauge.diameter}mm` }
+}
+
+// 3D printing filaments for printed weights (densities in g/cm³)
+export const PRINT_FILAMENTS = {
+  pla: { id: 'pla', name: 'PLA', density: 1.24 },
+  petg: { id: 'petg', name: 'PETG', density: 1.27 },
+  abs: { id: 'abs', name: 'ABS', density: 1.04 },
+  tpu: { id: 'tpu', name: 'TPU', density: 1.21 }
+}
+
+// Array version for iteration in UI
+export const PRINT_FILAMENT_LIST = Object.values(PRINT_FILAMENTS)
+
+export const DEFAULT_PRINT_FILAMENT = 'pla'
+
+// Get filament by ID (falls back to PLA)
+export function getPrintFilamentById(filamentId) {
+  return PRINT_FILAMENTS[filamentId] || PRINT_FILAMENTS[DEFAULT_PRINT_FILAMENT]
+}
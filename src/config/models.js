@@ -55,12 +55,83 @@ export const AVAILABLE_MODELS = {
   }
 }
 
-// Array version for iteration in UI
+// Array version for iteration in UI (built-in models only - see getModelList)
 export const MODEL_LIST = Object.values(AVAILABLE_MODELS)
 
-// Get model by ID
+// File formats a model can be stored in (built-in models are all GLB)
+// STL and OBJ hold bare meshes; they are drawn with a plain material
+export const MODEL_FORMATS = {
+  glb: { name: 'glTF', mimeType: 'model/gltf-binary' },
+  stl: { name: 'STL', mimeType: 'model/stl' },
+  obj: { name: 'OBJ', mimeType: 'model/obj' }
+}
+
+// Custom models uploaded by the user, registered at runtime.
+// Each entry has the same fields as a built-in model, plus:
+// - custom: true
+// - format: key of MODEL_FORMATS
+// - data: the model file (ArrayBuffer; GLB for glTF uploads); `path` is an object URL for it
+// - thumbnail: PNG data URL shown in the model picker
+// - baseScale: converts model units to scene units - either the file's real unit
+//   (STL/OBJ, e.g. mm) or a fit so the largest dimension is 10cm at 100%
+// - analysis: { volume, triangleCount } from analyzeGLTFScene at upload (unscaled)
+const customModels = new Map()
+const modelListeners = new Set()
+
+// Custom model IDs are prefixed so they can't clash with built-in ones
+export const CUSTOM_MODEL_PREFIX = 'custom_'
+
+// Add (or replace) a custom model
+export function registerCustomModel(model) {
+  const format = MODEL_FORMATS[model.format] ? model.format : 'glb'
+  const previous = customModels.get(model.id)
+  const reusePath = previous && previous.data === model.data && previous.format === format
+  if (previous && !reusePath) {
+    URL.revokeObjectURL(previous.path)
+  }
+  
+  const path = reusePath
+    ? previous.path
+    : URL.createObjectURL(new Blob([model.data], { type: MODEL_FORMATS[format].mimeType }))
+  
+  customModels.set(model.id, {
+    icon: '📦',
+    defaultScale: 0.5,
+    description: 'Uploaded model',
+    ...model,
+    format,
+    path,
+    custom: true
+  })
+  modelListeners.forEach(fn => fn())
+}
+
+export function unregisterCustomModel(modelId) {
+  const model = customModels.get(modelId)
+  if (!model) return
+  
+  URL.revokeObjectURL(model.path)
+  customModels.delete(modelId)
+  modelListeners.forEach(fn => fn())
+}
+
+// Built-in models followed by custom models, for the model picker
+export function getModelList() {
+  return [...MODEL_LIST, ...customModels.values()]
+}
+
+export function subscribeToModels(fn) {
+  modelListeners.add(fn)
+  return () => modelListeners.delete(fn)
+}
+
+export function isCustomModel(modelId) {
+  return customModels.has(modelId)
+}
+
+// Get model by ID (built-in or custom)
 export function getModelById(modelId) {
-  return AVAILABLE_MODELS[modelId] || null
+  return AVAILABLE_MODELS[modelId] || customModels.get(modelId) || null
 }
 
 // Check if a shape value represents a model
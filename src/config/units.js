@@ -101,6 +101,14 @@ export function getMass(sceneMass) {
   return massToGrams(sceneMass)
 }
 
+// Convert a mass entered in the current unit (g or oz) to scene mass
+export function displayMassToMass(value) {
+  if (currentUnitSystem === 'imperial') {
+    return gramsToMass(value / GRAMS_TO_OZ)
+  }
+  return gramsToMass(value)
+}
+
 // Get length unit label
 export function getLengthUnit() {
   return currentUnitSystem === 'imperial' ? 'in' : 'cm'
@@ -177,6 +185,11 @@ export const METRIC_RANGES = {
     imperialStep: 0.2,
     unit: 'cm',
     imperialUnit: 'in'
+  },
+  // Pivot position: 10% to 90% of the arm's span (a fraction, the same in both unit systems)
+  pivotPosition: {
+    min: 0.1,
+    max: 0.9
   }
 }
 
@@ -201,26 +214,3 @@ export function getRangeDisplay(rangeKey) {
   }
 }
 
-// Wire gauge recommendations based on total supported weight
-export function getRecommendedWireGauge(totalWeightGrams) {
-  if (totalWeightGrams < 100) return { gauge: '24 AWG', diameter: '0.5mm' }
-  if (totalWeightGrams < 250) return { gauge: '22 AWG', diameter: '0.6mm' }
-  if (totalWeightGrams < 500) return { gauge: '20 AWG', diameter: '0.8mm' }
-  if (totalWeightGrams < 1000) return { gauge: '18 AWG', diameter: '1.0mm' }
-  return { gauge: '16 AWG', diameter: '1.3mm' }
-}
-
-// Arm material recommendations based on length
-export function getRecommendedArmMaterial(lengthCm) {
-  if (lengthCm <= 30) {
-    return { material: 'Wooden dowel or brass rod', diameter: '3-4mm' }
-  }
-  if (lengthCm <= 60) {
-    return { material: 'Wooden dowel or aluminum rod', diameter: '5-6mm' }
-  }
-  return { material: 'Wooden dowel or aluminum tube', diameter: '8-10mm' }
-}
-
-// Estimate wire weight per cm (approximate for thin craft wire)
-export const WIRE_WEIGHT_PER_CM = 0.05 // grams per cm (approximate)
-
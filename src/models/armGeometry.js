@@ -0,0 +1,243 @@
+// Arm rod geometry - straight rods and bent wire arms
+//
+// An arm's shape is stored on the node as:
+//   shape: { type: 'polyline' | 'bezier', points: [{ x, y }, ...] }
+// where each point is an interior control point of the rod:
+//   x = position across the arm's span (0 = left end, 1 = right end)
+//   y = height above the line joining the two ends (in length units)
+// The rod ends always sit at (0, 0) and (1, 0), so `length`, `pivotPosition`
+// and `attachPosition` keep measuring horizontal span as they do for straight arms.
+// Arms without a shape (or with type 'straight') are plain straight rods.
+
+export const ARM_SHAPE_TYPES = ['straight', 'polyline', 'bezier']
+
+// Maximum number of interior control points on a bent arm
+export const MAX_BEND_POINTS = 4
+
+// Maximum control point height above/below the rod line (length units, 30cm)
+export const MAX_BEND_HEIGHT = 3
+
+// Samples used to trace a Bézier arm for rendering and mass distribution
+const BEZIER_SAMPLES = 48
+
+// Straight segments used to approximate a Bézier arm when bending it by hand
+// and when building its physics colliders
+const BEZIER_BUILD_SEGMENTS = 8
+
+// Bends shallower than this (degrees) are not worth marking on a build sheet
+const MIN_BEND_ANGLE = 1
+
+// Default control points when an arm is first bent
+const DEFAULT_SHAPE_POINTS = {
+  polyline: [{ x: 0.5, y: 0.3 }],
+  bezier: [{ x: 0.33, y: 0.5 }, { x: 0.67, y: -0.5 }]
+}
+
+// Get the arm's shape type ('straight' when unset)
+export function getArmShapeType(arm) {
+  const type = arm?.shape?.type
+  return ARM_SHAPE_TYPES.includes(type) ? type : 'straight'
+}
+
+// Check if an arm is bent (has a curved or polyline shape with control points)
+export function isCurvedArm(arm) {
+  return getArmShapeType(arm) !== 'straight' && (arm.shape.points?.length ?? 0) > 0
+}
+
+// Clean up a shape: known type, control points clamped inside the span and sorted left to right
+export function normalizeArmShape(shape) {
+  const type = ARM_SHAPE_TYPES.includes(shape?.type) ? shape.type : 'straight'
+  if (type === 'straight') return { type, points: [] }
+  
+  const points = (shape.points ?? [])
+    .slice(0, MAX_BEND_POINTS)
+    .map(point => ({
+      x: Math.max(0.01, Math.min(0.99, Number(point.x) || 0.5)),
+      y: Math.max(-MAX_BEND_HEIGHT, Math.min(MAX_BEND_HEIGHT, Number(point.y) || 0))
+    }))
+    .sort((a, b) => a.x - b.x)
+  
+  return { type, points }
+}
+
+// Create a shape of the given type, keeping existing control points when switching between bent types
+export function createArmShape(type, previous) {
+  if (type === 'straight') return { type, points: [] }
+  
+  const points = previous?.points?.length ? previous.points : DEFAULT_SHAPE_POINTS[type]
+  return normalizeArmShape({ type, points })
+}
+
+// Control points including the two rod ends, in normalized span coordinates
+function getControlPoints(arm) {
+  const interior = isCurvedArm(arm) ? normalizeArmShape(arm.shape).points : []
+  return [{ x: 0, y: 0 }, ...interior, { x: 1, y: 0 }]
+}
+
+// Point on a Bézier curve of any degree (de Casteljau)
+function evaluateBezier(points, t) {
+  let current = points
+  while (current.length > 1) {
+    const next = []
+    for (let i = 0; i < current.length - 1; i++) {
+      next.push({
+        x: current[i].x + (current[i + 1].x - current[i].x) * t,
+        y: current[i].y + (current[i + 1].y - current[i].y) * t
+      })
+    }
+    current = next
+  }
+  return current[0]
+}
+
+// Trace the rod as a list of points in normalized span coordinates
+// Bézier arms are sampled with `samples` segments, polylines use their control points
+function getProfile(arm, samples = BEZIER_SAMPLES) {
+  const controlPoints = getControlPoints(arm)
+  
+  if (getArmShapeType(arm) !== 'bezier' || controlPoints.length <= 2) {
+    return controlPoints
+  }
+  
+  const profile = []
+  for (let i = 0; i <= samples; i++) {
+    profile.push(evaluateBezier(controlPoints, i / samples))
+  }
+  return profile
+}
+
+// Height of the rod at a position across the span (0-1), relative to the rod ends
+// Control points are sorted by x, so the traced profile never doubles back
+export function getArmHeightAt(arm, position) {
+  const profile = getProfile(arm)
+  
+  for (let i = 1; i < profile.length; i++) {
+    const a = profile[i - 1]
+    const b = profile[i]
+    if (position <= b.x || i === profile.length - 1) {
+      const t = b.x > a.x ? (position - a.x) / (b.x - a.x) : 0
+      return a.y + (b.y - a.y) * Math.max(0, Math.min(1, t))
+    }
+  }
+  
+  return 0
+}
+
+// Convert a profile point to arm-local coordinates (origin at the pivot, x along the span)
+function toLocal(arm, point, pivotHeight) {
+  return {
+    x: (point.x - arm.pivotPosition) * arm.length,
+    y: point.y - pivotHeight
+  }
+}
+
+// Point on the rod at a position across the span, relative to the pivot
+export function getArmLocalPoint(arm, position) {
+  return toLocal(arm, { x: position, y: getArmHeightAt(arm, position) }, getArmHeightAt(arm, arm.pivotPosition))
+}
+
+// The rod's centreline as points relative to the pivot, for rendering
+export function getArmLocalPath(arm) {
+  const pivotHeight = getArmHeightAt(arm, arm.pivotPosition)
+  return getProfile(arm).map(point => toLocal(arm, point, pivotHeight))
+}
+
+// Unbent length of the rod - the length of wire or rod stock needed to make it
+export function getArmRodLength(arm) {
+  if (!arm || arm.type !== 'arm') return 0
+  if (!isCurvedArm(arm)) return arm.length
+  
+  const path = getArmLocalPath(arm)
+  let total = 0
+  for (let i = 1; i < path.length; i++) {
+    total += Math.hypot(path[i].x - path[i - 1].x, path[i].y - path[i - 1].y)
+  }
+  return total
+}
+
+// Distance along the (unbent) rod from its left end to a position across the span
+// For straight rods this is simply position * length
+export function getArmDistanceAt(arm, position) {
+  if (!isCurvedArm(arm)) return position * arm.length
+  
+  const profile = getProfile(arm)
+  let distance = 0
+  for (let i = 1; i < profile.length; i++) {
+    const a = profile[i - 1]
+    const b = profile[i]
+    const t = b.x > a.x ? Math.max(0, Math.min(1, (position - a.x) / (b.x - a.x))) : 1
+    distance += t * Math.hypot((b.x - a.x) * arm.length, b.y - a.y)
+    if (position <= b.x) break
+  }
+  return distance
+}
+
+// Centroid of the rod, found by weighting each segment's midpoint by its length
+// (a uniform rod's mass is spread evenly along its curve, not its span)
+// Returns the normalized span position and the offset from the pivot
+export function getArmCentroid(arm) {
+  if (!isCurvedArm(arm)) {
+    return { position: 0.5, x: (0.5 - arm.pivotPosition) * arm.length, y: 0 }
+  }
+  
+  const path = getArmLocalPath(arm)
+  let total = 0
+  let sumX = 0
+  let sumY = 0
+  for (let i = 1; i < path.length; i++) {
+    const segment = Math.hypot(path[i].x - path[i - 1].x, path[i].y - path[i - 1].y)
+    total += segment
+    sumX += segment * (path[i].x + path[i - 1].x) / 2
+    sumY += segment * (path[i].y + path[i - 1].y) / 2
+  }
+  
+  const x = total > 0 ? sumX / total : (0.5 - arm.pivotPosition) * arm.length
+  const y = total > 0 ? sumY / total : 0
+  
+  return { position: arm.pivotPosition + x / arm.length, x, y }
+}
+
+// Straight pieces a bent arm is built from, relative to the pivot:
+// polylines use their own control points, Bézier arms a coarse approximation
+function getBuildPath(arm) {
+  const pivotHeight = getArmHeightAt(arm, arm.pivotPosition)
+  return getProfile(arm, BEZIER_BUILD_SEGMENTS).map(point => toLocal(arm, point, pivotHeight))
+}
+
+// Straight segments of the rod (center, length and angle), used for compound colliders
+export function getArmSegments(arm) {
+  const path = getBuildPath(arm)
+  const segments = []
+  
+  for (let i = 1; i < path.length; i++) {
+    const a = path[i - 1]
+    const b = path[i]
+    segments.push({
+      center: [(a.x + b.x) / 2, (a.y + b.y) / 2],
+      length: Math.hypot(b.x - a.x, b.y - a.y),
+      angle: Math.atan2(b.y - a.y, b.x - a.x)
+    })
+  }
+  
+  return segments
+}
+
+// Bend points for the build sheet: where to bend the straight rod stock
+// distance = along the unbent rod from the left end (length units)
+// angle = bend in degrees (positive = the rod turns upward)
+export function getArmBendPoints(arm) {
+  if (!isCurvedArm(arm)) return []
+  
+  const profile = getProfile(arm, BEZIER_BUILD_SEGMENTS)
+  const segments = getArmSegments(arm)
+  const bends = []
+  
+  for (let i = 1; i < segments.length; i++) {
+    const angle = (segments[i].angle - segments[i - 1].angle) * 180 / Math.PI
+    if (Math.abs(angle) >= MIN_BEND_ANGLE) {
+      bends.push({ distance: getArmDistanceAt(arm, profile[i].x), angle })
+    }
+  }
+  
+  return bends
+}
@@ -0,0 +1,409 @@
+// Mobile file format: version, migrations and validation
+//
+// Exported files, stored projects and share links all hold:
+//   { version, createdAt?, app?, tree }
+// where `tree` is an arm or weight node without IDs (see stripIdsForExport).
+//
+// Loading a file runs it through:
+// 1. migrateMobileJSON - upgrades older versions step by step to MOBILE_FORMAT_VERSION
+// 2. validateMobileTree - checks every field against the schema below. Problems that
+//    would break rendering (a missing mass, a malformed child, an unknown model) are
+//    errors and reject the file; values that can be repaired (out of range, unknown
+//    material) are clamped or reset to their defaults and reported as warnings.
+// Files may also hold `models`: uploaded weight models embedded by exportMobileToJSON.
+// Valid ones are registered before the tree is checked, so weights using them resolve.
+// Each problem carries the path of the bad field, e.g. `tree.children[0].children[1].mass`.
+
+import { METRIC_RANGES, lengthToCm, massToGrams } from '../config/units'
+import { ARM_MATERIALS, WIRE_GAUGES, WIRE_MATERIALS, getArmMaterialById } from '../config/materials'
+import { getModelById, registerCustomModel, CUSTOM_MODEL_PREFIX, MODEL_FORMATS } from '../config/models'
+import { base64ToArrayBuffer } from '../utils/base64'
+import { ARM_SHAPE_TYPES, normalizeArmShape } from './armGeometry'
+
+// Version written by exportMobileToJSON
+// Version history:
+// - 1.0: binary arms (leftChild/rightChild)
+// - 1.1: arms hold an ordered `children` list with per-child attachPosition
+export const MOBILE_FORMAT_VERSION = '1.1'
+
+// Fewest and most hanging points on a single arm
+export const MIN_ARM_CHILDREN = 2
+export const MAX_ARM_CHILDREN = 5
+
+// Steepest resting angle an arm can be set to hang at (degrees either way)
+export const MAX_TARGET_TILT = 45
+
+// Most problems listed in an error message (the rest are counted)
+const MAX_REPORTED_PROBLEMS = 8
+
+export const WEIGHT_SHAPES = ['sphere', 'cube', 'cylinder', 'cone', 'torus', 'octahedron', 'tetrahedron', 'disk', 'organic', 'model']
+
+// Field schemas. Each field has a type and optionally:
+// - required: missing or invalid values are errors (otherwise they fall back to defaults)
+// - min/max: numbers outside are clamped (scene units, matching the editor's sliders)
+// - unit: 'length' or 'mass', to show values in cm or g in messages
+// - values: allowed values for enums
+// - default: value used when an invalid value is dropped (otherwise the field is removed
+//   and the app's usual fallback applies)
+const COMMON_FIELDS = {
+  wireLength: { type: 'number', unit: 'length', min: METRIC_RANGES.wireLength.min, max: METRIC_RANGES.wireLength.max },
+  wireGauge: { type: 'enum', values: Object.keys(WIRE_GAUGES) },
+  wireMaterial: { type: 'enum', values: Object.keys(WIRE_MATERIALS) },
+  attachPosition: { type: 'number', min: 0, max: 1 },
+  // Auto-balance keeps this node's values (pivot, or mass and hanging point)
+  balanceLocked: { type: 'boolean' },
+  // Locked: kept by auto-balance and safe from delete, expand and pivot drags
+  locked: { type: 'boolean' }
+}
+
+const WEIGHT_FIELDS = {
+  ...COMMON_FIELDS,
+  mass: { type: 'number', required: true, unit: 'mass', min: METRIC_RANGES.weightMass.min, max: METRIC_RANGES.weightMass.max },
+  size: { type: 'number', required: true, unit: 'length', min: METRIC_RANGES.weightSize.min, max: METRIC_RANGES.weightSize.max },
+  shape: { type: 'enum', values: WEIGHT_SHAPES, default: 'sphere' },
+  color: { type: 'color', default: '#3b82f6' },
+  mount: { type: 'enum', values: ['wire', 'rigid'] },
+  // Same range as the thickness slider (2mm to 2cm)
+  thickness: { type: 'number', unit: 'length', min: 0.02, max: 0.2 },
+  blobPoints: { type: 'blobPoints' },
+  blobSeed: { type: 'number' },
+  modelId: { type: 'string' },
+  // Same range as the model scale slider (5% to 100%)
+  modelScale: { type: 'number', min: 0.05, max: 1 },
+  massSetByUser: { type: 'boolean' },
+  // Where the wire attaches, chosen by clicking on the weight
+  attachmentPoint: { type: 'point' },
+  // Bench mode: the finished weight's mass on the scale, kept beside the design mass
+  measuredMass: { type: 'number', unit: 'mass', min: 0 }
+}
+
+const ARM_FIELDS = {
+  ...COMMON_FIELDS,
+  length: { type: 'number', required: true, unit: 'length', min: METRIC_RANGES.armLength.min, max: METRIC_RANGES.armLength.max },
+  // Same limits the pivot handle and auto-balance keep to
+  pivotPosition: { type: 'number', required: true, min: METRIC_RANGES.pivotPosition.min, max: METRIC_RANGES.pivotPosition.max },
+  material: { type: 'enum', values: Object.keys(ARM_MATERIALS) },
+  diameter: { type: 'number' },
+  shape: { type: 'armShape' },
+  // Resting angle the arm is composed to hang at (degrees, positive = left end down)
+  targetTilt: { type: 'number', min: -MAX_TARGET_TILT, max: MAX_TARGET_TILT },
+  // Bench mode: where the pivot hole was actually drilled, beside the design pivot
+  drilledPivot: { type: 'number', min: 0, max: 1 },
+  children: { type: 'children' }
+}
+
+// Convert binary arms from version 1.0 files (leftChild/rightChild)
+// to the children list, hanging the old children at the rod ends
+export function convertLegacyArms(node) {
+  if (!node || node.type !== 'arm') return node
+  
+  if (node.children) {
+    return Array.isArray(node.children)
+      ? { ...node, children: node.children.map(convertLegacyArms) }
+      : node
+  }
+  
+  const { leftChild, rightChild, ...rest } = node
+  const children = []
+  if (leftChild) children.push({ ...convertLegacyArms(leftChild), attachPosition: 0 })
+  if (rightChild) children.push({ ...convertLegacyArms(rightChild), attachPosition: 1 })
+  
+  return { ...rest, children }
+}
+
+// Migrations from each old version to the next one
+const MIGRATIONS = {
+  '1.0': (json) => ({ ...json, version: '1.1', tree: convertLegacyArms(json.tree) })
+}
+
+// Compare 'major.minor' version strings (negative if a is older than b)
+function compareVersions(a, b) {
+  const [aMajor = 0, aMinor = 0] = String(a).split('.').map(Number)
+  const [bMajor = 0, bMinor = 0] = String(b).split('.').map(Number)
+  return aMajor !== bMajor ? aMajor - bMajor : aMinor - bMinor
+}
+
+// Upgrade a file to the current format version
+// Files without a version predate versioning and are treated as 1.0
+export function migrateMobileJSON(json) {
+  let current = { ...json, version: json.version == null ? '1.0' : String(json.version) }
+  
+  while (current.version !== MOBILE_FORMAT_VERSION) {
+    const migrate = MIGRATIONS[current.version]
+    if (!migrate) {
+      if (compareVersions(current.version, MOBILE_FORMAT_VERSION) > 0) {
+        throw new Error(`This file was made with a newer version of the app (format ${current.version}). Update the app to open it.`)
+      }
+      throw new Error(`Unknown file format version: ${current.version}`)
+    }
+    current = migrate(current)
+  }
+  
+  return current
+}
+
+function describeValue(value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'a list'
+  if (typeof value === 'string') return `"${value.length > 20 ? `${value.slice(0, 20)}…` : value}"`
+  if (typeof value === 'object') return 'an object'
+  return String(value)
+}
+
+// Format a number for messages, in cm or g where the field has a unit
+function formatNumber(value, spec) {
+  const round = (n) => Number(n.toFixed(2))
+  if (spec.unit === 'length') return `${round(lengthToCm(value))}cm`
+  if (spec.unit === 'mass') return `${round(massToGrams(value))}g`
+  return String(round(value))
+}
+
+function isValidBlobPoint(point) {
+  return point && Number.isFinite(point.x) && Number.isFinite(point.y)
+}
+
+// Check one field; returns the value to keep, or undefined to drop the field
+function validateField(value, spec, path, problems) {
+  const error = (message) => problems.errors.push({ path, message })
+  const warn = (message) => problems.warnings.push({ path, message })
+  
+  switch (spec.type) {
+    case 'number': {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        if (spec.required) {
+          error(`must be a number (got ${describeValue(value)})`)
+        } else {
+          warn(`must be a number (got ${describeValue(value)}), using the default`)
+        }
+        return undefined
+      }
+      if (spec.min !== undefined && value < spec.min) {
+        warn(`${formatNumber(value, spec)} is below the minimum ${formatNumber(spec.min, spec)}, clamped`)
+        return spec.min
+      }
+      if (spec.max !== undefined && value > spec.max) {
+        warn(`${formatNumber(value, spec)} is above the maximum ${formatNumber(spec.max, spec)}, clamped`)
+        return spec.max
+      }
+      return value
+    }
+    
+    case 'enum':
+      if (!spec.values.includes(value)) {
+        warn(`unknown value ${describeValue(value)}, using the default`)
+        return undefined
+      }
+      return value
+    
+    case 'string':
+      if (typeof value !== 'string') {
+        warn(`must be text (got ${describeValue(value)}), ignored`)
+        return undefined
+      }
+      return value
+    
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        warn(`must be true or false (got ${describeValue(value)}), ignored`)
+        return undefined
+      }
+      return value
+    
+    case 'color':
+      if (typeof value !== 'string' || !/^#[0-9a-f]{6}$/i.test(value)) {
+        warn(`must be a color like #3b82f6 (got ${describeValue(value)}), using the default`)
+        return undefined
+      }
+      return value
+    
+    case 'blobPoints':
+      if (!Array.isArray(value) || value.length < 3 || !value.every(isValidBlobPoint)) {
+        warn('malformed organic outline, a new one will be generated')
+        return undefined
+      }
+      return value
+    
+    case 'point':
+      if (!value || typeof value !== 'object' || !['x', 'y', 'z'].every(axis => Number.isFinite(value[axis]))) {
+        warn('malformed point, ignored')
+        return undefined
+      }
+      return { x: value.x, y: value.y, z: value.z }
+    
+    case 'armShape': {
+      if (!value || typeof value !== 'object' || !ARM_SHAPE_TYPES.includes(value.type)) {
+        warn(`unknown arm shape ${describeValue(value?.type ?? value)}, using a straight rod`)
+        return undefined
+      }
+      if (value.points !== undefined && (!Array.isArray(value.points) || !value.points.every(isValidBlobPoint))) {
+        warn('malformed bend points, using a straight rod')
+        return undefined
+      }
+      const shape = normalizeArmShape(value)
+      return shape.type === 'straight' ? undefined : shape
+    }
+    
+    default:
+      return value
+  }
+}
+
+// Validate a node and its subtree, returning a cleaned copy
+// `modelIds` are models the file brings along, which count as known
+function validateNode(node, path, problems, modelIds) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    problems.errors.push({ path, message: `must be an arm or weight (got ${describeValue(node)})` })
+    return null
+  }
+  if (node.type !== 'arm' && node.type !== 'weight') {
+    problems.errors.push({ path: `${path}.type`, message: `must be "arm" or "weight" (got ${describeValue(node.type)})` })
+    return null
+  }
+  
+  const fields = node.type === 'arm' ? ARM_FIELDS : WEIGHT_FIELDS
+  const result = {}
+  
+  // Fields keep their order; unknown fields are kept as they are,
+  // so newer optional data survives a round trip
+  for (const [key, value] of Object.entries(node)) {
+    const spec = fields[key]
+    if (!spec) {
+      result[key] = value
+      continue
+    }
+    if (spec.type === 'children' || value === undefined || (value === null && !spec.required)) continue
+    
+    const checked = validateField(value, spec, `${path}.${key}`, problems) ?? spec.default
+    if (checked !== undefined) result[key] = checked
+  }
+  
+  for (const [key, spec] of Object.entries(fields)) {
+    if (spec.required && node[key] === undefined) {
+      problems.errors.push({ path: `${path}.${key}`, message: 'is missing' })
+    }
+  }
+  
+  if (node.type === 'weight') {
+    // Models must exist in this app, or there is nothing to render
+    if (result.shape === 'model' && !getModelById(result.modelId) && !modelIds.includes(result.modelId)) {
+      problems.errors.push({ path: `${path}.modelId`, message: `unknown model ${describeValue(node.modelId)}` })
+    }
+    return result
+  }
+  
+  // Diameter must be one the material is sold in
+  if (result.diameter !== undefined) {
+    const material = getArmMaterialById(result.material)
+    if (!material.diameters.includes(result.diameter)) {
+      problems.warnings.push({
+        path: `${path}.diameter`,
+        message: `${result.diameter}mm is not available for ${material.name.toLowerCase()}, using ${material.defaultDiameter}mm`
+      })
+      result.diameter = material.defaultDiameter
+    }
+  }
+  
+  const children = node.children
+  if (!Array.isArray(children)) {
+    problems.errors.push({ path: `${path}.children`, message: `must be a list of arms and weights (got ${describeValue(children)})` })
+    result.children = []
+  } else if (children.length < MIN_ARM_CHILDREN) {
+    problems.errors.push({ path: `${path}.children`, message: `an arm needs at least ${MIN_ARM_CHILDREN} hanging elements (got ${children.length})` })
+    result.children = []
+  } else if (children.length > MAX_ARM_CHILDREN) {
+    problems.errors.push({ path: `${path}.children`, message: `an arm can hold at most ${MAX_ARM_CHILDREN} hanging elements (got ${children.length})` })
+    result.children = []
+  } else {
+    result.children = children.map((child, index) => validateNode(child, `${path}.children[${index}]`, problems, modelIds))
+  }
+  
+  return result
+}
+
+// Validate a (current version) tree; `modelIds` are uploaded models that come with it
+// Returns { tree, errors, warnings }; `tree` is the cleaned copy and is only usable without errors
+export function validateMobileTree(tree, modelIds = []) {
+  const problems = { errors: [], warnings: [] }
+  const cleaned = validateNode(tree, 'tree', problems, modelIds)
+  return { tree: cleaned, ...problems }
+}
+
+// Decode embedded models ({ [modelId]: { name, format, baseScale, defaultScale?, thumbnail?, data } });
+// broken entries are skipped with a warning (weights using them then fail
+// validation as unknown models)
+function readEmbeddedModels(models, problems) {
+  if (models === undefined) return []
+  if (!models || typeof models !== 'object' || Array.isArray(models)) {
+    problems.warnings.push({ path: 'models', message: `must be an object (got ${describeValue(models)}), ignored` })
+    return []
+  }
+  
+  const records = []
+  for (const [id, entry] of Object.entries(models)) {
+    const path = `models.${id}`
+    if (!id.startsWith(CUSTOM_MODEL_PREFIX)) {
+      problems.warnings.push({ path, message: 'not an uploaded model ID, ignored' })
+      continue
+    }
+    if (!entry || !MODEL_FORMATS[entry.format] || typeof entry.data !== 'string') {
+      problems.warnings.push({ path, message: 'malformed model, ignored' })
+      continue
+    }
+    
+    let data
+    try {
+      data = base64ToArrayBuffer(entry.data)
+    } catch {
+      problems.warnings.push({ path: `${path}.data`, message: 'model data is corrupted, ignored' })
+      continue
+    }
+    
+    const record = {
+      id,
+      name: typeof entry.name === 'string' && entry.name ? entry.name : 'Uploaded model',
+      format: entry.format,
+      data,
+      thumbnail: typeof entry.thumbnail === 'string' && entry.thumbnail.startsWith('data:image/') ? entry.thumbnail : null,
+      baseScale: Number.isFinite(entry.baseScale) && entry.baseScale > 0 ? entry.baseScale : 1,
+      ...(Number.isFinite(entry.defaultScale) ? { defaultScale: Math.max(0.05, Math.min(1, entry.defaultScale)) } : {}),
+      createdAt: Date.now()
+    }
+    records.push(record)
+  }
+  return records
+}
+
+// Format problems as "path: message" lines for display
+export function formatProblems(problems) {
+  const lines = problems.slice(0, MAX_REPORTED_PROBLEMS).map(({ path, message }) => `${path}: ${message}`)
+  if (problems.length > MAX_REPORTED_PROBLEMS) {
+    lines.push(`…and ${problems.length - MAX_REPORTED_PROBLEMS} more`)
+  }
+  return lines.join('\n')
+}
+
+// Migrate and validate a file
+// Returns { tree, models, warnings } for a usable file (`models` are the embedded models);
+// throws an Error listing every problem otherwise
+export function parseMobileJSON(json) {
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    throw new Error('Invalid mobile format: not a mobile file')
+  }
+  if (!json.tree) {
+    throw new Error('Invalid mobile format: missing tree data')
+  }
+  
+  const migrated = migrateMobileJSON(json)
+  const modelProblems = { errors: [], warnings: [] }
+  const models = readEmbeddedModels(migrated.models, modelProblems)
+  const { tree, errors, warnings } = validateMobileTree(migrated.tree, models.map(model => model.id))
+  
+  if (errors.length > 0) {
+    throw new Error(`Invalid mobile format:\n${formatProblems(errors)}`)
+  }
+  
+  // Only a usable file adds its models to the library
+  models.forEach(registerCustomModel)
+  
+  return { tree, models, warnings: [...modelProblems.warnings, ...warnings] }
+}
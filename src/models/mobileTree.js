@@ -3,6 +3,13 @@
 // - 1 scene unit = 10 cm for lengths
 // - 1 mass unit = 50 grams for weights
 
+import { getArmRodLength, getArmHeightAt } from './armGeometry'
+import { getArmMaterialSpec, getArmMassPerCm, getWireSpec, getWireMassPerCm } from '../config/materials'
+import { lengthToCm, gramsToMass } from '../config/units'
+import { MOBILE_FORMAT_VERSION, convertLegacyArms, parseMobileJSON } from './mobileSchema'
+import { getModelById, isCustomModel } from '../config/models'
+import { arrayBufferToBase64 } from '../utils/base64'
+
 let idCounter = 0
 
 export function generateId() {
@@ -59,6 +66,9 @@ export function createWeight(overrides = {}) {
     size: 0.3,         // 3cm diameter default (for primitive shapes)
     color: '#3b82f6',
     wireLength: 0.7,   // 7cm wire length default
+    wireGauge: 'awg20',    // Suspension wire gauge (see config/materials.js)
+    wireMaterial: 'steel', // Suspension wire material
+    mount: 'wire',     // 'wire' (hangs from a wire) or 'rigid' (fixed directly to the rod, wireLength ignored)
     // Disk and organic shape properties:
     thickness: 0.05,   // 0.5cm thickness default for disk/organic shapes
     // Organic blob shape properties:
@@ -72,6 +82,8 @@ export function createWeight(overrides = {}) {
   }
 }
 
+// Arms carry an ordered list of children. Each child records where it hangs
+// along the rod in `attachPosition` (0 = left end, 1 = right end).
 export function createArm(overrides = {}) {
   return {
     id: generateId(),
@@ -79,8 +91,11 @@ export function createArm(overrides = {}) {
     length: 2,         // 20cm default
     pivotPosition: 0.5,
     wireLength: 0.7,   // 7cm wire length default
-    leftChild: null,
-    rightChild: null,
+    wireGauge: 'awg20',    // Suspension wire gauge (see config/materials.js)
+    wireMaterial: 'steel', // Suspension wire material
+    material: 'steel', // Rod material (see config/materials.js)
+    diameter: 2,       // Rod diameter in mm
+    children: [],
     ...overrides
   }
 }
@@ -93,23 +108,85 @@ export function createInitialMobile() {
     pivotPosition: 0.5
   })
   
-  rootArm.leftChild = createWeight({ color: '#f97316' })  // Orange
-  rootArm.rightChild = createWeight({ color: '#8b5cf6' }) // Purple
+  rootArm.children = [
+    createWeight({ color: '#f97316', attachPosition: 0 }), // Orange
+    createWeight({ color: '#8b5cf6', attachPosition: 1 })  // Purple
+  ]
   
   return rootArm
 }
 
+// Get the children of a node (empty for weights)
+export function getChildren(node) {
+  if (!node || node.type !== 'arm') return []
+  return node.children ?? []
+}
+
+// Position of a child along its parent's rod (0 = left end, 1 = right end)
+export function getAttachPosition(child) {
+  return child?.attachPosition ?? 0.5
+}
+
+// Signed distance from an arm's pivot to a child's hanging point
+// Negative = left of pivot, positive = right of pivot
+export function getAttachOffset(arm, child) {
+  return (getAttachPosition(child) - arm.pivotPosition) * arm.length
+}
+
+// Weights can hang from a wire (default) or be rigidly mounted on the rod,
+// like the plates fixed to the wire tips of classic Calder arms
+export function isRigidMount(node) {
+  return node?.type === 'weight' && node.mount === 'rigid'
+}
+
+// How far beyond the rod tip a rigidly mounted weight's center of gravity sits, at the
+// left (outward = -1) or right (1) end. Models measure it from their CoG to the side of
+// their scaled bounding box that meets the rod (`mountReach`, set by GLBWeight.jsx once
+// the model loads); other shapes use their size.
+function getRigidMountReach(weight, outward) {
+  if (weight.shape === 'model') {
+    const reach = outward < 0 ? weight.mountReach?.right : weight.mountReach?.left
+    if (Number.isFinite(reach)) return reach
+  }
+  return weight.size ?? 0
+}
+
+// Signed distance from an arm's pivot to a rigidly mounted weight's center of gravity.
+// Weights mounted at a rod end sit just beyond the tip, in line with the rod;
+// anywhere else they are centered on the rod.
+export function getRigidMountOffset(arm, weight) {
+  const attachPosition = getAttachPosition(weight)
+  const outward = attachPosition <= 0 ? -1 : attachPosition >= 1 ? 1 : 0
+  if (outward === 0) return getAttachOffset(arm, weight)
+  return getAttachOffset(arm, weight) + outward * getRigidMountReach(weight, outward)
+}
+
+// Position along the rod (as a fraction of its length) where a child's weight acts:
+// the hanging point for wired children, the center of gravity for rigid mounts
+export function getLoadPosition(arm, child) {
+  if (isRigidMount(child)) {
+    return arm.pivotPosition + getRigidMountOffset(arm, child) / arm.length
+  }
+  return getAttachPosition(child)
+}
+
+// Point on the arm (relative to its pivot, before tilt) where a child is attached:
+// the hanging point for wired children, the center of gravity for rigid mounts.
+// On bent arms the point follows the rod's curve.
+export function getAttachPoint(arm, child) {
+  const x = isRigidMount(child) ? getRigidMountOffset(arm, child) : getAttachOffset(arm, child)
+  const y = getArmHeightAt(arm, getAttachPosition(child)) - getArmHeightAt(arm, arm.pivotPosition)
+  return { x, y }
+}
+
 // Find a node by ID in the tree
 export function findNode(root, id) {
   if (!root) return null
   if (root.id === id) return root
   
-  if (root.type === 'arm') {
-    const leftResult = findNode(root.leftChild, id)
-    if (leftResult) return leftResult
-    
-    const rightResult = findNode(root.rightChild, id)
-    if (rightResult) return rightResult
+  for (const child of getChildren(root)) {
+    const result = findNode(child, id)
+    if (result) return result
   }
   
   return null
@@ -120,12 +197,9 @@ export function findParent(root, id, parent = null) {
   if (!root) return null
   if (root.id === id) return parent
   
-  if (root.type === 'arm') {
-    const leftResult = findParent(root.leftChild, id, root)
-    if (leftResult) return leftResult
-    
-    const rightResult = findParent(root.rightChild, id, root)
-    if (rightResult) return rightResult
+  for (const child of getChildren(root)) {
+    const result = findParent(child, id, root)
+    if (result) return result
   }
   
   return null
@@ -141,33 +215,43 @@ export function cloneTree(node) {
   
   return {
     ...node,
-    leftChild: cloneTree(node.leftChild),
-    rightChild: cloneTree(node.rightChild)
+    children: getChildren(node).map(cloneTree)
   }
 }
 
-// Arm mass constants (should match balanceSolver.js)
-const ARM_BASE_MASS = 0.1
-const ARM_MASS_PER_LENGTH = 0.05
-
-// Calculate arm mass based on length
+// Calculate arm mass from its material: density × cross-section × length
+// (the unbent length for bent arms). This is the single source of arm mass
+// for the solver, auto-balance and the physics simulation.
 export function calculateArmMass(node) {
   if (!node || node.type !== 'arm') return 0
-  return ARM_BASE_MASS + node.length * ARM_MASS_PER_LENGTH
+  const { material, diameter } = getArmMaterialSpec(node)
+  const grams = getArmMassPerCm(material.id, diameter) * lengthToCm(getArmRodLength(node))
+  return gramsToMass(grams)
+}
+
+// Calculate the mass of the wire a node hangs from (rigid mounts have none)
+// Wire mass = density × cross-section × length, from the connection's gauge and material
+export function calculateWireMass(node) {
+  if (!node || isRigidMount(node)) return 0
+  const { gauge, material } = getWireSpec(node)
+  const grams = getWireMassPerCm(gauge.id, material.id) * lengthToCm(node.wireLength ?? 0.7)
+  return gramsToMass(grams)
 }
 
-// Calculate total mass of a subtree (including arm mass)
+// Calculate total mass of a subtree (including arm and suspension wire mass)
+// A node's own suspension wire hangs with it, so it counts towards the node's subtree;
+// the wire hangs straight down from the attachment point, so its mass acts there too
 export function calculateSubtreeMass(node) {
   if (!node) return 0
   
   if (node.type === 'weight') {
-    return node.mass
+    return node.mass + calculateWireMass(node)
   }
   
   if (node.type === 'arm') {
-    // Include the arm's own mass plus all children
-    const armMass = calculateArmMass(node)
-    const childrenMass = calculateSubtreeMass(node.leftChild) + calculateSubtreeMass(node.rightChild)
+    // Include the arm's own mass and wire plus all children
+    const armMass = calculateArmMass(node) + calculateWireMass(node)
+    const childrenMass = getChildren(node).reduce((sum, child) => sum + calculateSubtreeMass(child), 0)
     return armMass + childrenMass
   }
   
@@ -182,10 +266,7 @@ export function calculateDepth(node) {
     return 1
   }
   
-  return 1 + Math.max(
-    calculateDepth(node.leftChild),
-    calculateDepth(node.rightChild)
-  )
+  return 1 + Math.max(0, ...getChildren(node).map(calculateDepth))
 }
 
 // Count total nodes
@@ -196,13 +277,14 @@ export function countNodes(node) {
     return 1
   }
   
-  return 1 + countNodes(node.leftChild) + countNodes(node.rightChild)
+  return 1 + getChildren(node).reduce((sum, child) => sum + countNodes(child), 0)
 }
 
 // Check if we can add more depth (max 5 levels)
 export function canExpandAt(root, weightId) {
   const weight = findNode(root, weightId)
   if (!weight || weight.type !== 'weight') return false
+  if (isNodeLocked(weight)) return false
   
   // Count depth from root to this weight
   let depth = 0
@@ -212,12 +294,9 @@ export function canExpandAt(root, weightId) {
     if (!node) return -1
     if (node.id === targetId) return currentDepth
     
-    if (node.type === 'arm') {
-      const leftDepth = findDepth(node.leftChild, targetId, currentDepth + 1)
-      if (leftDepth !== -1) return leftDepth
-      
-      const rightDepth = findDepth(node.rightChild, targetId, currentDepth + 1)
-      if (rightDepth !== -1) return rightDepth
+    for (const child of getChildren(node)) {
+      const childDepth = findDepth(child, targetId, currentDepth + 1)
+      if (childDepth !== -1) return childDepth
     }
     
     return -1
@@ -229,15 +308,52 @@ export function canExpandAt(root, weightId) {
   return depth < 5
 }
 
-// Get which side of parent this node is on
-export function getNodeSide(root, nodeId) {
+// Locked nodes keep their hand tuning: auto-balance leaves their values alone, the
+// pivot handle can't move a locked arm's pivot, and a locked node can't be deleted
+// (nor any arm above it) or, for a weight, expanded. The lock covers the node
+// itself: its other fields stay editable, and its siblings can still be deleted or expanded
+export function isNodeLocked(node) {
+  return node?.locked === true
+}
+
+// Whether a node or anything hanging below it is locked
+export function hasLockedNode(node) {
+  if (!node) return false
+  return isNodeLocked(node) || getChildren(node).some(hasLockedNode)
+}
+
+// Any node but the root can be deleted, unless deleting it would take a locked node
+// with it; as with canExpandAt, a locked parent doesn't matter
+export function canDeleteNode(root, nodeId) {
+  if (!root || root.id === nodeId) return false
+  const node = findNode(root, nodeId)
+  return !!node && !hasLockedNode(node)
+}
+
+// Get the index of a node within its parent's children (-1 if not found)
+export function getChildIndex(root, nodeId) {
   const parent = findParent(root, nodeId)
-  if (!parent) return null
+  if (!parent) return -1
   
-  if (parent.leftChild && parent.leftChild.id === nodeId) return 'left'
-  if (parent.rightChild && parent.rightChild.id === nodeId) return 'right'
+  return getChildren(parent).findIndex(child => child.id === nodeId)
+}
+
+// Pick a hanging position for a new child: the middle of the widest
+// free stretch of rod between existing hanging points (or the rod ends)
+export function findFreeAttachPosition(arm) {
+  const positions = [0, ...getChildren(arm).map(getAttachPosition), 1].sort((a, b) => a - b)
+  
+  let bestPosition = 0.5
+  let widestGap = -1
+  for (let i = 0; i < positions.length - 1; i++) {
+    const gap = positions[i + 1] - positions[i]
+    if (gap > widestGap) {
+      widestGap = gap
+      bestPosition = (positions[i] + positions[i + 1]) / 2
+    }
+  }
   
-  return null
+  return bestPosition
 }
 
 // Collect all arms in the tree (for build specs)
@@ -246,8 +362,7 @@ export function collectArms(node, arms = []) {
   
   if (node.type === 'arm') {
     arms.push(node)
-    collectArms(node.leftChild, arms)
-    collectArms(node.rightChild, arms)
+    getChildren(node).forEach(child => collectArms(child, arms))
   }
   
   return arms
@@ -260,8 +375,7 @@ export function collectWeights(node, weights = []) {
   if (node.type === 'weight') {
     weights.push(node)
   } else if (node.type === 'arm') {
-    collectWeights(node.leftChild, weights)
-    collectWeights(node.rightChild, weights)
+    getChildren(node).forEach(child => collectWeights(child, weights))
   }
   
   return weights
@@ -272,15 +386,15 @@ export function calculateTotalWireLength(node) {
   if (!node) return 0
   
   if (node.type === 'weight') {
-    return node.wireLength ?? 0.7
+    // Rigidly mounted weights need no suspension wire
+    return isRigidMount(node) ? 0 : (node.wireLength ?? 0.7)
   }
   
   if (node.type === 'arm') {
     // Arm's own wire (except root) + children's wires
     const ownWire = node.wireLength ?? 0.7
-    const leftWire = calculateTotalWireLength(node.leftChild)
-    const rightWire = calculateTotalWireLength(node.rightChild)
-    return ownWire + leftWire + rightWire
+    const childrenWire = getChildren(node).reduce((sum, child) => sum + calculateTotalWireLength(child), 0)
+    return ownWire + childrenWire
   }
   
   return 0
@@ -304,15 +418,14 @@ export function createMobileFromPreset(presetTree) {
       return {
         ...node,
         id: generateId(),
-        leftChild: assignIds(node.leftChild),
-        rightChild: assignIds(node.rightChild)
+        children: getChildren(node).map(assignIds).filter(Boolean)
       }
     }
     
     return null
   }
   
-  return assignIds(presetTree)
+  return assignIds(convertLegacyArms(presetTree))
 }
 
 // Strip IDs from tree for export (IDs are regenerated on import)
@@ -325,45 +438,68 @@ export function stripIdsForExport(node) {
   }
   
   if (node.type === 'arm') {
-    const { id, leftChild, rightChild, ...rest } = node
+    const { id, children, ...rest } = node
     return {
       ...rest,
-      leftChild: stripIdsForExport(leftChild),
-      rightChild: stripIdsForExport(rightChild)
+      children: getChildren(node).map(stripIdsForExport)
     }
   }
   
   return null
 }
 
+// Custom (uploaded) models used by weights in the mobile, in export format:
+// { [modelId]: { name, format, baseScale, defaultScale, thumbnail, data } } with `data` in base64
+function collectCustomModels(mobile) {
+  const models = {}
+  collectWeights(mobile).forEach(weight => {
+    if (weight.shape !== 'model' || !isCustomModel(weight.modelId) || models[weight.modelId]) return
+    
+    const model = getModelById(weight.modelId)
+    models[model.id] = {
+      name: model.name,
+      format: model.format,
+      baseScale: model.baseScale,
+      defaultScale: model.defaultScale,
+      ...(model.thumbnail ? { thumbnail: model.thumbnail } : {}),
+      data: arrayBufferToBase64(model.data)
+    }
+  })
+  return models
+}
+
 // Export mobile to JSON-serializable object
-export function exportMobileToJSON(mobile) {
+// (format versions and migrations are in mobileSchema.js)
+// With `embedModels`, uploaded models used by weights are included, so the file opens
+// on another computer; stored projects leave them out (they live in the model library)
+export function exportMobileToJSON(mobile, { embedModels = false } = {}) {
   const tree = stripIdsForExport(mobile)
+  const models = embedModels ? collectCustomModels(mobile) : {}
   
   return {
-    version: '1.0',
+    version: MOBILE_FORMAT_VERSION,
     createdAt: new Date().toISOString(),
     app: 'Calder Creator',
-    tree
+    tree,
+    ...(Object.keys(models).length > 0 ? { models } : {})
   }
 }
 
-// Import mobile from JSON object
-export function importMobileFromJSON(json) {
-  // Validate basic structure
-  if (!json || !json.tree) {
-    throw new Error('Invalid mobile format: missing tree data')
-  }
-  
-  const { tree } = json
-  
-  // Validate tree structure
-  if (!tree.type || (tree.type !== 'arm' && tree.type !== 'weight')) {
-    throw new Error('Invalid mobile format: root must be an arm or weight')
-  }
+// Read a mobile from a JSON object: older versions are migrated, every field is
+// validated, and out-of-range values are clamped
+// Returns { mobile, models, warnings }: `models` lists the uploaded models embedded
+// in the file (already registered), `warnings` has one { path, message } per repaired field;
+// throws if the file can't be used, listing the path of each bad field
+export function readMobileJSON(json) {
+  const { tree, models, warnings } = parseMobileJSON(json)
   
   // Use createMobileFromPreset to assign fresh IDs
-  return createMobileFromPreset(tree)
+  return { mobile: createMobileFromPreset(tree), models, warnings }
+}
+
+// Import mobile from JSON object
+export function importMobileFromJSON(json) {
+  return readMobileJSON(json).mobile
 }
 
 // Calculate mobile dimensions (width and height in scene units)
@@ -392,12 +528,13 @@ export function calculateMobileDimensions(node) {
       bounds.minX = Math.min(bounds.minX, x - leftDist)
       bounds.maxX = Math.max(bounds.maxX, x + rightDist)
       
-      // Children hang below
-      const leftWire = node.leftChild?.wireLength ?? 0.7
-      const rightWire = node.rightChild?.wireLength ?? 0.7
-      
-      calculateBounds(node.leftChild, x - leftDist, y + leftWire, bounds)
-      calculateBounds(node.rightChild, x + rightDist, y + rightWire, bounds)
+      // Children hang below their attachment points (rigid mounts sit on the rod)
+      // y grows downward here, so points raised by a bent rod are subtracted
+      getChildren(node).forEach(child => {
+        const point = getAttachPoint(node, child)
+        const wire = isRigidMount(child) ? 0 : (child.wireLength ?? 0.7)
+        calculateBounds(child, x + point.x, y - point.y + wire, bounds)
+      })
     }
   }
   
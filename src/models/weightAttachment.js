@@ -0,0 +1,82 @@
+// Weight attachment points - where a hanging weight's wire is fixed
+//
+// A weight may store a point chosen by clicking on it:
+//   attachmentPoint: { x, y, z }
+// in the weight's own coordinates - model units for 3D models (before scaling),
+// multiples of `size` for primitive shapes, so the point stays put when the weight
+// is resized. Without one, models hang upright from the point analyzeGLTFScene picks
+// and primitives from their top.
+//
+// With a chosen point the weight turns to its true hanging orientation: its center
+// of gravity straight below the point. Only the weight's orientation changes - its
+// mass still acts at the end of the wire, so the balance is unaffected.
+
+import { isRigidMount } from './mobileTree'
+
+function isValidPoint(point) {
+  return Boolean(point) && Number.isFinite(point.x) && Number.isFinite(point.y) && Number.isFinite(point.z)
+}
+
+// Whether a weight hangs from a chosen point (rigid mounts have no wire to hang from)
+export function hasAttachmentPoint(node) {
+  return !isRigidMount(node) && isValidPoint(node.attachmentPoint)
+}
+
+// Center of gravity of a primitive shape in its mesh coordinates (as drawn by Weight.jsx)
+export function getPrimitiveCenterOfGravity(node) {
+  switch (node.shape) {
+    case 'cone':
+      // Solid cone: a quarter of the height above the base
+      return { x: 0, y: -node.size / 2, z: 0 }
+    case 'disk':
+      // Disks hang from their top edge
+      return { x: 0, y: -node.size, z: 0 }
+    case 'organic': {
+      // Organic shapes hang from their top edge, centered on their outline's centroid
+      const points = node.blobPoints
+      if (!Array.isArray(points) || points.length === 0) return { x: 0, y: 0, z: 0 }
+      const centroidY = points.reduce((sum, p) => sum + p.y, 0) / points.length
+      const maxY = Math.max(...points.map(p => p.y))
+      return { x: 0, y: -(maxY - centroidY) * node.size, z: 0 }
+    }
+    default:
+      return { x: 0, y: 0, z: 0 }
+  }
+}
+
+// A primitive's chosen point in mesh coordinates
+export function getPrimitiveAttachmentPoint(node) {
+  const { x, y, z } = node.attachmentPoint
+  return { x: x * node.size, y: y * node.size, z: z * node.size }
+}
+
+// Convert a clicked point in a primitive's mesh coordinates to the stored form
+export function toPrimitiveAttachmentPoint(node, point) {
+  return { x: point.x / node.size, y: point.y / node.size, z: point.z / node.size }
+}
+
+// Rotation (quaternion { x, y, z, w }) that hangs a weight from `attachmentPoint`:
+// the smallest turn that brings its center of gravity straight below the point
+export function getHangRotation(attachmentPoint, centerOfGravity) {
+  const dx = centerOfGravity.x - attachmentPoint.x
+  const dy = centerOfGravity.y - attachmentPoint.y
+  const dz = centerOfGravity.z - attachmentPoint.z
+  const length = Math.hypot(dx, dy, dz)
+  if (length < 1e-9) return { x: 0, y: 0, z: 0, w: 1 }
+  
+  // Rotate the unit vector u = d / |d| onto down = (0, -1, 0):
+  // q = (u × down, 1 + u · down), normalized
+  const ux = dx / length
+  const uy = dy / length
+  const uz = dz / length
+  const w = 1 - uy
+  if (w < 1e-9) {
+    // Center of gravity straight above the point: turn upside down
+    return { x: 0, y: 0, z: 1, w: 0 }
+  }
+  
+  const qx = uz
+  const qz = -ux
+  const norm = Math.hypot(qx, qz, w)
+  return { x: qx / norm, y: 0, z: qz / norm, w: w / norm }
+}
@@ -1,83 +1,75 @@
 import React, { useRef, useEffect, useMemo, useState } from 'react'
-import { RigidBody, BallCollider, CuboidCollider, useSphericalJoint } from '@react-three/rapier'
-import { useGLTF } from '@react-three/drei'
+import { RigidBody, BallCollider, CuboidCollider, ConvexHullCollider, useSphericalJoint, useFixedJoint } from '@react-three/rapier'
 import { useFrame } from '@react-three/fiber'
 import * as THREE from 'three'
 import useMobileStore from '../store/mobileStore'
-import { calculateTiltAngle } from './balanceSolver'
+import { solveMobile } from './balanceSolver'
+import { calculateArmMass, calculateWireMass, getChildren, getAttachPosition, getAttachPoint, isRigidMount } from '../models/mobileTree'
+import { getArmLocalPath, getArmLocalPoint, getArmSegments } from '../models/armGeometry'
+import { createArmTubeGeometry } from '../components/Arm'
+import { createWeightGeometry, getPrimitiveHang } from '../components/Weight'
 import { getModelById, isModelShape } from '../config/models'
-import { analyzeGLTFScene, computeAttachmentOffset } from '../utils/glbAnalyzer'
+import { useModelScene } from '../utils/modelLoaders'
+import { hasAttachmentPoint, getPrimitiveAttachmentPoint, getPrimitiveCenterOfGravity, getHangRotation } from '../models/weightAttachment'
+import { analyzeGLTFScene, computeAttachmentOffset, computePrincipalInertia } from '../utils/glbAnalyzer'
 
 // Default wire length (matching Mobile.jsx)
 const DEFAULT_WIRE_LENGTH = 0.7
 
-// Arm mass constants - MUST match balanceSolver.js and mobileTree.js
-const ARM_BASE_MASS = 0.1
-const ARM_MASS_PER_LENGTH = 0.05
-
 // Calculate world positions for the entire mobile tree using analytical solver
+// Bodies start at their static equilibrium, so the simulation settles where the solver predicts
 function calculateWorldPositions(node, startY = 5) {
   const positions = {}
   
-  function traverse(node, parentPos, parentRotation = 0) {
-    if (!node) return
-    
-    const wireLength = node.wireLength ?? DEFAULT_WIRE_LENGTH
-    
-    if (node.type === 'arm') {
-      const tiltAngle = calculateTiltAngle(node)
-      const totalRotation = parentRotation + tiltAngle
-      
-      // Arm position is below parent by wireLength
-      const armPos = {
-        x: parentPos.x,
-        y: parentPos.y - wireLength,
-        z: parentPos.z || 0
-      }
-      
-      positions[node.id] = { ...armPos, rotation: totalRotation }
-      
-      // Calculate child positions
-      const leftDist = node.pivotPosition * node.length
-      const rightDist = (1 - node.pivotPosition) * node.length
-      
-      const cosAngle = Math.cos(totalRotation)
-      const sinAngle = Math.sin(totalRotation)
-      
-      const leftEndPos = {
-        x: armPos.x - leftDist * cosAngle,
-        y: armPos.y - leftDist * sinAngle,
-        z: armPos.z
-      }
-      
-      const rightEndPos = {
-        x: armPos.x + rightDist * cosAngle,
-        y: armPos.y + rightDist * sinAngle,
-        z: armPos.z
-      }
-      
-      if (node.leftChild) {
-        traverse(node.leftChild, leftEndPos, totalRotation)
-      }
-      if (node.rightChild) {
-        traverse(node.rightChild, rightEndPos, totalRotation)
-      }
-    } else if (node.type === 'weight') {
-      // Weight position is below parent by wireLength
-      positions[node.id] = {
-        x: parentPos.x,
-        y: parentPos.y - wireLength,
-        z: parentPos.z || 0
-      }
+  solveMobile(node, 0, { x: 0, y: startY }).forEach(result => {
+    positions[result.id] = {
+      x: result.position.x,
+      y: result.position.y,
+      z: 0,
+      rotation: result.rotation
     }
-  }
-  
-  const startPos = { x: 0, y: startY, z: 0 }
-  traverse(node, startPos)
+  })
   
   return positions
 }
 
+// Spherical joint at the top of a weight's suspension wire
+function WireJoint({ parentBodyRef, bodyRef, parentAnchorLocal, wireLength }) {
+  useSphericalJoint(parentBodyRef, bodyRef, [
+    parentAnchorLocal,
+    [0, wireLength, 0] // Top of wire
+  ])
+  return null
+}
+
+// Fixed joint welding a rigidly mounted weight (anchored at its CoG) to the arm body
+function WeldJoint({ parentBodyRef, bodyRef, parentAnchorLocal }) {
+  useFixedJoint(parentBodyRef, bodyRef, [
+    parentAnchorLocal,
+    [0, 0, 0, 1],
+    [0, 0, 0],
+    [0, 0, 0, 1]
+  ])
+  return null
+}
+
+// Joint connecting a weight to its parent arm, based on its attachment mode
+// (rendered as a component so the joint type can switch without conditional hooks)
+function WeightJoint({ node, parentBodyRef, bodyRef, parentAnchorLocal }) {
+  if (isRigidMount(node)) {
+    return <WeldJoint parentBodyRef={parentBodyRef} bodyRef={bodyRef} parentAnchorLocal={parentAnchorLocal} />
+  }
+  
+  return (
+    <WireJoint 
+      parentBodyRef={parentBodyRef}
+      bodyRef={bodyRef}
+      parentAnchorLocal={parentAnchorLocal}
+      wireLength={node.wireLength ?? DEFAULT_WIRE_LENGTH}
+    />
+  )
+}
+
 // Physics-enabled arm component with stable joint setup
 function PhysicsArm({ node, parentBodyRef, parentAnchorLocal, worldPositions, onCollision }) {
   const bodyRef = useRef()
@@ -107,10 +99,12 @@ function PhysicsArm({ node, parentBodyRef, parentAnchorLocal, worldPositions, on
     [0, wireLength, 0] // Top of wire, which connects to parent
   ])
   
-  // Calculate arm geometry
-  const leftDistance = node.pivotPosition * node.length
-  const rightDistance = (1 - node.pivotPosition) * node.length
-  const armCenterOffset = (0.5 - node.pivotPosition) * node.length
+  // Rod geometry relative to the pivot - bent rods get one collider per straight segment
+  const armPath = useMemo(() => getArmLocalPath(node), [node])
+  const rodGeometry = useMemo(() => createArmTubeGeometry(armPath, 0.06), [armPath])
+  const selectionGeometry = useMemo(() => createArmTubeGeometry(armPath, 0.1), [armPath])
+  const armSegments = useMemo(() => getArmSegments(node), [node])
+  const segmentsLength = armSegments.reduce((sum, segment) => sum + segment.length, 0)
   
   // Calculate damping values from 0-1 slider
   // Real mobiles have very low air resistance - use realistic values
@@ -118,8 +112,10 @@ function PhysicsArm({ node, parentBodyRef, parentAnchorLocal, worldPositions, on
   const linearDamping = 0.05 + damping * 1.45
   const angularDamping = 0.1 + damping * 1.9
   
-  // Arm mass - must match analytical solver exactly
-  const armMass = ARM_BASE_MASS + node.length * ARM_MASS_PER_LENGTH
+  // Arm mass - same material-based mass as the analytical solver
+  const armMass = calculateArmMass(node)
+  // The arm's stiff suspension wire is part of the arm body
+  const wireMass = calculateWireMass(node)
   
   const handleClick = (e) => {
     e.stopPropagation()
@@ -139,13 +135,22 @@ function PhysicsArm({ node, parentBodyRef, parentAnchorLocal, worldPositions, on
         canSleep={false}
         onCollisionEnter={(e) => onCollision && onCollision(node.id, e.other.rigidBodyObject?.userData?.nodeId)}
       >
-        {/* Arm collider - offset from pivot to geometric center */}
-        {/* Mass is assigned to collider for proper center of mass calculation */}
-        <CuboidCollider 
-          args={[node.length / 2, 0.06, 0.06]} 
-          position={[armCenterOffset, 0, 0]}
-          mass={armMass}
-        />
+        {/* Arm colliders - one per straight segment of the rod, placed relative to the pivot */}
+        {/* Mass is split by segment length so the body's center of mass matches the rod's centroid */}
+        {armSegments.map((segment, index) => (
+          <CuboidCollider 
+            key={index}
+            args={[segment.length / 2, 0.06, 0.06]} 
+            position={[segment.center[0], segment.center[1], 0]}
+            rotation={[0, 0, segment.angle]}
+            mass={armMass * segment.length / segmentsLength}
+          />
+        ))}
+        
+        {/* Suspension wire mass at the wire's midpoint (collision groups 0: carries mass, never collides) */}
+        {wireMass > 0 && (
+          <BallCollider args={[0.02]} position={[0, wireLength / 2, 0]} collisionGroups={0} mass={wireMass} />
+        )}
         
         {/* Wire visual - extends upward from pivot */}
         <mesh position={[0, wireLength / 2, 0]}>
@@ -155,14 +160,12 @@ function PhysicsArm({ node, parentBodyRef, parentAnchorLocal, worldPositions, on
         
         {/* Arm rod visual */}
         <mesh 
+          geometry={rodGeometry}
           onClick={handleClick}
-          position={[armCenterOffset, 0, 0]}
-          rotation={[0, 0, Math.PI / 2]}
           castShadow
           receiveShadow
           userData={{ nodeId: node.id }}
         >
-          <cylinderGeometry args={[0.06, 0.06, node.length, 16]} />
           <meshStandardMaterial 
             color={isSelected ? "#3b82f6" : "#22c55e"}
             metalness={0.7}
@@ -170,44 +173,39 @@ function PhysicsArm({ node, parentBodyRef, parentAnchorLocal, worldPositions, on
           />
         </mesh>
         
-        {/* Endpoint markers */}
-        <mesh position={[-leftDistance, 0, 0]}>
-          <sphereGeometry args={[0.08, 12, 12]} />
-          <meshStandardMaterial color="#a1a1aa" metalness={0.5} roughness={0.4} />
-        </mesh>
-        <mesh position={[rightDistance, 0, 0]}>
-          <sphereGeometry args={[0.08, 12, 12]} />
-          <meshStandardMaterial color="#a1a1aa" metalness={0.5} roughness={0.4} />
-        </mesh>
+        {/* Hanging point markers */}
+        {getChildren(node).map(child => {
+          const point = getArmLocalPoint(node, getAttachPosition(child))
+          return (
+            <mesh key={child.id} position={[point.x, point.y, 0]}>
+              <sphereGeometry args={[0.08, 12, 12]} />
+              <meshStandardMaterial color="#a1a1aa" metalness={0.5} roughness={0.4} />
+            </mesh>
+          )
+        })}
         
         {/* Selection indicator */}
         {isSelected && (
-          <mesh position={[armCenterOffset, 0, 0]} rotation={[0, 0, Math.PI / 2]}>
-            <cylinderGeometry args={[0.1, 0.1, node.length + 0.1, 16]} />
+          <mesh geometry={selectionGeometry}>
             <meshBasicMaterial color="#3b82f6" transparent opacity={0.3} />
           </mesh>
         )}
       </RigidBody>
       
-      {/* Render children */}
-      {node.leftChild && (
-        <PhysicsNode 
-          node={node.leftChild}
-          parentBodyRef={bodyRef}
-          parentAnchorLocal={[-leftDistance, 0, 0]}
-          worldPositions={worldPositions}
-          onCollision={onCollision}
-        />
-      )}
-      {node.rightChild && (
-        <PhysicsNode 
-          node={node.rightChild}
-          parentBodyRef={bodyRef}
-          parentAnchorLocal={[rightDistance, 0, 0]}
-          worldPositions={worldPositions}
-          onCollision={onCollision}
-        />
-      )}
+      {/* Render children - each jointed at its own hanging point */}
+      {getChildren(node).map(child => {
+        const point = getAttachPoint(node, child)
+        return (
+          <PhysicsNode 
+            key={child.id}
+            node={child}
+            parentBodyRef={bodyRef}
+            parentAnchorLocal={[point.x, point.y, 0]}
+            worldPositions={worldPositions}
+            onCollision={onCollision}
+          />
+        )
+      })}
     </>
   )
 }
@@ -224,18 +222,18 @@ function PhysicsGLBWeight({ node, parentBodyRef, parentAnchorLocal, worldPositio
   const unregisterPhysicsRef = useMobileStore((state) => state.unregisterPhysicsRef)
   
   const isSelected = selectedId === node.id
-  const wireLength = node.wireLength ?? DEFAULT_WIRE_LENGTH
+  const isRigid = isRigidMount(node)
+  const wireLength = isRigid ? 0 : (node.wireLength ?? DEFAULT_WIRE_LENGTH)
   const worldPos = worldPositions[node.id] || { x: 0, y: 0, z: 0 }
   
   // Get model config
   const modelConfig = getModelById(node.modelId)
-  const modelPath = modelConfig?.path || '/assets/earth.glb'
   const baseScale = modelConfig?.baseScale ?? 1
   const userScale = node.modelScale ?? modelConfig?.defaultScale ?? 0.3
   const modelScale = baseScale * userScale
   
-  // Load the GLB model
-  const { scene } = useGLTF(modelPath)
+  // Load the model (GLB, STL or OBJ)
+  const scene = useModelScene(modelConfig, '/assets/earth.glb')
   
   // State for computed geometry data
   const [geometryData, setGeometryData] = useState(null)
@@ -258,15 +256,11 @@ function PhysicsGLBWeight({ node, parentBodyRef, parentAnchorLocal, worldPositio
     return () => unregisterPhysicsRef(node.id)
   }, [node.id, registerPhysicsRef, unregisterPhysicsRef])
   
-  // Joint to parent arm
-  useSphericalJoint(parentBodyRef, bodyRef, [
-    parentAnchorLocal,
-    [0, wireLength, 0]
-  ])
-  
   const linearDamping = 0.05 + damping * 1.45
   const angularDamping = 0.1 + damping * 1.9
-  const weightMass = node.mass
+  
+  // Includes the suspension wire, which hangs straight above the weight
+  const weightMass = node.mass + calculateWireMass(node)
   
   const handleClick = (e) => {
     e.stopPropagation()
@@ -278,21 +272,48 @@ function PhysicsGLBWeight({ node, parentBodyRef, parentAnchorLocal, worldPositio
     expandWeight(node.id)
   }
   
-  // Calculate model offset for attachment point
+  // Calculate model offset for attachment point (CoG for rigid mounts, which sit on the rod)
+  const hasChosenPoint = hasAttachmentPoint(node)
   const modelOffset = useMemo(() => {
     if (!geometryData) return new THREE.Vector3(0, 0, 0)
-    return computeAttachmentOffset(geometryData.attachmentPoint)
-  }, [geometryData])
-  
-  // Calculate collider position at actual center of mass (after offset and scale)
+    if (isRigid) return computeAttachmentOffset(geometryData.centerOfGravity)
+    return computeAttachmentOffset(hasChosenPoint ? node.attachmentPoint : geometryData.attachmentPoint)
+  }, [geometryData, isRigid, hasChosenPoint, node.attachmentPoint])
+  
+  // Starting orientation: hanging with the CoG below a chosen attachment point (as in GLBWeight)
+  const hangRotation = useMemo(() => {
+    if (!geometryData || !hasChosenPoint) return new THREE.Quaternion()
+    const { x, y, z, w } = getHangRotation(node.attachmentPoint, geometryData.centerOfGravity)
+    return new THREE.Quaternion(x, y, z, w)
+  }, [geometryData, hasChosenPoint, node.attachmentPoint])
+  
+  // Calculate collider position at actual center of mass (after offset, scale and hang rotation)
   const colliderPosition = useMemo(() => {
     if (!geometryData) return [0, 0, 0]
-    // CoM after offset, then scaled
-    const comX = (geometryData.centerOfGravity.x + modelOffset.x) * modelScale
-    const comY = (geometryData.centerOfGravity.y + modelOffset.y) * modelScale
-    const comZ = (geometryData.centerOfGravity.z + modelOffset.z) * modelScale
-    return [comX, comY, comZ]
-  }, [geometryData, modelOffset, modelScale])
+    return geometryData.centerOfGravity.clone().add(modelOffset).multiplyScalar(modelScale).applyQuaternion(hangRotation).toArray()
+  }, [geometryData, modelOffset, modelScale, hangRotation])
+  
+  // Mass properties from the model's solid geometry (a box collider's own inertia
+  // would treat every model as a uniform box). The collider sits on the CoG.
+  const massProperties = useMemo(() => {
+    if (!geometryData) return null
+    const { moments, rotation } = computePrincipalInertia(geometryData.inertiaTensor)
+    
+    // Inertia per unit mass is in model units squared
+    const scale = weightMass * modelScale * modelScale
+    // Flat models have a (near) zero moment; keep it positive for the solver
+    const minMoment = Math.max(moments.x, moments.y, moments.z, 1e-6) * 1e-3
+    return {
+      mass: weightMass,
+      centerOfMass: { x: 0, y: 0, z: 0 },
+      principalAngularInertia: {
+        x: Math.max(moments.x, minMoment) * scale,
+        y: Math.max(moments.y, minMoment) * scale,
+        z: Math.max(moments.z, minMoment) * scale
+      },
+      angularInertiaLocalFrame: { x: rotation.x, y: rotation.y, z: rotation.z, w: rotation.w }
+    }
+  }, [geometryData, weightMass, modelScale])
   
   // Clone and prepare the model
   const clonedScene = useMemo(() => {
@@ -357,62 +378,78 @@ function PhysicsGLBWeight({ node, parentBodyRef, parentAnchorLocal, worldPositio
   }, [geometryData, modelScale])
   
   // Selection ring Y position
-  const selectionRingY = useMemo(() => {
-    if (!geometryData) return 0
-    return (geometryData.centerOfGravity.y + modelOffset.y) * modelScale
-  }, [geometryData, modelOffset, modelScale])
+  const selectionRingY = useMemo(() => colliderPosition[1], [colliderPosition])
   
   return (
-    <RigidBody
-      ref={bodyRef}
-      position={[worldPos.x, worldPos.y, worldPos.z]}
-      type="dynamic"
-      colliders={false}
-      linearDamping={linearDamping}
-      angularDamping={angularDamping}
-      canSleep={false}
-      onCollisionEnter={(e) => onCollision && onCollision(node.id, e.other.rigidBodyObject?.userData?.nodeId)}
-    >
-      {/* Cuboid collider at actual center of mass for proper physics */}
-      <CuboidCollider 
-        args={colliderArgs} 
-        mass={weightMass} 
-        position={colliderPosition}
+    <>
+      <WeightJoint 
+        node={node}
+        parentBodyRef={parentBodyRef}
+        bodyRef={bodyRef}
+        parentAnchorLocal={parentAnchorLocal}
       />
-      
-      {/* Wire visual */}
-      <mesh position={[0, wireLength / 2, 0]}>
-        <cylinderGeometry args={[0.015, 0.015, wireLength, 8]} />
-        <meshStandardMaterial color="#71717a" metalness={0.6} roughness={0.4} />
-      </mesh>
-      
-      {/* GLB Model */}
-      <group
-        ref={modelRef}
-        scale={modelScale}
-        onClick={handleClick}
-        onDoubleClick={handleDoubleClick}
-        userData={{ nodeId: node.id }}
+      <RigidBody
+        ref={bodyRef}
+        position={[worldPos.x, worldPos.y, worldPos.z]}
+        rotation={[0, 0, worldPos.rotation || 0]}
+        type="dynamic"
+        colliders={false}
+        linearDamping={linearDamping}
+        angularDamping={angularDamping}
+        canSleep={false}
+        onCollisionEnter={(e) => onCollision && onCollision(node.id, e.other.rigidBodyObject?.userData?.nodeId)}
       >
-        <group position={[modelOffset.x, modelOffset.y, modelOffset.z]}>
-          <primitive object={clonedScene} />
-        </group>
-      </group>
-      
-      {/* Selection ring */}
-      {isSelected && (
-        <mesh 
-          rotation={[Math.PI / 2, 0, 0]}
-          position={[0, selectionRingY, 0]}
+        {/* Cuboid collider at actual center of mass for proper physics */}
+        <CuboidCollider 
+          args={colliderArgs} 
+          {...(massProperties ? { massProperties } : { mass: weightMass })}
+          position={colliderPosition}
+          quaternion={hangRotation}
+        />
+        
+        {/* Wire visual (none for rigid mounts) */}
+        {wireLength > 0 && (
+          <mesh position={[0, wireLength / 2, 0]}>
+            <cylinderGeometry args={[0.015, 0.015, wireLength, 8]} />
+            <meshStandardMaterial color="#71717a" metalness={0.6} roughness={0.4} />
+          </mesh>
+        )}
+        
+        {/* GLB Model */}
+        <group
+          ref={modelRef}
+          quaternion={hangRotation}
+          scale={modelScale}
+          onClick={handleClick}
+          onDoubleClick={handleDoubleClick}
+          userData={{ nodeId: node.id }}
         >
-          <torusGeometry args={[boundingRadius + 0.1, 0.03, 8, 32]} />
-          <meshBasicMaterial color="#3b82f6" />
-        </mesh>
-      )}
-    </RigidBody>
+          <group position={[modelOffset.x, modelOffset.y, modelOffset.z]}>
+            <primitive object={clonedScene} />
+          </group>
+        </group>
+        
+        {/* Selection ring */}
+        {isSelected && (
+          <mesh 
+            rotation={[Math.PI / 2, 0, 0]}
+            position={[0, selectionRingY, 0]}
+          >
+            <torusGeometry args={[boundingRadius + 0.1, 0.03, 8, 32]} />
+            <meshBasicMaterial color="#3b82f6" />
+          </mesh>
+        )}
+      </RigidBody>
+    </>
   )
 }
 
+// Shapes whose center of gravity is off their mesh origin (disks and organic shapes
+// hang from their top edge, cones are heavier at the base). They get the real
+// geometry and a convex hull collider, so they hang as in the analytical view;
+// the rest keep a box or ball centered on their CoG.
+const HULL_SHAPES = ['disk', 'organic', 'cone']
+
 // Physics-enabled weight component (primitive shapes)
 function PhysicsPrimitiveWeight({ node, parentBodyRef, parentAnchorLocal, worldPositions, onCollision }) {
   const bodyRef = useRef()
@@ -424,7 +461,8 @@ function PhysicsPrimitiveWeight({ node, parentBodyRef, parentAnchorLocal, worldP
   const unregisterPhysicsRef = useMobileStore((state) => state.unregisterPhysicsRef)
   
   const isSelected = selectedId === node.id
-  const wireLength = node.wireLength ?? DEFAULT_WIRE_LENGTH
+  const isRigid = isRigidMount(node)
+  const wireLength = isRigid ? 0 : (node.wireLength ?? DEFAULT_WIRE_LENGTH)
   const worldPos = worldPositions[node.id] || { x: 0, y: 0, z: 0 }
   
   // Register physics ref
@@ -435,19 +473,14 @@ function PhysicsPrimitiveWeight({ node, parentBodyRef, parentAnchorLocal, worldP
     return () => unregisterPhysicsRef(node.id)
   }, [node.id, registerPhysicsRef, unregisterPhysicsRef])
   
-  // Joint to parent arm - anchor at top of weight (where wire connects)
-  useSphericalJoint(parentBodyRef, bodyRef, [
-    parentAnchorLocal,
-    [0, wireLength, 0] // Top of wire
-  ])
-  
   // Real mobiles have very low air resistance - use realistic values
   // Linear: 0.05-1.5, Angular: 0.1-2.0 for fluid, natural motion
   const linearDamping = 0.05 + damping * 1.45
   const angularDamping = 0.1 + damping * 1.9
   
   // Weight mass - must match analytical solver exactly
-  const weightMass = node.mass
+  // Includes the suspension wire, which hangs straight above the weight
+  const weightMass = node.mass + calculateWireMass(node)
   
   const handleClick = (e) => {
     e.stopPropagation()
@@ -459,71 +492,124 @@ function PhysicsPrimitiveWeight({ node, parentBodyRef, parentAnchorLocal, worldP
     expandWeight(node.id)
   }
   
+  // Hanging from a chosen point: body origin at the point, shape turned so its CoG
+  // is straight below it (physics shapes are centered on their CoG)
+  const hang = useMemo(() => {
+    if (!hasAttachmentPoint(node)) return { position: [0, 0, 0], rotation: new THREE.Quaternion() }
+    const point = getPrimitiveAttachmentPoint(node)
+    const centerOfGravity = getPrimitiveCenterOfGravity(node)
+    const { x, y, z, w } = getHangRotation(point, centerOfGravity)
+    const distance = Math.hypot(centerOfGravity.x - point.x, centerOfGravity.y - point.y, centerOfGravity.z - point.z)
+    return { position: [0, -distance, 0], rotation: new THREE.Quaternion(x, y, z, w) }
+  }, [node])
+  
+  // Real geometry for hull shapes, placed as Weight.jsx places it: the chosen
+  // point at the body origin and turned to hang, or as modelled without one
+  const isHullShape = HULL_SHAPES.includes(node.shape)
+  const hullGeometry = useMemo(() => {
+    if (!isHullShape) return null
+    const geometry = createWeightGeometry(node)
+    const primitiveHang = getPrimitiveHang(node)
+    if (primitiveHang) {
+      const { point, rotation } = primitiveHang
+      geometry.translate(-point.x, -point.y, -point.z)
+      geometry.applyQuaternion(rotation)
+    }
+    return geometry
+  }, [node, isHullShape])
+  useEffect(() => () => hullGeometry?.dispose(), [hullGeometry])
+  
+  // Height of the CoG below the body origin, for the selection ring
+  const centerY = isHullShape
+    ? (getPrimitiveHang(node)?.centerY ?? getPrimitiveCenterOfGravity(node).y)
+    : hang.position[1]
+  
+  // Hull shapes are already in place; the rest are turned around their CoG
+  const shapeProps = hullGeometry
+    ? { geometry: hullGeometry }
+    : { position: hang.position, quaternion: hang.rotation }
+  
   // Determine collider based on shape - mass assigned for proper physics
   const renderCollider = () => {
+    if (hullGeometry) {
+      return <ConvexHullCollider args={[hullGeometry.attributes.position.array]} mass={weightMass} />
+    }
+    const placement = { position: hang.position, quaternion: hang.rotation }
     switch (node.shape) {
       case 'cube':
-        return <CuboidCollider args={[node.size * 0.8, node.size * 0.8, node.size * 0.8]} mass={weightMass} />
+        return <CuboidCollider args={[node.size * 0.8, node.size * 0.8, node.size * 0.8]} mass={weightMass} {...placement} />
       case 'cylinder':
-        return <CuboidCollider args={[node.size * 0.6, node.size, node.size * 0.6]} mass={weightMass} />
+        return <CuboidCollider args={[node.size * 0.6, node.size, node.size * 0.6]} mass={weightMass} {...placement} />
       default:
-        return <BallCollider args={[node.size]} mass={weightMass} />
+        return <BallCollider args={[node.size]} mass={weightMass} {...placement} />
     }
   }
   
   const color = new THREE.Color(node.color)
   
   return (
-    <RigidBody
-      ref={bodyRef}
-      position={[worldPos.x, worldPos.y, worldPos.z]}
-      type="dynamic"
-      colliders={false}
-      linearDamping={linearDamping}
-      angularDamping={angularDamping}
-      canSleep={false}
-      onCollisionEnter={(e) => onCollision && onCollision(node.id, e.other.rigidBodyObject?.userData?.nodeId)}
-    >
-      {renderCollider()}
-      
-      {/* Wire visual */}
-      <mesh position={[0, wireLength / 2, 0]}>
-        <cylinderGeometry args={[0.015, 0.015, wireLength, 8]} />
-        <meshStandardMaterial color="#71717a" metalness={0.6} roughness={0.4} />
-      </mesh>
-      
-      {/* Weight shape */}
-      <mesh 
-        onClick={handleClick}
-        onDoubleClick={handleDoubleClick}
-        castShadow
-        receiveShadow
-        userData={{ nodeId: node.id }}
+    <>
+      <WeightJoint 
+        node={node}
+        parentBodyRef={parentBodyRef}
+        bodyRef={bodyRef}
+        parentAnchorLocal={parentAnchorLocal}
+      />
+      <RigidBody
+        ref={bodyRef}
+        position={[worldPos.x, worldPos.y, worldPos.z]}
+        rotation={[0, 0, worldPos.rotation || 0]}
+        type="dynamic"
+        colliders={false}
+        linearDamping={linearDamping}
+        angularDamping={angularDamping}
+        canSleep={false}
+        onCollisionEnter={(e) => onCollision && onCollision(node.id, e.other.rigidBodyObject?.userData?.nodeId)}
       >
-        {node.shape === 'cube' ? (
-          <boxGeometry args={[node.size * 1.6, node.size * 1.6, node.size * 1.6]} />
-        ) : node.shape === 'cylinder' ? (
-          <cylinderGeometry args={[node.size * 0.6, node.size * 0.6, node.size * 2, 16]} />
-        ) : (
-          <sphereGeometry args={[node.size, 24, 24]} />
+        {renderCollider()}
+        
+        {/* Wire visual (none for rigid mounts) */}
+        {wireLength > 0 && (
+          <mesh position={[0, wireLength / 2, 0]}>
+            <cylinderGeometry args={[0.015, 0.015, wireLength, 8]} />
+            <meshStandardMaterial color="#71717a" metalness={0.6} roughness={0.4} />
+          </mesh>
         )}
-        <meshStandardMaterial 
-          color={color}
-          emissive={color}
-          emissiveIntensity={isSelected ? 0.3 : 0}
-          metalness={0.2}
-          roughness={0.6}
-        />
-      </mesh>
-      
-      {/* Selection ring */}
-      {isSelected && (
-        <mesh rotation={[Math.PI / 2, 0, 0]}>
-          <torusGeometry args={[node.size + 0.15, 0.03, 8, 32]} />
-          <meshBasicMaterial color="#3b82f6" />
+        
+        {/* Weight shape */}
+        <mesh 
+          {...shapeProps}
+          onClick={handleClick}
+          onDoubleClick={handleDoubleClick}
+          castShadow
+          receiveShadow
+          userData={{ nodeId: node.id }}
+        >
+          {hullGeometry ? null : node.shape === 'cube' ? (
+            <boxGeometry args={[node.size * 1.6, node.size * 1.6, node.size * 1.6]} />
+          ) : node.shape === 'cylinder' ? (
+            <cylinderGeometry args={[node.size * 0.6, node.size * 0.6, node.size * 2, 16]} />
+          ) : (
+            <sphereGeometry args={[node.size, 24, 24]} />
+          )}
+          <meshStandardMaterial 
+            color={color}
+            emissive={color}
+            emissiveIntensity={isSelected ? 0.3 : 0}
+            metalness={0.2}
+            roughness={0.6}
+          />
         </mesh>
-      )}
-    </RigidBody>
+        
+        {/* Selection ring */}
+        {isSelected && (
+          <mesh position={[0, centerY, 0]} rotation={[Math.PI / 2, 0, 0]}>
+            <torusGeometry args={[node.size + 0.15, 0.03, 8, 32]} />
+            <meshBasicMaterial color="#3b82f6" />
+          </mesh>
+        )}
+      </RigidBody>
+    </>
   )
 }
 
@@ -1,132 +1,211 @@
-import { calculateSubtreeMass } from '../models/mobileTree'
+import { calculateSubtreeMass, calculateArmMass, calculateWireMass, getChildren, getAttachPoint, getLoadPosition, isRigidMount } from '../models/mobileTree'
+import { getArmCentroid, getArmLocalPoint } from '../models/armGeometry'
+import { getArmSagAt } from './rodStructure'
 
-// Maximum tilt angle in radians (~30 degrees)
-const MAX_TILT = Math.PI / 6
+// Tilt (in degrees) that still counts as level - shown green
+const LEVEL_TILT_DEGREES = 1
 
-// Arm mass density - mass per unit length
-// This should match the physics simulation: mass = 0.1 + length * 0.05
-// For a length of 2, that's 0.2 mass units
-// So density is roughly 0.05 per unit length, plus a base
-const ARM_BASE_MASS = 0.1
-const ARM_MASS_PER_LENGTH = 0.05
+// Tilt (in degrees) shown yellow
+const MODERATE_TILT_DEGREES = 5
 
-// Calculate arm mass based on length (matches physics simulation)
-export function calculateArmMass(arm) {
+// Tilt (in degrees) shown fully red; also where the balance ratio reaches 0
+const SEVERE_TILT_DEGREES = 20
+
+// Centre of mass offsets smaller than this are treated as zero (length units)
+const EPSILON = 1e-9
+
+// Mass of the rigid arm body: the rod plus any weights mounted directly on it
+export function calculateArmBodyMass(arm) {
   if (!arm || arm.type !== 'arm') return 0
-  return ARM_BASE_MASS + arm.length * ARM_MASS_PER_LENGTH
+  
+  return getChildren(arm)
+    .filter(isRigidMount)
+    .reduce((sum, weight) => sum + weight.mass, calculateArmMass(arm))
 }
 
-// Calculate the torque contribution from the arm itself
-// The arm's center of mass is at its geometric center
-// Offset from pivot = (length/2) - (pivotPosition * length) = length * (0.5 - pivotPosition)
-// Positive offset = center of mass is to the RIGHT of pivot
-// Torque = mass * offset (positive = tilts right down)
-function calculateArmSelfTorque(arm) {
-  if (!arm || arm.type !== 'arm') return 0
+// Point masses acting on an arm, in arm-local coordinates (origin at the rod's
+// pivot mark, x along the rod, y up, before any tilt):
+// - the rod itself at its centroid (along the curve for bent rods)
+// - the arm's own suspension wire at its midpoint above the pivot
+// - rigidly mounted weights at their center of gravity
+// - wired children at their hanging points: a wired child always hangs plumb
+//   below its hanging point, so its whole subtree acts there
+// Each load is lowered by the rod's sag under the loads (see rodStructure.js),
+// which lowers the centre of mass and steadies the arm. Physics mode simulates
+// rods as rigid bodies and leaves the sag out, so a sagging arm set to a resting
+// angle can settle slightly differently there
+function getArmLoads(arm) {
+  const centroid = getArmCentroid(arm)
+  const suspensionHeight = arm.wireLength ?? 0.7
   
-  const armMass = calculateArmMass(arm)
-  const centerOffset = arm.length * (0.5 - arm.pivotPosition)
+  const loads = [
+    { mass: calculateArmMass(arm), x: centroid.x, y: centroid.y },
+    { mass: calculateWireMass(arm), x: 0, y: suspensionHeight / 2 }
+  ]
+  
+  for (const child of getChildren(arm)) {
+    const point = getAttachPoint(arm, child)
+    const mass = isRigidMount(child) ? child.mass : calculateSubtreeMass(child)
+    loads.push({ mass, x: point.x, y: point.y })
+  }
   
-  // Positive torque means the arm wants to tilt right down
-  // (center of mass is to the right of pivot)
-  return armMass * centerOffset
+  const sag = getArmSagAt(arm, loads.map(load => load.x))
+  return loads.map((load, index) => ({ ...load, y: load.y - sag[index] }))
 }
 
-// Calculate the tilt angle for an arm based on torque imbalance
-// Now includes arm mass contribution
-export function calculateTiltAngle(arm) {
-  if (!arm || arm.type !== 'arm') return 0
+// Wrap an angle into (-π, π]
+function normalizeAngle(angle) {
+  let result = angle
+  while (result <= -Math.PI) result += 2 * Math.PI
+  while (result > Math.PI) result -= 2 * Math.PI
+  return result
+}
+
+// Solve the static equilibrium of an arm hanging from its suspension wire.
+//
+// The wire is stiff (as in the physics simulation), so the arm and its wire turn
+// together about the top of the wire, `wireLength` above the rod's pivot mark.
+// At rest the combined centre of mass hangs straight below that suspension point:
+// with d = centreOfMass - suspensionPoint, the arm turns until d points down,
+// i.e. angle = -π/2 - atan2(d.y, d.x).
+//
+// If the centre of mass is level with or above the suspension point as built,
+// there is no restoring torque holding the arm the right way up: it turns over
+// to the (flipped) equilibrium, so the configuration is reported as unstable.
+//
+// Angle sign: positive = counter-clockwise (left end down), like the arm's rotation.
+// Since wired children hang freely, the angle is absolute, not relative to the parent arm.
+// Arms composed to hang tilted have a `targetTilt` (degrees, same sign); balance is
+// judged by the deviation from it.
+export function calculateArmEquilibrium(arm) {
+  if (!arm || arm.type !== 'arm') return null
   
-  const leftMass = calculateSubtreeMass(arm.leftChild)
-  const rightMass = calculateSubtreeMass(arm.rightChild)
+  const suspensionHeight = arm.wireLength ?? 0.7
+  const loads = getArmLoads(arm)
+  const totalMass = loads.reduce((sum, load) => sum + load.mass, 0)
   
-  // Distance from pivot to each end
-  const leftDistance = arm.pivotPosition * arm.length
-  const rightDistance = (1 - arm.pivotPosition) * arm.length
+  const centerOfMass = totalMass > 0
+    ? {
+        x: loads.reduce((sum, load) => sum + load.mass * load.x, 0) / totalMass,
+        y: loads.reduce((sum, load) => sum + load.mass * load.y, 0) / totalMass
+      }
+    : { x: 0, y: 0 }
   
-  // Torque from hanging masses
-  // Positive leftTorque = mass pulling left end down
-  const leftTorque = leftMass * leftDistance
-  const rightTorque = rightMass * rightDistance
+  const dx = centerOfMass.x
+  const dy = centerOfMass.y - suspensionHeight
+  const unstable = dy > -EPSILON
   
-  // Torque from arm's own mass
-  // Positive = center of mass is right of pivot, pulling right down
-  const armSelfTorque = calculateArmSelfTorque(arm)
+  const angle = Math.hypot(dx, dy) > EPSILON
+    ? normalizeAngle(-Math.PI / 2 - Math.atan2(dy, dx))
+    : 0
   
-  // Net torque: positive = tilts left down, negative = tilts right down
-  // Left torque pulls left down (positive)
-  // Right torque pulls right down (subtract from net)
-  // Arm self torque: if positive (COM right of pivot), pulls right down (subtract)
-  const netTorque = leftTorque - rightTorque - armSelfTorque
+  const tiltDegrees = angle * 180 / Math.PI
+  const targetTilt = getTargetTilt(arm)
   
-  // Total torque capacity for normalization (include arm mass)
-  const armMass = calculateArmMass(arm)
-  const totalMass = leftMass + rightMass + armMass
-  const avgDistance = (leftDistance + rightDistance) / 2
-  const totalTorque = totalMass * avgDistance
+  return {
+    angle,
+    tiltDegrees,
+    targetTilt,
+    deviationDegrees: tiltDegrees - targetTilt,
+    centerOfMass,
+    suspensionHeight,
+    totalMass,
+    unstable
+  }
+}
+
+// Pivot position (fraction of the span, not clamped) that balances an arm level:
+// the combined center of mass of the rod and everything hanging from it
+//   pivot = (Σ(mass_i × loadPosition_i) + armMass × centroid) / totalMass
+// where loadPosition is the hanging point, or the CoG of a rigidly mounted weight,
+// and centroid is the rod's center of mass along its curve (0.5 when straight).
+// For two children at the rod ends this reduces to
+// (rightMass + armMass/2) / (leftMass + rightMass + armMass).
+// Rod sag only lowers the loads, so it doesn't move the balance point.
+// Returns null for an arm with no mass.
+export function calculateBalancedPivot(arm) {
+  if (!arm || arm.type !== 'arm') return null
   
-  if (totalTorque === 0) return 0
+  const armMass = calculateArmMass(arm)
+  let totalMass = armMass
+  let massMoment = armMass * getArmCentroid(arm).position
+  getChildren(arm).forEach(child => {
+    const mass = calculateSubtreeMass(child)
+    totalMass += mass
+    massMoment += mass * getLoadPosition(arm, child)
+  })
   
-  // Normalized imbalance (-1 to 1)
-  const imbalance = netTorque / totalTorque
+  return totalMass > 0 ? massMoment / totalMass : null
+}
+
+// The resting angle an arm is composed to hang at (degrees, 0 = level)
+export function getTargetTilt(arm) {
+  return arm?.targetTilt ?? 0
+}
+
+// Pivot position (fraction of the span, not clamped) that makes an arm rest at its
+// target tilt - the balanced pivot when it has none. Tilted by θ, the center of mass
+// hangs below the suspension point when its offset along the rod is d.y·tan(θ)
+// (d.y being its drop below the suspension point). Moving the pivot shifts the
+// center of mass by the share of the mass on the rod (all but the arm's own wire),
+// and the drop changes slightly with the pivot on bent or sagging rods, so a few
+// rounds settle it.
+export function calculateTargetPivot(arm) {
+  const balancedPivot = calculateBalancedPivot(arm)
+  const target = getTargetTilt(arm) * Math.PI / 180
+  if (balancedPivot === null || target === 0 || !(arm.length > 0)) return balancedPivot
   
-  // Convert to tilt angle (capped)
-  return Math.max(-MAX_TILT, Math.min(MAX_TILT, imbalance * MAX_TILT * 2))
+  const rodMass = calculateSubtreeMass(arm) - calculateWireMass(arm)
+  let pivot = balancedPivot
+  for (let i = 0; i < 5; i++) {
+    const { centerOfMass, suspensionHeight, totalMass } = calculateArmEquilibrium({ ...arm, pivotPosition: pivot })
+    const offset = centerOfMass.x - (centerOfMass.y - suspensionHeight) * Math.tan(target)
+    pivot += offset * totalMass / (rodMass * arm.length)
+  }
+  return pivot
+}
+
+// Calculate the equilibrium tilt angle of an arm (radians, absolute)
+export function calculateTiltAngle(arm) {
+  if (!arm || arm.type !== 'arm') return 0
+  return calculateArmEquilibrium(arm).angle
 }
 
-// Calculate balance ratio (0 = very unbalanced, 1 = perfectly balanced)
-// Now includes arm mass contribution
+// Calculate balance ratio (0 = very unbalanced, 1 = at its target angle) from the real
+// tilt's deviation from the arm's target. Falls off linearly to 0 at SEVERE_TILT_DEGREES; unstable arms are 0
 export function calculateBalanceRatio(arm) {
   if (!arm || arm.type !== 'arm') return 1
   
-  const leftMass = calculateSubtreeMass(arm.leftChild)
-  const rightMass = calculateSubtreeMass(arm.rightChild)
-  
-  const leftDistance = arm.pivotPosition * arm.length
-  const rightDistance = (1 - arm.pivotPosition) * arm.length
-  
-  const leftTorque = leftMass * leftDistance
-  const rightTorque = rightMass * rightDistance
-  const armSelfTorque = calculateArmSelfTorque(arm)
-  
-  // Net torque magnitude
-  const netTorque = Math.abs(leftTorque - rightTorque - armSelfTorque)
-  
-  // Total torque capacity
-  const armMass = calculateArmMass(arm)
-  const totalMass = leftMass + rightMass + armMass
-  const avgDistance = (leftDistance + rightDistance) / 2
-  const totalTorque = totalMass * avgDistance
-  
-  if (totalTorque === 0) return 1
-  
-  const imbalance = netTorque / totalTorque
+  const { deviationDegrees, unstable } = calculateArmEquilibrium(arm)
+  if (unstable) return 0
   
-  return Math.max(0, 1 - imbalance)
+  return Math.max(0, 1 - Math.abs(deviationDegrees) / SEVERE_TILT_DEGREES)
 }
 
-// Get color based on balance (green -> yellow -> red)
-export function getBalanceColor(balanceRatio) {
+// Get color based on a tilt in degrees (green -> yellow -> red); pass the deviation
+// from the target for arms composed to hang tilted
+export function getBalanceColor(tiltDegrees, unstable = false) {
   // Colors: green (#22c55e) -> yellow (#eab308) -> red (#ef4444)
+  const tilt = unstable ? SEVERE_TILT_DEGREES : Math.abs(tiltDegrees)
   
-  if (balanceRatio > 0.9) {
-    // Near perfect balance - green
+  if (tilt <= LEVEL_TILT_DEGREES) {
+    // Level - green
     return { r: 0.133, g: 0.773, b: 0.369 } // #22c55e
-  } else if (balanceRatio > 0.5) {
-    // Moderate imbalance - lerp green to yellow
-    const t = (balanceRatio - 0.5) / 0.4
+  } else if (tilt <= MODERATE_TILT_DEGREES) {
+    // Slight tilt - lerp green to yellow
+    const t = (tilt - LEVEL_TILT_DEGREES) / (MODERATE_TILT_DEGREES - LEVEL_TILT_DEGREES)
     return {
-      r: lerp(0.918, 0.133, t),
-      g: lerp(0.702, 0.773, t),
-      b: lerp(0.031, 0.369, t)
+      r: lerp(0.133, 0.918, t),
+      g: lerp(0.773, 0.702, t),
+      b: lerp(0.369, 0.031, t)
     }
   } else {
-    // Severe imbalance - lerp yellow to red
-    const t = balanceRatio / 0.5
+    // Severe tilt - lerp yellow to red
+    const t = Math.min(1, (tilt - MODERATE_TILT_DEGREES) / (SEVERE_TILT_DEGREES - MODERATE_TILT_DEGREES))
     return {
-      r: lerp(0.937, 0.918, t),
-      g: lerp(0.267, 0.702, t),
-      b: lerp(0.267, 0.031, t)
+      r: lerp(0.918, 0.937, t),
+      g: lerp(0.702, 0.267, t),
+      b: lerp(0.031, 0.267, t)
     }
   }
 }
@@ -135,78 +214,93 @@ function lerp(a, b, t) {
   return a + (b - a) * t
 }
 
+// Rotate an arm-local point by an angle (about the local origin)
+function rotate(point, angle) {
+  const cos = Math.cos(angle)
+  const sin = Math.sin(angle)
+  return {
+    x: point.x * cos - point.y * sin,
+    y: point.x * sin + point.y * cos
+  }
+}
+
+// Position of an arm's rod pivot, given the suspension point it hangs from and its angle
+// (the stiff wire swings the pivot sideways as the arm tilts)
+export function getPivotFromSuspension(arm, suspension, angle) {
+  const offset = rotate({ x: 0, y: -(arm.wireLength ?? 0.7) }, angle)
+  return { x: suspension.x + offset.x, y: suspension.y + offset.y }
+}
+
 // Recursively solve the mobile and return computed states
+// `parentPosition` is the point the node hangs from (the top of its wire);
+// for rigidly mounted weights it is the weight's center of gravity on the rod
 export function solveMobile(node, parentAngle = 0, parentPosition = { x: 0, y: 0 }) {
   if (!node) return []
   
   const results = []
   
   if (node.type === 'weight') {
+    const rigid = isRigidMount(node)
     results.push({
       id: node.id,
       type: 'weight',
-      position: parentPosition,
-      rotation: 0
+      // Hanging weights sit plumb below the top of their wire
+      position: rigid
+        ? parentPosition
+        : { x: parentPosition.x, y: parentPosition.y - (node.wireLength ?? 0.7) },
+      // Rigidly mounted weights turn with the rod; hanging weights stay upright
+      rotation: rigid ? parentAngle : 0
     })
   } else if (node.type === 'arm') {
-    const tiltAngle = calculateTiltAngle(node)
-    const totalAngle = parentAngle + tiltAngle
+    const equilibrium = calculateArmEquilibrium(node)
+    const angle = equilibrium.angle
     const balanceRatio = calculateBalanceRatio(node)
-    const balanceColor = getBalanceColor(balanceRatio)
-    
-    // Pivot is at parentPosition
-    // Left end is at pivot - leftDistance
-    // Right end is at pivot + rightDistance
-    const leftDistance = node.pivotPosition * node.length
-    const rightDistance = (1 - node.pivotPosition) * node.length
-    
-    // Calculate end positions based on rotation
-    const cosAngle = Math.cos(totalAngle)
-    const sinAngle = Math.sin(totalAngle)
+    // Colored by how far the arm hangs from its target angle, as in Arm.jsx
+    const balanceColor = getBalanceColor(equilibrium.deviationDegrees, equilibrium.unstable)
+    const pivot = getPivotFromSuspension(node, parentPosition, angle)
     
-    const leftEndPos = {
-      x: parentPosition.x - leftDistance * cosAngle,
-      y: parentPosition.y - leftDistance * sinAngle
+    // Points on the rod are rotated about the pivot
+    const toWorld = (point) => {
+      const rotated = rotate(point, angle)
+      return { x: pivot.x + rotated.x, y: pivot.y + rotated.y }
     }
     
-    const rightEndPos = {
-      x: parentPosition.x + rightDistance * cosAngle,
-      y: parentPosition.y + rightDistance * sinAngle
-    }
+    // Rod ends (on bent arms, the ends of the curve)
+    const leftEndPos = toWorld(getArmLocalPoint(node, 0))
+    const rightEndPos = toWorld(getArmLocalPoint(node, 1))
+    
+    // Hanging point of each child along the tilted rod
+    // (for rigid mounts, the weight's center of gravity on the rod axis)
+    const attachPoints = getChildren(node).map(child => ({
+      id: child.id,
+      ...toWorld(getAttachPoint(node, child))
+    }))
     
     results.push({
       id: node.id,
       type: 'arm',
-      position: parentPosition,
-      rotation: totalAngle,
-      tiltAngle,
+      position: pivot,
+      suspension: parentPosition,
+      rotation: angle,
+      tiltAngle: angle,
+      tiltDegrees: equilibrium.tiltDegrees,
+      unstable: equilibrium.unstable,
+      centerOfMass: toWorld(equilibrium.centerOfMass),
       balanceRatio,
       balanceColor,
       leftEnd: leftEndPos,
       rightEnd: rightEndPos,
+      attachPoints,
       length: node.length,
       pivotPosition: node.pivotPosition
     })
     
-    // Recurse to children
-    // Children hang below the arm ends based on their individual wire lengths
-    const leftWireLength = node.leftChild?.wireLength ?? 0.7
-    const rightWireLength = node.rightChild?.wireLength ?? 0.7
-    
-    const leftChildPos = {
-      x: leftEndPos.x,
-      y: leftEndPos.y - leftWireLength
-    }
-    
-    const rightChildPos = {
-      x: rightEndPos.x,
-      y: rightEndPos.y - rightWireLength
-    }
-    
-    results.push(...solveMobile(node.leftChild, totalAngle, leftChildPos))
-    results.push(...solveMobile(node.rightChild, totalAngle, rightChildPos))
+    // Recurse to children - each hangs from its own attachment point
+    getChildren(node).forEach((child, index) => {
+      const { x, y } = attachPoints[index]
+      results.push(...solveMobile(child, angle, { x, y }))
+    })
   }
   
   return results
 }
-
@@ -0,0 +1,130 @@
+import { cloneTree, collectArms, collectWeights, getChildren } from '../models/mobileTree'
+import { getArmDistanceAt } from '../models/armGeometry'
+import { calculateTargetPivot, calculateArmEquilibrium } from './balanceSolver'
+import { METRIC_RANGES } from '../config/units'
+
+// Bench mode: calibrating a mobile against its finished parts.
+//
+// Real weights never come out at exactly their design mass. Building bottom-up,
+// each weight goes on the scale once it's made, and the pivots above it are
+// re-solved with the measured masses (design masses for parts not weighed yet),
+// so every hole is drilled where the real parts balance (at the arm's target
+// angle, when it has one). Drilled arms keep their drilled pivot; any tilt left
+// shows how far off target they will hang.
+// Arms and weights are numbered as in the build specs.
+
+export function hasMeasuredMass(weight) {
+  return weight.measuredMass !== undefined && weight.measuredMass !== null
+}
+
+export function isDrilled(arm) {
+  return arm.drilledPivot !== undefined && arm.drilledPivot !== null
+}
+
+// The mass to balance with: measured when weighed, otherwise the design mass
+export function getCalibratedMass(weight) {
+  return hasMeasuredMass(weight) ? weight.measuredMass : weight.mass
+}
+
+// Copy of the mobile as built: measured masses in place of the design masses
+// and drilled arms at their drilled pivots
+export function createCalibratedMobile(mobile) {
+  const calibrated = cloneTree(mobile)
+  
+  function applyMeasurements(node) {
+    if (node.type === 'weight') {
+      node.mass = getCalibratedMass(node)
+    } else if (node.type === 'arm') {
+      if (isDrilled(node)) node.pivotPosition = node.drilledPivot
+      getChildren(node).forEach(applyMeasurements)
+    }
+  }
+  
+  if (calibrated) applyMeasurements(calibrated)
+  return calibrated
+}
+
+// Nodes in build specs order with their number and depth (arms above them)
+function collectNumbered(mobile) {
+  const arms = collectArms(mobile)
+  const weights = collectWeights(mobile)
+  const numbers = new Map([
+    ...arms.map((arm, index) => [arm.id, index + 1]),
+    ...weights.map((weight, index) => [weight.id, index + 1])
+  ])
+  const depths = new Map()
+  
+  function walk(node, depth) {
+    depths.set(node.id, depth)
+    getChildren(node).forEach(child => walk(child, depth + 1))
+  }
+  if (mobile) walk(mobile, 0)
+  
+  return { arms, weights, numbers, depths }
+}
+
+// Deepest first; ties keep build specs order (sort is stable)
+function bottomUp(entries) {
+  return entries.sort((a, b) => b.depth - a.depth)
+}
+
+// Weights in the order they're built, bottom-up:
+// [{ weight, number, depth, parentNumber }]
+export function getBenchWeights(mobile) {
+  const { arms, weights, numbers, depths } = collectNumbered(mobile)
+  const parents = new Map()
+  arms.forEach(arm => getChildren(arm).forEach(child => parents.set(child.id, numbers.get(arm.id))))
+  
+  return bottomUp(weights.map(weight => ({
+    weight,
+    number: numbers.get(weight.id),
+    depth: depths.get(weight.id),
+    parentNumber: parents.get(weight.id) ?? null
+  })))
+}
+
+// Every arm bottom-up, with its pivot re-solved from the measured masses:
+// - designPivot / designMark: the design pivot, and its mark along the rod from the left end
+// - revisedPivot / revisedMark: where the pivot balances the parts as weighed, at the target angle
+// - outOfRange: the balance point falls beyond the pivot limits (revisedPivot is clamped)
+// - drilledPivot / drilledMark: where the hole was drilled, or null when still to drill
+// - residualTilt: degrees off its target a drilled arm hangs with the parts as weighed
+// - weighed / weightCount: weights below the arm that have been weighed
+// - status: 'drilled', 'ready' (everything below weighed) or 'provisional'
+export function getBenchArms(mobile) {
+  const { arms, numbers, depths } = collectNumbered(mobile)
+  const calibratedArms = new Map(collectArms(createCalibratedMobile(mobile)).map(arm => [arm.id, arm]))
+  
+  return bottomUp(arms.map(arm => {
+    const calibrated = calibratedArms.get(arm.id)
+    const balancedPivot = calculateTargetPivot(calibrated) ?? arm.pivotPosition
+    const revisedPivot = Math.max(METRIC_RANGES.pivotPosition.min, Math.min(METRIC_RANGES.pivotPosition.max, balancedPivot))
+    const weights = collectWeights(arm)
+    const weighed = weights.filter(hasMeasuredMass).length
+    const drilled = isDrilled(arm)
+    
+    let status = 'provisional'
+    if (drilled) {
+      status = 'drilled'
+    } else if (weighed === weights.length) {
+      status = 'ready'
+    }
+    
+    return {
+      arm,
+      number: numbers.get(arm.id),
+      depth: depths.get(arm.id),
+      designPivot: arm.pivotPosition,
+      designMark: getArmDistanceAt(arm, arm.pivotPosition),
+      revisedPivot,
+      revisedMark: getArmDistanceAt(arm, revisedPivot),
+      outOfRange: revisedPivot !== balancedPivot,
+      drilledPivot: drilled ? arm.drilledPivot : null,
+      drilledMark: drilled ? getArmDistanceAt(arm, arm.drilledPivot) : null,
+      residualTilt: drilled ? calculateArmEquilibrium(calibrated).deviationDegrees : null,
+      weighed,
+      weightCount: weights.length,
+      status
+    }
+  }))
+}
@@ -0,0 +1,214 @@
+import { cloneTree, collectArms, getChildren, isNodeLocked, getLoadPosition, isRigidMount, calculateSubtreeMass, calculateArmMass } from '../models/mobileTree'
+import { METRIC_RANGES } from '../config/units'
+import { calculateTargetPivot } from './balanceSolver'
+
+// Auto-balance with constraints: bring every arm to its target angle (level unless
+// it has a targetTilt) by changing only the variables left free, and say which arms
+// can't get there instead of clamping silently.
+//
+// An arm hangs level when its pivot sits under the combined center of mass of the
+// rod and its children, or at its target angle when the pivot is at the target
+// pivot (calculateTargetPivot). With total mass T and target pivot P, an arm
+// pivoted at p is out by the moment T·(p - P), in span fractions.
+// Each free variable cancels it in its own way:
+// - pivot:        move the pivot to P
+// - split:        move Δ = T·(p - P) / (a_j - a_k) of mass from weight k to weight j
+//                 (the arm's total is unchanged, so the arms above don't notice)
+// - hangingPoint: move one child's hanging point by T·(p - P) / m_j along the rod,
+//                 lengthening or shortening its lever; the rod itself keeps its
+//                 length, as auto-balance never changes an arm's length
+// - mass:         add δ = T·(p - P) / (a_j - p) to one weight
+// where a is where each child's weight acts along the rod. Arms are solved
+// bottom-up, so every arm sees the final masses of the arms below it. Nodes with
+// `balanceLocked` or `locked` keep their values: a locked arm its pivot, a locked
+// child its mass and hanging point.
+
+// Tried in this order on each arm; the first free one that levels it wins
+export const BALANCE_VARIABLES = [
+  { id: 'pivot', name: 'Pivots', description: 'Move each arm\'s pivot' },
+  { id: 'split', name: 'Mass Split', description: 'Move mass between two weights on an arm, keeping their total' },
+  { id: 'hangingPoint', name: 'Hanging Points', description: 'Move where a child hangs along the rod; the rod keeps its length' },
+  { id: 'mass', name: 'Masses', description: 'Make one weight on an arm heavier or lighter' }
+]
+
+export const DEFAULT_BALANCE_VARIABLES = ['pivot']
+
+// Pivot error (span fraction) that counts as on target
+const BALANCE_TOLERANCE = 1e-4
+
+// Rounds of the same change: a target tilt makes the target pivot shift a little
+// with the masses and hanging points, so one round may fall just short
+const MAX_ROUNDS = 5
+
+// Nodes with the full lock (see isNodeLocked) are kept too
+export function isBalanceLocked(node) {
+  return node?.balanceLocked === true || isNodeLocked(node)
+}
+
+function isInMassRange(mass) {
+  return mass >= METRIC_RANGES.weightMass.min && mass <= METRIC_RANGES.weightMass.max
+}
+
+function getTotalMass(arm) {
+  return getChildren(arm).reduce((sum, child) => sum + calculateSubtreeMass(child), calculateArmMass(arm))
+}
+
+// Each solver returns the change to make ({ apply }) or a reason it can't
+// ({ reason }). `moment` is T·(p - P), the imbalance to cancel
+
+function solveByPivot(arm, targetPivot) {
+  if (isBalanceLocked(arm)) return { reason: 'the pivot is locked' }
+  const { min, max } = METRIC_RANGES.pivotPosition
+  if (targetPivot < min || targetPivot > max) {
+    return { reason: `the pivot would be at ${(targetPivot * 100).toFixed(0)}%, beyond the ${min * 100}-${max * 100}% limit` }
+  }
+  return { apply: () => { arm.pivotPosition = targetPivot } }
+}
+
+function getFreeWeights(arm) {
+  return getChildren(arm).filter(child => child.type === 'weight' && !isBalanceLocked(child))
+}
+
+function solveBySplit(arm, moment) {
+  const weights = getFreeWeights(arm)
+  if (weights.length < 2) return { reason: 'fewer than two unlocked weights to split mass between' }
+  
+  let best = null
+  for (let j = 0; j < weights.length; j++) {
+    for (let k = j + 1; k < weights.length; k++) {
+      const lever = getLoadPosition(arm, weights[j]) - getLoadPosition(arm, weights[k])
+      if (Math.abs(lever) < 1e-6) continue
+      const shift = moment / lever
+      if (!isInMassRange(weights[j].mass + shift) || !isInMassRange(weights[k].mass - shift)) continue
+      if (!best || Math.abs(shift) < Math.abs(best.shift)) {
+        best = { from: weights[k], to: weights[j], shift }
+      }
+    }
+  }
+  
+  if (!best) return { reason: 'no split between its weights stays within the mass range' }
+  return {
+    apply: () => {
+      best.to.mass += best.shift
+      best.from.mass -= best.shift
+      best.to.massSetByUser = true
+      best.from.massSetByUser = true
+    }
+  }
+}
+
+function solveByHangingPoint(arm, moment) {
+  const children = getChildren(arm).filter(child => !isBalanceLocked(child) && !isRigidMount(child))
+  if (children.length === 0) return { reason: 'no unlocked hanging points' }
+  
+  let best = null
+  for (const child of children) {
+    const mass = calculateSubtreeMass(child)
+    if (mass <= 0) continue
+    const target = getLoadPosition(arm, child) + moment / mass
+    if (target < 0 || target > 1) continue
+    const move = Math.abs(target - getLoadPosition(arm, child))
+    if (!best || move < best.move) {
+      best = { child, target, move }
+    }
+  }
+  
+  if (!best) return { reason: 'no hanging point can move far enough along the rod (its length is never changed)' }
+  return { apply: () => { best.child.attachPosition = best.target } }
+}
+
+function solveByMass(arm, moment) {
+  const weights = getFreeWeights(arm)
+  if (weights.length === 0) return { reason: 'no unlocked weights' }
+  
+  let best = null
+  for (const weight of weights) {
+    const lever = getLoadPosition(arm, weight) - arm.pivotPosition
+    if (Math.abs(lever) < 1e-6) continue
+    const change = moment / lever
+    if (!isInMassRange(weight.mass + change)) continue
+    const relativeChange = Math.abs(change) / weight.mass
+    if (!best || relativeChange < best.relativeChange) {
+      best = { weight, change, relativeChange }
+    }
+  }
+  
+  if (!best) return { reason: 'no single weight can change enough within the mass range' }
+  return {
+    apply: () => {
+      best.weight.mass += best.change
+      best.weight.massSetByUser = true
+    }
+  }
+}
+
+function solveArm(arm, variable, targetPivot) {
+  const moment = getTotalMass(arm) * (arm.pivotPosition - targetPivot)
+  switch (variable) {
+    case 'pivot': return solveByPivot(arm, targetPivot)
+    case 'split': return solveBySplit(arm, moment)
+    case 'hangingPoint': return solveByHangingPoint(arm, moment)
+    case 'mass': return solveByMass(arm, moment)
+    default: return { reason: `unknown variable ${variable}` }
+  }
+}
+
+// Level every arm of a mobile changing only the free variables (ids from
+// BALANCE_VARIABLES). Returns the solved copy and one result per arm in build
+// specs order: { armId, number, status, variable, reasons }, where status is
+// 'level' (already at its target angle), 'balanced' (brought there by `variable`) or
+// 'infeasible' (nothing free could; `reasons` says why for each variable).
+// Infeasible arms with a free pivot are moved as close as the limits allow.
+export function solveConstrainedBalance(mobile, freeVariables = DEFAULT_BALANCE_VARIABLES) {
+  const solved = cloneTree(mobile)
+  const variables = BALANCE_VARIABLES.filter(variable => freeVariables.includes(variable.id))
+  const results = new Map()
+  
+  function solveNode(node) {
+    if (!node || node.type !== 'arm') return
+    
+    // Process children first (bottom-up)
+    getChildren(node).forEach(solveNode)
+    
+    const isOnTarget = (targetPivot) => targetPivot === null || Math.abs(targetPivot - node.pivotPosition) < BALANCE_TOLERANCE
+    const targetPivot = calculateTargetPivot(node)
+    if (isOnTarget(targetPivot)) {
+      results.set(node.id, { status: 'level', variable: null, reasons: [] })
+      return
+    }
+    
+    const reasons = []
+    for (const variable of variables) {
+      const solution = solveArm(node, variable.id, targetPivot)
+      if (solution.apply) {
+        solution.apply()
+        for (let round = 1; round < MAX_ROUNDS; round++) {
+          const refined = calculateTargetPivot(node)
+          if (isOnTarget(refined)) break
+          const refinement = solveArm(node, variable.id, refined)
+          if (!refinement.apply) break
+          refinement.apply()
+        }
+        results.set(node.id, { status: 'balanced', variable: variable.id, reasons })
+        return
+      }
+      reasons.push({ variable: variable.id, reason: solution.reason })
+    }
+    
+    // Nothing gets it there: get as close as a free pivot allows
+    if (variables.some(variable => variable.id === 'pivot') && !isBalanceLocked(node)) {
+      node.pivotPosition = Math.max(METRIC_RANGES.pivotPosition.min, Math.min(METRIC_RANGES.pivotPosition.max, targetPivot))
+    }
+    results.set(node.id, { status: 'infeasible', variable: null, reasons })
+  }
+  
+  solveNode(solved)
+  
+  const report = collectArms(solved).map((arm, index) => ({
+    armId: arm.id,
+    number: index + 1,
+    ...results.get(arm.id)
+  }))
+  
+  return { mobile: solved, results: report }
+}
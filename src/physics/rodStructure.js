@@ -0,0 +1,148 @@
+import { calculateSubtreeMass, calculateArmMass, getChildren, getAttachPoint, isRigidMount } from '../models/mobileTree'
+import { getArmLocalPoint } from '../models/armGeometry'
+import { getArmMaterialSpec, getSecondMomentOfArea } from '../config/materials'
+import { lengthToCm, massToGrams, cmToLength } from '../config/units'
+
+// Structural check of an arm's rod: bending and sag under its hanging loads.
+//
+// An arm hangs from its pivot, so each side of the rod is a cantilever fixed at
+// the pivot carrying the loads on that side (the children's subtrees at their
+// hanging points, rigid mounts at their center of gravity) and its own weight
+// spread along its length. The bending moment, and so the stress, is greatest at
+// the pivot. Deflection uses small-deflection beam theory (Euler-Bernoulli), and
+// bent rods are treated as straight rods over their span.
+
+const GRAVITY = 9.81
+
+// Stress below yield by less than this factor is flagged as marginal
+const SAFETY_FACTOR_WARNING = 2
+
+// Sag as a fraction of the side's length: visible above the first, and beyond the
+// second the small-deflection estimate no longer holds - the rod is far too soft
+const SAG_WARNING_RATIO = 0.02
+const SAG_LIMIT_RATIO = 0.1
+
+function lengthToMeters(sceneUnits) {
+  return lengthToCm(sceneUnits) / 100
+}
+
+function massToNewtons(sceneMass) {
+  return massToGrams(sceneMass) / 1000 * GRAVITY
+}
+
+// Second moment of area (m⁴), bending stiffness EI (N·m²) and distance from the
+// rod's axis to its surface (m)
+function getRodSection(arm) {
+  const { material, diameter } = getArmMaterialSpec(arm)
+  const secondMoment = getSecondMomentOfArea(material, diameter) * 1e-12
+  return {
+    secondMoment,
+    stiffness: material.youngsModulus * 1e9 * secondMoment,
+    surface: diameter / 2 / 1000,
+    yieldStrength: material.yieldStrength
+  }
+}
+
+// The two halves of the rod as cantilevers from the pivot (lengths and positions in m,
+// forces in N): { side, length, load, loads: [{ force, distance }] }
+function getCantilevers(arm) {
+  const rodLoad = arm.length > 0 ? massToNewtons(calculateArmMass(arm)) / lengthToMeters(arm.length) : 0
+  
+  return [-1, 1].map(side => {
+    const end = getArmLocalPoint(arm, side < 0 ? 0 : 1)
+    const loads = getChildren(arm)
+      .map(child => ({
+        force: massToNewtons(isRigidMount(child) ? child.mass : calculateSubtreeMass(child)),
+        distance: lengthToMeters(side * getAttachPoint(arm, child).x)
+      }))
+      .filter(load => load.distance > 0)
+    
+    return { side, length: lengthToMeters(Math.abs(end.x)), load: rodLoad, loads }
+  })
+}
+
+// Bending moment at the pivot (N·m)
+function getRootMoment(cantilever) {
+  const { length, load, loads } = cantilever
+  return loads.reduce((sum, { force, distance }) => sum + force * distance, load * length * length / 2)
+}
+
+// Downward deflection (m) at `s` meters from the pivot
+// Loads beyond the rod end (rigid mounts past the tip) act at the tip plus the
+// moment of their overhang
+function getDeflection(cantilever, stiffness, s) {
+  const { length, load, loads } = cantilever
+  const x = Math.min(Math.max(s, 0), length)
+  
+  let deflection = load * x * x * (6 * length * length - 4 * length * x + x * x) / (24 * stiffness)
+  for (const { force, distance } of loads) {
+    const a = Math.min(distance, length)
+    deflection += x <= a
+      ? force * x * x * (3 * a - x) / (6 * stiffness)
+      : force * a * a * (3 * x - a) / (6 * stiffness)
+    if (distance > length) {
+      deflection += force * (distance - length) * x * x / (2 * stiffness)
+    }
+  }
+  return deflection
+}
+
+// How far the rod sags below its unloaded shape at each arm-local x offset
+// (length units, positive = down). Used by the balance solver; sag beyond what
+// the estimate covers is capped there, since an overloaded rod is flagged anyway
+export function getArmSagAt(arm, offsets) {
+  if (!arm || arm.type !== 'arm') return offsets.map(() => 0)
+  
+  const { stiffness } = getRodSection(arm)
+  const [left, right] = getCantilevers(arm)
+  return offsets.map(x => {
+    const cantilever = x < 0 ? left : right
+    const deflection = getDeflection(cantilever, stiffness, lengthToMeters(Math.abs(x)))
+    return cmToLength(Math.min(deflection, cantilever.length * SAG_LIMIT_RATIO) * 100)
+  })
+}
+
+// Structural check of an arm's rod:
+// - bendingMoment: greatest bending moment, at the pivot (N·m)
+// - stress / yieldStrength: bending stress at the rod's surface and its limit (MPa)
+// - safetyFactor: yield strength over stress (Infinity when unloaded)
+// - tipDeflection: greatest sag at a rod end (length units), sagRatio: as a fraction of that side
+// - status: 'ok', 'warning' (marginal or visibly sagging) or 'overloaded'
+//   (will bend permanently, or far too soft for the load)
+export function analyzeArmStructure(arm) {
+  if (!arm || arm.type !== 'arm') return null
+  
+  const { secondMoment, stiffness, surface, yieldStrength } = getRodSection(arm)
+  const cantilevers = getCantilevers(arm)
+  
+  // σ = M·c / I, in MPa
+  const bendingMoment = Math.max(...cantilevers.map(getRootMoment))
+  const stress = bendingMoment * surface / secondMoment / 1e6
+  const safetyFactor = stress > 0 ? yieldStrength / stress : Infinity
+  
+  let tipDeflection = 0
+  let sagRatio = 0
+  for (const cantilever of cantilevers) {
+    if (cantilever.length <= 0) continue
+    const deflection = getDeflection(cantilever, stiffness, cantilever.length)
+    tipDeflection = Math.max(tipDeflection, deflection)
+    sagRatio = Math.max(sagRatio, deflection / cantilever.length)
+  }
+  
+  let status = 'ok'
+  if (safetyFactor < 1 || sagRatio > SAG_LIMIT_RATIO) {
+    status = 'overloaded'
+  } else if (safetyFactor < SAFETY_FACTOR_WARNING || sagRatio > SAG_WARNING_RATIO) {
+    status = 'warning'
+  }
+  
+  return {
+    bendingMoment,
+    stress,
+    yieldStrength,
+    safetyFactor,
+    tipDeflection: cmToLength(tipDeflection * 100),
+    sagRatio,
+    status
+  }
+}
@@ -0,0 +1,138 @@
+import { cloneTree, getChildren, collectArms, collectWeights } from '../models/mobileTree'
+import { gramsToMass, cmToLength } from '../config/units'
+import { calculateTiltAngle, calculateBalanceRatio, getTargetTilt } from './balanceSolver'
+
+// Tolerance analysis: how far manufacturing errors tip each arm.
+//
+// Each arm's tilt is re-solved with one error at a time - a child subtree a gram
+// heavier or lighter, the pivot hole a millimetre to either side - giving its tilt
+// per gram and per millimetre. The worst case puts every error at its tolerance,
+// each in the direction that tips the arm further from its target angle, and
+// re-solves the arm once more.
+
+// Manufacturing tolerances checked against: weights made within ±2 g of their
+// design mass, and pivot holes drilled within ±1 mm of their mark
+export const MASS_TOLERANCE_GRAMS = 2
+export const PIVOT_TOLERANCE_MM = 1
+
+// Extra tilt within tolerance above which an arm is flagged
+const SENSITIVE_TILT_DEGREES = 2
+const FRAGILE_TILT_DEGREES = 5
+
+function getTiltDegrees(arm) {
+  return calculateTiltAngle(arm) * 180 / Math.PI
+}
+
+// Add mass to a subtree, spread over its weights in proportion to their mass.
+// The arm above only feels the subtree's total, hanging from one point
+function addSubtreeMass(node, deltaMass) {
+  const weights = collectWeights(node)
+  const total = weights.reduce((sum, weight) => sum + weight.mass, 0)
+  if (total <= 0) return
+  
+  const factor = 1 + deltaMass / total
+  weights.forEach(weight => {
+    weight.mass *= factor
+  })
+}
+
+function withChildMass(arm, index, deltaMass) {
+  const copy = cloneTree(arm)
+  addSubtreeMass(getChildren(copy)[index], deltaMass)
+  return copy
+}
+
+function withPivotOffset(arm, offset) {
+  return { ...arm, pivotPosition: arm.pivotPosition + offset }
+}
+
+// Sensitivity of one arm to manufacturing errors:
+// - tilt: the design tilt (degrees), and deviation: how far that is from the target
+// - children: [{ id, index, type, tiltPerGram }], degrees per gram added to each child's subtree
+// - tiltPerMm: degrees per millimetre the pivot moves right
+// - worstCaseTilt: deviation from the target with every error at its tolerance,
+//   tipping the same way
+// - toleranceTilt: how much of that the errors add to the design deviation
+// - balanceRatio: the balance ratio at the worst case
+// - status: 'robust', 'sensitive' or 'fragile'
+export function analyzeArmSensitivity(arm) {
+  if (!arm || arm.type !== 'arm') return null
+  
+  const gram = gramsToMass(1)
+  // One millimetre as a fraction of the span
+  const millimeter = arm.length > 0 ? cmToLength(0.1) / arm.length : 0
+  const tilt = getTiltDegrees(arm)
+  const target = getTargetTilt(arm)
+  const deviation = tilt - target
+  
+  // Central differences, so the design tilt cancels out
+  const children = getChildren(arm).map((child, index) => ({
+    id: child.id,
+    index,
+    type: child.type,
+    tiltPerGram: (getTiltDegrees(withChildMass(arm, index, gram)) - getTiltDegrees(withChildMass(arm, index, -gram))) / 2
+  }))
+  const tiltPerMm = millimeter > 0
+    ? (getTiltDegrees(withPivotOffset(arm, millimeter)) - getTiltDegrees(withPivotOffset(arm, -millimeter))) / 2
+    : 0
+  
+  // Every error at its limit, each in the direction that adds to the design deviation
+  const direction = deviation < 0 ? -1 : 1
+  const worstCase = cloneTree(arm)
+  children.forEach(({ index, tiltPerGram }) => {
+    addSubtreeMass(getChildren(worstCase)[index], Math.sign(tiltPerGram) * direction * gramsToMass(MASS_TOLERANCE_GRAMS))
+  })
+  worstCase.pivotPosition += Math.sign(tiltPerMm) * direction * PIVOT_TOLERANCE_MM * millimeter
+  
+  const worstCaseTilt = Math.abs(getTiltDegrees(worstCase) - target)
+  const toleranceTilt = Math.max(0, worstCaseTilt - Math.abs(deviation))
+  
+  let status = 'robust'
+  if (toleranceTilt > FRAGILE_TILT_DEGREES) {
+    status = 'fragile'
+  } else if (toleranceTilt > SENSITIVE_TILT_DEGREES) {
+    status = 'sensitive'
+  }
+  
+  return {
+    tilt,
+    deviation,
+    children,
+    tiltPerMm,
+    worstCaseTilt,
+    toleranceTilt,
+    balanceRatio: calculateBalanceRatio(worstCase),
+    status
+  }
+}
+
+// Heat-map color for the extra tilt an arm can take within tolerance:
+// green when robust, yellow at the sensitive threshold, red once fragile
+export function getSensitivityColor(toleranceTilt) {
+  const green = { r: 0.133, g: 0.773, b: 0.369 } // #22c55e
+  const yellow = { r: 0.918, g: 0.702, b: 0.031 } // #eab308
+  const red = { r: 0.937, g: 0.267, b: 0.267 } // #ef4444
+  
+  if (toleranceTilt <= SENSITIVE_TILT_DEGREES) {
+    return mixColors(green, yellow, toleranceTilt / SENSITIVE_TILT_DEGREES)
+  }
+  const t = Math.min(1, (toleranceTilt - SENSITIVE_TILT_DEGREES) / (FRAGILE_TILT_DEGREES - SENSITIVE_TILT_DEGREES))
+  return mixColors(yellow, red, t)
+}
+
+function mixColors(a, b, t) {
+  return {
+    r: a.r + (b.r - a.r) * t,
+    g: a.g + (b.g - a.g) * t,
+    b: a.b + (b.b - a.b) * t
+  }
+}
+
+// Sensitivity of every arm, in build specs order: [{ arm, number, ...analyzeArmSensitivity }]
+export function analyzeMobileSensitivity(mobile) {
+  return collectArms(mobile).map((arm, index) => ({
+    arm,
+    number: index + 1,
+    ...analyzeArmSensitivity(arm)
+  }))
+}
@@ -10,14 +10,40 @@ import {
   calculateDepth,
   countNodes,
   canExpandAt,
-  getNodeSide,
+  canDeleteNode,
+  isNodeLocked,
+  getChildren,
+  getAttachPosition,
+  getChildIndex,
+  findFreeAttachPosition,
   createMobileFromPreset,
   exportMobileToJSON,
   importMobileFromJSON,
+  readMobileJSON,
   collectArms
 } from '../models/mobileTree'
+import { MIN_ARM_CHILDREN, MAX_ARM_CHILDREN, MAX_TARGET_TILT } from '../models/mobileSchema'
+import { normalizeArmShape } from '../models/armGeometry'
+import { ARM_MATERIALS, WIRE_GAUGES, WIRE_MATERIALS, DEFAULT_PRINT_FILAMENT, getArmMaterialById } from '../config/materials'
 import { getPresetById } from '../config/presets'
-import { METRIC_RANGES } from '../config/units'
+import { METRIC_RANGES, setUnitSystem } from '../config/units'
+import {
+  listProjects,
+  getProject,
+  saveProject as saveProjectRecord,
+  deleteProject as deleteProjectRecord,
+  generateProjectId,
+  getCurrentProjectId,
+  setCurrentProjectId,
+  listStoredModels,
+  saveStoredModel
+} from '../utils/projectStorage'
+import { registerCustomModel, getModelById } from '../config/models'
+import { createModelRecord } from '../utils/modelImport'
+import { renderMobileThumbnail } from '../utils/mobileThumbnail'
+import { decodeShareHash } from '../utils/shareLink'
+import { downloadBlob, getExportFileName } from '../utils/download'
+import { solveConstrainedBalance, BALANCE_VARIABLES, DEFAULT_BALANCE_VARIABLES } from '../physics/constrainedBalance'
 
 // Generate random yaw angles for all arms in the tree
 function generateYawAngles(node) {
@@ -34,6 +60,103 @@ function generateYawAngles(node) {
   return angles
 }
 
+// Maximum number of undo steps kept in memory
+const MAX_HISTORY = 100
+
+// Record the current mobile as an undo step and clear the redo stack.
+// Skipped while a history group is open (slider or pivot drags), so the
+// whole gesture collapses into the single entry pushed by beginHistoryGroup.
+function recordHistory(state) {
+  if (state.historyGroupActive) return {}
+  return {
+    past: [...state.past, state.mobile].slice(-MAX_HISTORY),
+    future: []
+  }
+}
+
+// Drop unknown suspension wire gauges and materials from a node update
+function sanitizeWireUpdates(updates) {
+  if (updates.wireGauge !== undefined && !WIRE_GAUGES[updates.wireGauge]) {
+    delete updates.wireGauge
+  }
+  if (updates.wireMaterial !== undefined && !WIRE_MATERIALS[updates.wireMaterial]) {
+    delete updates.wireMaterial
+  }
+}
+
+// Name given to new projects
+const DEFAULT_PROJECT_NAME = 'Untitled mobile'
+
+// Name given to projects opened from a shared link
+const SHARED_PROJECT_NAME = 'Shared design'
+
+// Delay before an edit is autosaved, so drags and animations save once at the end (ms)
+const AUTOSAVE_DELAY = 1000
+
+let autosaveTimer = null
+
+// initProjects runs once per page load (effects can fire twice in development)
+let projectsInitPromise = null
+
+// The mobile as last loaded or saved, so loading a project doesn't immediately re-save it
+let lastSavedMobile = null
+
+// Build a stored project record for a mobile (same data format as a file export)
+function createProjectRecord(project, mobile) {
+  const now = Date.now()
+  return {
+    id: project.id,
+    name: project.name,
+    createdAt: project.createdAt ?? now,
+    updatedAt: now,
+    thumbnail: renderMobileThumbnail(mobile),
+    data: exportMobileToJSON(mobile)
+  }
+}
+
+// State for a freshly opened project: new mobile, no selection and no history
+// (undo must not step back into a different project)
+function openedProjectState(state, project, mobile) {
+  return {
+    mobile,
+    projectId: project.id,
+    projectName: project.name,
+    projectCreatedAt: project.createdAt,
+    selectedId: null,
+    isAnimating: false,
+    armYawAngles: state.viewMode === '3d' ? generateYawAngles(mobile) : {},
+    rotatingArmId: null,
+    attachmentPickId: null,
+    past: [],
+    future: [],
+    historyGroupActive: false,
+    historyGroupStart: null
+  }
+}
+
+// Whether auto-balance changed anything it solves for (pivots, hanging points, masses)
+function hasBalanceChanges(before, after) {
+  if (!before || !after) return before !== after
+  if (before.pivotPosition !== after.pivotPosition) return true
+  if (getAttachPosition(before) !== getAttachPosition(after)) return true
+  if (before.mass !== after.mass) return true
+  
+  const beforeChildren = getChildren(before)
+  const afterChildren = getChildren(after)
+  if (beforeChildren.length !== afterChildren.length) return true
+  return beforeChildren.some((child, index) => hasBalanceChanges(child, afterChildren[index]))
+}
+
+// Restore a mobile from history, keeping selection and yaw angles valid
+function restoreFromHistory(state, mobile) {
+  const selectedId = state.selectedId && findNode(mobile, state.selectedId) ? state.selectedId : null
+  const armYawAngles = state.viewMode === '3d'
+    ? { ...generateYawAngles(mobile), ...state.armYawAngles }
+    : state.armYawAngles
+  // Any open drag group is abandoned - its snapshot is already in the stack
+  return { mobile, selectedId, armYawAngles, historyGroupActive: false, historyGroupStart: null }
+}
+
 const useMobileStore = create((set, get) => ({
   // State
   mobile: createInitialMobile(),
@@ -43,6 +166,25 @@ const useMobileStore = create((set, get) => ({
   viewMode: 'flat', // 'flat' | '3d'
   armYawAngles: {}, // Map of arm ID to yaw angle (radians)
   rotatingArmId: null, // ID of arm currently being rotated (null = no rotation)
+  attachmentPickId: null, // ID of the weight waiting for a click to place its wire (null = not picking)
+  
+  // Undo/redo history (snapshots of `mobile`, oldest first)
+  past: [],
+  future: [],
+  historyGroupActive: false, // True while a continuous drag is being recorded as one step
+  historyGroupStart: null, // Mobile at the start of the open group (to drop no-op groups)
+  
+  // Local projects (autosaved to IndexedDB)
+  projectId: null, // ID of the open project (null until storage is ready)
+  projectName: DEFAULT_PROJECT_NAME,
+  projectCreatedAt: null,
+  projects: [], // Stored projects, most recently modified first
+  projectSaveStatus: 'idle', // 'idle' | 'saving' | 'saved' | 'error'
+  projectError: null, // Last storage error message
+  
+  // 3D printing options for STL exports of weights (not saved with the design)
+  printSettings: { filament: DEFAULT_PRINT_FILAMENT, hangingHole: true },
+  setPrintSettings: (updates) => set((state) => ({ printSettings: { ...state.printSettings, ...updates } })),
   
   // Physics state
   physicsEnabled: false, // Toggle between analytical and physics mode
@@ -56,6 +198,12 @@ const useMobileStore = create((set, get) => ({
   // Collision state
   collisionsDetected: [], // Array of collision pairs
   showSwingEnvelope: false, // Toggle for swing envelope visualization
+  showSensitivityMap: false, // Color arms by how far manufacturing errors would tip them
+  
+  // Auto-balance: which variables it may change, and the outcome of the last run
+  // ({ mobile, results } - current only while `mobile` is the mobile it produced)
+  balanceVariables: DEFAULT_BALANCE_VARIABLES,
+  balanceReport: null,
   
   // Physics body refs registry (for applying forces)
   physicsRefs: {}, // Map of node ID to RigidBody ref
@@ -77,9 +225,20 @@ const useMobileStore = create((set, get) => ({
   },
   
   // Actions
-  setSelected: (id) => set({ selectedId: id }),
+  setSelected: (id) => set({ selectedId: id, attachmentPickId: null }),
+  
+  clearSelection: () => set({ selectedId: null, attachmentPickId: null }),
   
-  clearSelection: () => set({ selectedId: null }),
+  // Attachment point picking: the next click on the weight places its wire
+  startAttachmentPick: (weightId) => set({ attachmentPickId: weightId }),
+  
+  cancelAttachmentPick: () => set({ attachmentPickId: null }),
+  
+  // `point` is in the weight's own coordinates (see weightAttachment.js); null hangs it from the default point
+  setAttachmentPoint: (weightId, point) => {
+    set({ attachmentPickId: null })
+    get().updateWeight(weightId, { attachmentPoint: point })
+  },
   
   toggleOrbitControls: () => set((state) => ({ 
     orbitControlsEnabled: !state.orbitControlsEnabled 
@@ -108,64 +267,109 @@ const useMobileStore = create((set, get) => ({
     
     if (!parent) return state
     
-    const side = getNodeSide(newMobile, weightId)
-    if (!side) return state
+    const index = getChildIndex(newMobile, weightId)
+    if (index === -1) return state
     
     const oldWeight = findNode(newMobile, weightId)
     if (!oldWeight || oldWeight.type !== 'weight') return state
     
     // Create new arm with two weights
-    // Inherit the wireLength from the old weight for the new arm
+    // Inherit the wireLength and hanging point from the old weight for the new arm
     const newArm = createArm({
       length: 2,
       pivotPosition: 0.5,
-      wireLength: oldWeight.wireLength ?? 0.7
+      wireLength: oldWeight.wireLength ?? 0.7,
+      attachPosition: oldWeight.attachPosition
     })
     
     // Inherit color from expanded weight for one child
-    newArm.leftChild = createWeight({ color: oldWeight.color })
-    newArm.rightChild = createWeight({ color: '#22c55e' }) // Green for new weight
+    newArm.children = [
+      createWeight({ color: oldWeight.color, attachPosition: 0 }),
+      createWeight({ color: '#22c55e', attachPosition: 1 }) // Green for new weight
+    ]
     
     // Replace weight with arm
-    if (side === 'left') {
-      parent.leftChild = newArm
-    } else {
-      parent.rightChild = newArm
-    }
+    parent.children[index] = newArm
     
     // Regenerate yaw angles if in 3D mode
     const newAngles = state.viewMode === '3d' ? generateYawAngles(newMobile) : state.armYawAngles
     
-    return { mobile: newMobile, selectedId: null, armYawAngles: newAngles }
+    return { ...recordHistory(state), mobile: newMobile, selectedId: null, armYawAngles: newAngles }
   }),
   
   deleteNode: (nodeId) => set((state) => {
     const { mobile } = state
     
-    // Cannot delete root
-    if (mobile.id === nodeId) return state
+    // Cannot delete the root, or take a locked node with the deleted subtree
+    if (!canDeleteNode(mobile, nodeId)) return state
     
     const newMobile = cloneTree(mobile)
     const parent = findParent(newMobile, nodeId)
     
     if (!parent) return state
     
-    const side = getNodeSide(newMobile, nodeId)
-    if (!side) return state
+    const index = getChildIndex(newMobile, nodeId)
+    if (index === -1) return state
+    
+    if (parent.children.length > MIN_ARM_CHILDREN) {
+      // Arms with extra hanging points just lose this one
+      parent.children.splice(index, 1)
+    } else {
+      // Keep the minimum number of children - replace with a default weight at the same point
+      parent.children[index] = createWeight({ attachPosition: parent.children[index].attachPosition })
+    }
+    
+    return { ...recordHistory(state), mobile: newMobile, selectedId: null }
+  }),
+  
+  // Hang a new default weight from an arm at the widest free stretch of rod
+  addHangingPoint: (armId) => set((state) => {
+    const newMobile = cloneTree(state.mobile)
+    const arm = findNode(newMobile, armId)
+    
+    if (!arm || arm.type !== 'arm') return state
+    if (getChildren(arm).length >= MAX_ARM_CHILDREN) return state
+    
+    arm.children = [
+      ...getChildren(arm),
+      createWeight({ color: '#14b8a6', attachPosition: findFreeAttachPosition(arm) }) // Teal for new weight
+    ]
+    
+    return { ...recordHistory(state), mobile: newMobile }
+  }),
+  
+  // Move a child's hanging point along its parent's rod (0 = left end, 1 = right end)
+  updateAttachPosition: (nodeId, attachPosition) => set((state) => {
+    const newMobile = cloneTree(state.mobile)
+    const node = findNode(newMobile, nodeId)
+    
+    if (!node || !findParent(newMobile, nodeId)) return state
+    
+    node.attachPosition = Math.max(0, Math.min(1, attachPosition))
+    
+    return { ...recordHistory(state), mobile: newMobile }
+  }),
+  
+  // Bend an arm: shape is { type: 'straight' | 'polyline' | 'bezier', points: [{ x, y }] }
+  updateArmShape: (armId, shape) => set((state) => {
+    const newMobile = cloneTree(state.mobile)
+    const arm = findNode(newMobile, armId)
     
-    // Replace with a default weight
-    const newWeight = createWeight()
+    if (!arm || arm.type !== 'arm') return state
     
-    if (side === 'left') {
-      parent.leftChild = newWeight
+    const normalized = normalizeArmShape(shape)
+    if (normalized.type === 'straight') {
+      delete arm.shape
     } else {
-      parent.rightChild = newWeight
+      arm.shape = normalized
     }
     
-    return { mobile: newMobile, selectedId: null }
+    return { ...recordHistory(state), mobile: newMobile }
   }),
   
-  updateWeight: (weightId, updates) => set((state) => {
+  // Pass { recordHistory: false } for derived updates that aren't user edits
+  // (e.g. mass auto-calculated from a loaded model's volume)
+  updateWeight: (weightId, updates, options = {}) => set((state) => {
     const newMobile = cloneTree(state.mobile)
     const weight = findNode(newMobile, weightId)
     
@@ -186,6 +390,13 @@ const useMobileStore = create((set, get) => ({
       updates.size = Math.max(METRIC_RANGES.weightSize.min, Math.min(METRIC_RANGES.weightSize.max, updates.size))
     }
     
+    // Only wire and rigid attachment modes exist
+    if (updates.mount !== undefined && updates.mount !== 'rigid') {
+      updates.mount = 'wire'
+    }
+    
+    sanitizeWireUpdates(updates)
+    
     // Clamp thickness for disk/organic shapes (2mm - 2cm)
     if (updates.thickness !== undefined) {
       updates.thickness = Math.max(0.02, Math.min(0.2, updates.thickness))
@@ -193,7 +404,8 @@ const useMobileStore = create((set, get) => ({
     
     Object.assign(weight, updates)
     
-    return { mobile: newMobile }
+    const history = options.recordHistory === false ? {} : recordHistory(state)
+    return { ...history, mobile: newMobile }
   }),
   
   updateArm: (armId, updates) => set((state) => {
@@ -202,9 +414,19 @@ const useMobileStore = create((set, get) => ({
     
     if (!arm || arm.type !== 'arm') return state
     
+    // A locked arm keeps its pivot
+    if (isNodeLocked(arm)) {
+      delete updates.pivotPosition
+    }
+    
     // Clamp pivot position
     if (updates.pivotPosition !== undefined) {
-      updates.pivotPosition = Math.max(0.1, Math.min(0.9, updates.pivotPosition))
+      updates.pivotPosition = Math.max(METRIC_RANGES.pivotPosition.min, Math.min(METRIC_RANGES.pivotPosition.max, updates.pivotPosition))
+    }
+    
+    // Clamp the target angle; level is the default, so 0 is left out
+    if (updates.targetTilt !== undefined) {
+      updates.targetTilt = Math.max(-MAX_TARGET_TILT, Math.min(MAX_TARGET_TILT, updates.targetTilt)) || undefined
     }
     
     // Clamp length to metric range (10-100cm)
@@ -217,11 +439,100 @@ const useMobileStore = create((set, get) => ({
       updates.wireLength = Math.max(METRIC_RANGES.wireLength.min, Math.min(METRIC_RANGES.wireLength.max, updates.wireLength))
     }
     
+    sanitizeWireUpdates(updates)
+    
+    // Only known materials; diameter must be one the material comes in
+    if (updates.material !== undefined && !ARM_MATERIALS[updates.material]) {
+      delete updates.material
+    }
+    if (updates.material !== undefined || updates.diameter !== undefined) {
+      const material = getArmMaterialById(updates.material ?? arm.material)
+      const diameter = updates.diameter ?? arm.diameter
+      updates.diameter = material.diameters.includes(diameter) ? diameter : material.defaultDiameter
+    }
+    
     Object.assign(arm, updates)
     
-    return { mobile: newMobile }
+    return { ...recordHistory(state), mobile: newMobile }
+  }),
+  
+  // Bench mode: record what a weight weighs once made (scene mass units),
+  // or pass null to clear it. The design mass is left as it is.
+  setMeasuredMass: (weightId, mass) => {
+    get().updateWeight(weightId, { measuredMass: mass > 0 ? mass : undefined })
+  },
+  
+  // Bench mode: record where an arm's pivot hole was drilled (fraction of the
+  // span), or pass null when it's still to be drilled
+  setDrilledPivot: (armId, position) => {
+    get().updateArm(armId, {
+      drilledPivot: position === null || position === undefined ? undefined : Math.max(0, Math.min(1, position))
+    })
+  },
+  
+  // Lock or unlock an arm or weight; see isNodeLocked for what a lock keeps
+  setNodeLocked: (nodeId, locked) => set((state) => {
+    const newMobile = cloneTree(state.mobile)
+    const node = findNode(newMobile, nodeId)
+    
+    if (!node) return state
+    
+    // Unlocked is the default, so it is left out of the saved file. The lock takes
+    // over from auto-balance's own lock (balanceLocked), so locking or unlocking clears it
+    node.locked = locked || undefined
+    node.balanceLocked = undefined
+    
+    return { ...recordHistory(state), mobile: newMobile }
+  }),
+  
+  // History actions
+  undo: () => set((state) => {
+    if (state.past.length === 0 || state.isAnimating) return state
+    
+    const previous = state.past[state.past.length - 1]
+    return {
+      ...restoreFromHistory(state, previous),
+      past: state.past.slice(0, -1),
+      future: [state.mobile, ...state.future].slice(0, MAX_HISTORY)
+    }
+  }),
+  
+  redo: () => set((state) => {
+    if (state.future.length === 0 || state.isAnimating) return state
+    
+    const next = state.future[0]
+    return {
+      ...restoreFromHistory(state, next),
+      past: [...state.past, state.mobile].slice(-MAX_HISTORY),
+      future: state.future.slice(1)
+    }
+  }),
+  
+  // Group continuous edits (slider drags, pivot drags) into one undo step.
+  // The snapshot is taken once here; edits made until endHistoryGroup don't record.
+  beginHistoryGroup: () => set((state) => {
+    if (state.historyGroupActive) return state
+    return {
+      ...recordHistory(state),
+      historyGroupActive: true,
+      historyGroupStart: state.mobile
+    }
+  }),
+  
+  endHistoryGroup: () => set((state) => {
+    if (!state.historyGroupActive) return state
+    
+    // Nothing changed during the gesture - drop the snapshot we pushed
+    const unchanged = state.mobile === state.historyGroupStart
+    return {
+      historyGroupActive: false,
+      historyGroupStart: null,
+      past: unchanged ? state.past.slice(0, -1) : state.past
+    }
   }),
   
+  clearHistory: () => set({ past: [], future: [], historyGroupActive: false, historyGroupStart: null }),
+  
   // Rotation animation actions
   startRotation: (armId) => set({ rotatingArmId: armId }),
   
@@ -236,12 +547,14 @@ const useMobileStore = create((set, get) => ({
   })),
   
   // Physics actions
+  // Physics weights can't be picked on, so leave attachment point picking
   togglePhysics: () => set((state) => ({ 
     physicsEnabled: !state.physicsEnabled,
-    isPaused: false 
+    isPaused: false,
+    attachmentPickId: null
   })),
   
-  setPhysicsEnabled: (enabled) => set({ physicsEnabled: enabled, isPaused: false }),
+  setPhysicsEnabled: (enabled) => set({ physicsEnabled: enabled, isPaused: false, attachmentPickId: null }),
   
   togglePause: () => set((state) => ({ isPaused: !state.isPaused })),
   
@@ -274,6 +587,10 @@ const useMobileStore = create((set, get) => ({
     showSwingEnvelope: !state.showSwingEnvelope 
   })),
   
+  toggleSensitivityMap: () => set((state) => ({
+    showSensitivityMap: !state.showSensitivityMap
+  })),
+  
   // Physics refs registry
   registerPhysicsRef: (nodeId, ref) => set((state) => ({
     physicsRefs: { ...state.physicsRefs, [nodeId]: ref }
@@ -303,64 +620,40 @@ const useMobileStore = create((set, get) => ({
     }, 100)
   },
   
-  autoBalance: () => {
+  // Level every arm, changing only the free balance variables (see
+  // solveConstrainedBalance). The outcome for each arm is kept in balanceReport.
+  // Pass { recordHistory: false } when the balance is part of a larger
+  // edit that already recorded its own undo step (e.g. loading a preset),
+  // and { variables } to solve for other variables than the ones chosen.
+  autoBalance: (options = {}) => {
+    const { recordHistory: shouldRecord = true } = options
     const state = get()
-    const newMobile = cloneTree(state.mobile)
-    
-    // Arm mass constants (must match balanceSolver.js and mobileTree.js)
-    const ARM_BASE_MASS = 0.1
-    const ARM_MASS_PER_LENGTH = 0.05
-    
-    // Collect all target pivot positions
-    const targetPivots = new Map()
+    const variables = options.variables ?? state.balanceVariables
     
-    function calculateOptimalPivots(node) {
-      if (!node || node.type !== 'arm') return
-      
-      // Process children first (bottom-up)
-      calculateOptimalPivots(node.leftChild)
-      calculateOptimalPivots(node.rightChild)
-      
-      const leftMass = calculateSubtreeMass(node.leftChild)
-      const rightMass = calculateSubtreeMass(node.rightChild)
-      const armMass = ARM_BASE_MASS + node.length * ARM_MASS_PER_LENGTH
-      const totalMass = leftMass + rightMass + armMass
-      
-      if (totalMass > 0) {
-        // For balance with arm mass, the optimal pivot is:
-        // pivot = (rightMass + armMass/2) / (leftMass + rightMass + armMass)
-        // 
-        // This accounts for the arm's own mass being distributed along its length.
-        // When armMass=0, this reduces to rightMass/(leftMass+rightMass)
-        let optimalPivot = (rightMass + armMass / 2) / totalMass
-        
-        // Clamp to reasonable range
-        optimalPivot = Math.max(0.1, Math.min(0.9, optimalPivot))
-        
-        targetPivots.set(node.id, optimalPivot)
-      }
+    // Solve the target values up front; the animation eases towards them
+    const { mobile: solvedMobile, results } = solveConstrainedBalance(state.mobile, variables)
+    const targets = new Map()
+    function storeTargets(node) {
+      targets.set(node.id, node)
+      getChildren(node).forEach(storeTargets)
     }
+    storeTargets(solvedMobile)
     
-    calculateOptimalPivots(newMobile)
+    // Already balanced: nothing to animate, and no empty undo step
+    if (!hasBalanceChanges(state.mobile, solvedMobile)) {
+      set({ balanceReport: { mobile: state.mobile, results } })
+      return
+    }
     
-    // Start animation
-    set({ isAnimating: true })
+    // Start animation - the animated frames below collapse into this single undo step
+    set((current) => ({
+      ...(shouldRecord ? recordHistory(current) : {}),
+      isAnimating: true
+    }))
     
     const startTime = Date.now()
     const duration = 500 // ms
     
-    // Store initial positions
-    const initialPivots = new Map()
-    function storeInitialPivots(node) {
-      if (!node) return
-      if (node.type === 'arm') {
-        initialPivots.set(node.id, node.pivotPosition)
-        storeInitialPivots(node.leftChild)
-        storeInitialPivots(node.rightChild)
-      }
-    }
-    storeInitialPivots(state.mobile)
-    
     // Animation loop
     function animate() {
       const elapsed = Date.now() - startTime
@@ -371,39 +664,53 @@ const useMobileStore = create((set, get) => ({
       
       const animatedMobile = cloneTree(state.mobile)
       
-      function applyAnimatedPivots(node) {
-        if (!node || node.type !== 'arm') return
-        
-        const initial = initialPivots.get(node.id) ?? 0.5
-        const target = targetPivots.get(node.id) ?? initial
+      // Pivots and hanging points slide into place; masses change at once
+      function applyAnimatedValues(node) {
+        const target = targets.get(node.id)
+        if (!target) return
         
-        node.pivotPosition = initial + (target - initial) * eased
+        if (node.attachPosition !== undefined || target.attachPosition !== undefined) {
+          const initial = getAttachPosition(node)
+          node.attachPosition = initial + (getAttachPosition(target) - initial) * eased
+        }
         
-        applyAnimatedPivots(node.leftChild)
-        applyAnimatedPivots(node.rightChild)
+        if (node.type === 'arm') {
+          node.pivotPosition = node.pivotPosition + (target.pivotPosition - node.pivotPosition) * eased
+          getChildren(node).forEach(applyAnimatedValues)
+        } else {
+          node.mass = target.mass
+          if (target.massSetByUser) node.massSetByUser = true
+        }
       }
       
-      applyAnimatedPivots(animatedMobile)
+      applyAnimatedValues(animatedMobile)
       
       set({ mobile: animatedMobile })
       
       if (progress < 1) {
         requestAnimationFrame(animate)
       } else {
-        set({ isAnimating: false })
+        // The report describes this result; it goes stale with the next edit
+        set({ isAnimating: false, balanceReport: { mobile: animatedMobile, results } })
       }
     }
     
     requestAnimationFrame(animate)
   },
   
-  resetMobile: () => set({
+  setBalanceVariables: (variables) => set({
+    balanceVariables: BALANCE_VARIABLES.map(variable => variable.id).filter(id => variables.includes(id))
+  }),
+  
+  resetMobile: () => set((state) => ({
+    ...recordHistory(state),
     mobile: createInitialMobile(),
     selectedId: null,
     isAnimating: false,
     viewMode: 'flat',
     armYawAngles: {},
     rotatingArmId: null,
+    attachmentPickId: null,
     // Reset physics state
     physicsEnabled: false,
     isPaused: false,
@@ -413,8 +720,9 @@ const useMobileStore = create((set, get) => ({
     windMode: 'uniform',
     collisionsDetected: [],
     showSwingEnvelope: false,
+    showSensitivityMap: false,
     physicsRefs: {}
-  }),
+  })),
   
   loadPreset: (presetId) => {
     const preset = getPresetById(presetId)
@@ -424,57 +732,350 @@ const useMobileStore = create((set, get) => ({
     const { viewMode } = get()
     const newAngles = viewMode === '3d' ? generateYawAngles(newMobile) : {}
     
-    set({
+    set((state) => ({
+      ...recordHistory(state),
       mobile: newMobile,
       selectedId: null,
       isAnimating: false,
       armYawAngles: newAngles,
-      rotatingArmId: null
-    })
+      rotatingArmId: null,
+      attachmentPickId: null
+    }))
     
-    // Auto-balance after loading
+    // Auto-balance after loading (part of the same undo step as the load)
     setTimeout(() => {
-      useMobileStore.getState().autoBalance()
+      useMobileStore.getState().autoBalance({ recordHistory: false, variables: DEFAULT_BALANCE_VARIABLES })
     }, 100)
   },
   
   exportMobileJSON: () => {
     const { mobile } = get()
-    const data = exportMobileToJSON(mobile)
+    const data = exportMobileToJSON(mobile, { embedModels: true })
     
     // Create and download file
     const json = JSON.stringify(data, null, 2)
-    const blob = new Blob([json], { type: 'application/json' })
-    const url = URL.createObjectURL(blob)
-    
-    const link = document.createElement('a')
-    link.href = url
-    link.download = `calder-mobile-${new Date().toISOString().slice(0, 10)}.json`
-    document.body.appendChild(link)
-    link.click()
-    document.body.removeChild(link)
-    URL.revokeObjectURL(url)
+    downloadBlob(new Blob([json], { type: 'application/json' }), getExportFileName('json'))
+  },
+  
+  // Arm yaw angles of a layout ('flat' or '3d') for exports: none when flat,
+  // the 3D view's angles (generated if it isn't open) in 3D
+  getLayoutYawAngles: (layout) => {
+    if (layout !== '3d') return {}
+    const { mobile, viewMode, armYawAngles } = get()
+    return viewMode === '3d' ? { ...generateYawAngles(mobile), ...armYawAngles } : generateYawAngles(mobile)
   },
   
-  importMobileJSON: (json) => {
+  // Returns { success, warnings } - warnings list fields that were clamped or reset
+  importMobileJSON: (json, options = {}) => {
+    const { recordHistory: shouldRecord = true } = options
     try {
-      const newMobile = importMobileFromJSON(json)
+      const { mobile: newMobile, models, warnings } = readMobileJSON(json)
       const { viewMode } = get()
+      
+      // Keep models that came with the file in the library, so the design still opens later
+      models.forEach(model => {
+        saveStoredModel(model).catch(error => console.warn('Could not store model:', error))
+      })
       const newAngles = viewMode === '3d' ? generateYawAngles(newMobile) : {}
       
-      set({
+      set((state) => ({
+        ...(shouldRecord ? recordHistory(state) : {}),
         mobile: newMobile,
         selectedId: null,
         isAnimating: false,
         armYawAngles: newAngles,
-        rotatingArmId: null
+        rotatingArmId: null,
+        attachmentPickId: null
+      }))
+      return { success: true, warnings }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  },
+  
+  // Apply view state from a shared link: { units, viewMode, yaw }
+  // Yaw angles are listed in collectArms order, since arm IDs don't survive sharing
+  applyShareView: (view) => {
+    if (view.units === 'metric' || view.units === 'imperial') {
+      setUnitSystem(view.units)
+    }
+    if (view.viewMode !== 'flat' && view.viewMode !== '3d') return
+    
+    set((state) => {
+      if (view.viewMode === 'flat') {
+        return { viewMode: 'flat', armYawAngles: {} }
+      }
+      
+      const armYawAngles = generateYawAngles(state.mobile)
+      const yaw = Array.isArray(view.yaw) ? view.yaw : []
+      collectArms(state.mobile).forEach((arm, index) => {
+        if (Number.isFinite(yaw[index])) armYawAngles[arm.id] = yaw[index]
+      })
+      return { viewMode: '3d', armYawAngles }
+    })
+  },
+  
+  // Open a design from a shared link hash (without '#') as a new project
+  openShareLink: async (hash) => {
+    let shared
+    try {
+      shared = await decodeShareHash(hash)
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+    
+    // A new project first, so the shared design never overwrites the open one
+    const created = await get().createProject(SHARED_PROJECT_NAME)
+    const newProjectId = get().projectId
+    
+    // The new project starts with no history, so undo can't step back to its blank mobile
+    const result = get().importMobileJSON(shared.json, { recordHistory: false })
+    if (!result.success) {
+      if (created.success) await get().deleteProject(newProjectId)
+      return result
+    }
+    
+    if (shared.view) get().applyShareView(shared.view)
+    return result
+  },
+  
+  // Project actions
+  // Reopen the last project (or create one from the current mobile) and start autosaving
+  // Safe to call more than once: later calls wait for the first
+  initProjects: () => {
+    if (projectsInitPromise) return projectsInitPromise
+    
+    projectsInitPromise = (async () => {
+      // Uploaded models first, so projects using them can be opened
+      await get().loadModelLibrary()
+      
+      try {
+        const projects = await listProjects()
+        const lastId = getCurrentProjectId()
+        const project = projects.find(p => p.id === lastId) || projects[0]
+        
+        if (project) {
+          await get().openProject(project.id)
+        } else {
+          await get().createProject(DEFAULT_PROJECT_NAME, { keepMobile: true })
+        }
+      } catch (error) {
+        set({ projectSaveStatus: 'error', projectError: error.message })
+      }
+    })()
+    return projectsInitPromise
+  },
+  
+  // Register the uploaded models kept in the browser
+  loadModelLibrary: async () => {
+    try {
+      const models = await listStoredModels()
+      models.forEach(registerCustomModel)
+    } catch (error) {
+      console.warn('Could not load uploaded models:', error)
+    }
+  },
+  
+  // Add an uploaded model (parsed by readModelFiles) to the library and use it for the
+  // selected weight; `unit` is the unit an STL or OBJ file was made in
+  // Returns { success, error? }
+  uploadModel: async (parsed, { unit } = {}) => {
+    let model
+    try {
+      model = await createModelRecord(parsed, { unit })
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+    
+    registerCustomModel(model)
+    try {
+      await saveStoredModel(model)
+    } catch (error) {
+      // Still usable in this session (and embedded in exported files)
+      console.warn('Could not store model:', error)
+    }
+    
+    const { selectedId, mobile } = get()
+    const selected = selectedId ? findNode(mobile, selectedId) : null
+    if (selected?.type === 'weight') {
+      get().updateWeight(selected.id, {
+        shape: 'model',
+        modelId: model.id,
+        attachmentPoint: null,
+        modelScale: getModelById(model.id).defaultScale
       })
+    }
+    return { success: true }
+  },
+  
+  refreshProjects: async () => {
+    try {
+      set({ projects: await listProjects() })
+    } catch (error) {
+      set({ projectError: error.message })
+    }
+  },
+  
+  // Save the open project now
+  saveProject: async () => {
+    clearTimeout(autosaveTimer)
+    autosaveTimer = null
+    
+    const { projectId, projectName, projectCreatedAt, mobile } = get()
+    if (!projectId) return
+    
+    set({ projectSaveStatus: 'saving' })
+    try {
+      const record = createProjectRecord({ id: projectId, name: projectName, createdAt: projectCreatedAt }, mobile)
+      await saveProjectRecord(record)
+      lastSavedMobile = mobile
+      set({ projectSaveStatus: 'saved', projectError: null, projectCreatedAt: record.createdAt })
+      await get().refreshProjects()
+    } catch (error) {
+      set({ projectSaveStatus: 'error', projectError: error.message })
+    }
+  },
+  
+  // Save after a short delay; repeated edits push the save back
+  scheduleAutosave: () => {
+    clearTimeout(autosaveTimer)
+    autosaveTimer = setTimeout(() => {
+      autosaveTimer = null
+      get().saveProject()
+    }, AUTOSAVE_DELAY)
+  },
+  
+  // Save any pending edits before switching away from the open project
+  flushAutosave: async () => {
+    if (autosaveTimer) {
+      await get().saveProject()
+    }
+  },
+  
+  // Create a project and open it - with a fresh mobile, or the current one with { keepMobile: true }
+  createProject: async (name = DEFAULT_PROJECT_NAME, options = {}) => {
+    try {
+      await get().flushAutosave()
+      
+      const mobile = options.keepMobile ? get().mobile : createInitialMobile()
+      const record = createProjectRecord({ id: generateProjectId(), name }, mobile)
+      await saveProjectRecord(record)
+      
+      lastSavedMobile = mobile
+      setCurrentProjectId(record.id)
+      set((state) => ({
+        ...(options.keepMobile
+          ? { projectId: record.id, projectName: record.name, projectCreatedAt: record.createdAt }
+          : openedProjectState(state, record, mobile)),
+        projectSaveStatus: 'saved',
+        projectError: null
+      }))
+      await get().refreshProjects()
+      return { success: true }
+    } catch (error) {
+      set({ projectError: error.message })
+      return { success: false, error: error.message }
+    }
+  },
+  
+  openProject: async (id) => {
+    try {
+      await get().flushAutosave()
+      
+      const project = await getProject(id)
+      if (!project) throw new Error('Project not found')
+      
+      const mobile = importMobileFromJSON(project.data)
+      lastSavedMobile = mobile
+      setCurrentProjectId(project.id)
+      set((state) => ({
+        ...openedProjectState(state, project, mobile),
+        projectSaveStatus: 'saved',
+        projectError: null
+      }))
+      await get().refreshProjects()
       return { success: true }
     } catch (error) {
+      set({ projectError: `Could not open project: ${error.message}` })
       return { success: false, error: error.message }
     }
+  },
+  
+  renameProject: async (id, name) => {
+    const trimmed = name.trim()
+    if (!trimmed) return
+    
+    try {
+      if (id === get().projectId) {
+        set({ projectName: trimmed })
+        await get().saveProject()
+        return
+      }
+      
+      const project = await getProject(id)
+      if (!project) return
+      await saveProjectRecord({ ...project, name: trimmed, updatedAt: Date.now() })
+      await get().refreshProjects()
+    } catch (error) {
+      set({ projectError: error.message })
+    }
+  },
+  
+  duplicateProject: async (id) => {
+    try {
+      await get().flushAutosave()
+      
+      const project = await getProject(id)
+      if (!project) return
+      
+      const now = Date.now()
+      await saveProjectRecord({
+        ...project,
+        id: generateProjectId(),
+        name: `${project.name} (copy)`,
+        createdAt: now,
+        updatedAt: now
+      })
+      await get().refreshProjects()
+    } catch (error) {
+      set({ projectError: error.message })
+    }
+  },
+  
+  // Delete a project; deleting the open one switches to the most recent remaining
+  // project, or a fresh one if none are left
+  deleteProject: async (id) => {
+    try {
+      const isCurrent = id === get().projectId
+      if (isCurrent) {
+        clearTimeout(autosaveTimer)
+        autosaveTimer = null
+      }
+      
+      await deleteProjectRecord(id)
+      
+      if (isCurrent) {
+        const remaining = await listProjects()
+        if (remaining.length > 0) {
+          await get().openProject(remaining[0].id)
+        } else {
+          await get().createProject()
+        }
+      } else {
+        await get().refreshProjects()
+      }
+    } catch (error) {
+      set({ projectError: error.message })
+    }
   }
 }))
 
+// Autosave the open project whenever the mobile changes
+useMobileStore.subscribe((state, previous) => {
+  if (state.projectId && state.mobile !== previous.mobile && state.mobile !== lastSavedMobile) {
+    state.scheduleAutosave()
+  }
+})
+
 export default useMobileStore
 
@@ -1,7 +1,20 @@
 import React, { useState, useEffect } from 'react'
 import useMobileStore from '../store/mobileStore'
-import { calculateBalanceRatio } from '../physics/balanceSolver'
-import { calculateSubtreeMass } from '../models/mobileTree'
+import { calculateBalanceRatio, calculateArmEquilibrium } from '../physics/balanceSolver'
+import { analyzeArmStructure } from '../physics/rodStructure'
+import { analyzeArmSensitivity, MASS_TOLERANCE_GRAMS, PIVOT_TOLERANCE_MM } from '../physics/sensitivity'
+import { calculateSubtreeMass, calculateArmMass, getChildren, getAttachPosition, isNodeLocked, canDeleteNode } from '../models/mobileTree'
+import { MAX_ARM_CHILDREN, MAX_TARGET_TILT } from '../models/mobileSchema'
+import { ARM_MATERIAL_LIST, getArmMaterialSpec } from '../config/materials'
+import WireSpecControls from './WireSpecControls'
+import LockToggle from './LockToggle'
+import { 
+  getArmShapeType, 
+  getArmRodLength, 
+  createArmShape, 
+  MAX_BEND_POINTS, 
+  MAX_BEND_HEIGHT 
+} from '../models/armGeometry'
 import { 
   METRIC_RANGES, 
   getLength, 
@@ -13,14 +26,26 @@ import {
   getRangeDisplay
 } from '../config/units'
 
+// Which end a tilt lowers (positive tilts are counter-clockwise: left end down)
+function formatTiltDirection(degrees) {
+  return degrees > 0 ? 'left down' : 'right down'
+}
+
 export default function ArmPanel({ arm }) {
   const mobile = useMobileStore((state) => state.mobile)
   const updateArm = useMobileStore((state) => state.updateArm)
   const deleteNode = useMobileStore((state) => state.deleteNode)
+  const addHangingPoint = useMobileStore((state) => state.addHangingPoint)
+  const updateAttachPosition = useMobileStore((state) => state.updateAttachPosition)
+  const updateArmShape = useMobileStore((state) => state.updateArmShape)
+  const setSelected = useMobileStore((state) => state.setSelected)
   const clearSelection = useMobileStore((state) => state.clearSelection)
+  const beginHistoryGroup = useMobileStore((state) => state.beginHistoryGroup)
   const rotatingArmId = useMobileStore((state) => state.rotatingArmId)
   const startRotation = useMobileStore((state) => state.startRotation)
   const stopRotation = useMobileStore((state) => state.stopRotation)
+  const showSensitivityMap = useMobileStore((state) => state.showSensitivityMap)
+  const toggleSensitivityMap = useMobileStore((state) => state.toggleSensitivityMap)
   
   // Subscribe to unit system changes
   const [unitSystem, setUnitSystem] = useState(getUnitSystem())
@@ -29,9 +54,21 @@ export default function ArmPanel({ arm }) {
   }, [])
   
   const isRoot = mobile.id === arm.id
+  const isLocked = isNodeLocked(arm)
+  const canDelete = canDeleteNode(mobile, arm.id)
   const balanceRatio = calculateBalanceRatio(arm)
-  const leftMass = calculateSubtreeMass(arm.leftChild)
-  const rightMass = calculateSubtreeMass(arm.rightChild)
+  const { tiltDegrees, targetTilt, deviationDegrees, unstable } = calculateArmEquilibrium(arm)
+  const structure = analyzeArmStructure(arm)
+  const sensitivity = analyzeArmSensitivity(arm)
+  const children = getChildren(arm)
+  
+  // Mass hanging on each side of the pivot (children exactly at the pivot count for neither)
+  const leftMass = children
+    .filter(child => getAttachPosition(child) < arm.pivotPosition)
+    .reduce((sum, child) => sum + calculateSubtreeMass(child), 0)
+  const rightMass = children
+    .filter(child => getAttachPosition(child) > arm.pivotPosition)
+    .reduce((sum, child) => sum + calculateSubtreeMass(child), 0)
   
   const handleLengthChange = (e) => {
     updateArm(arm.id, { length: parseFloat(e.target.value) || METRIC_RANGES.armLength.min })
@@ -41,8 +78,63 @@ export default function ArmPanel({ arm }) {
     updateArm(arm.id, { wireLength: parseFloat(e.target.value) || METRIC_RANGES.wireLength.min })
   }
   
+  const handleAttachPositionChange = (childId, e) => {
+    updateAttachPosition(childId, parseFloat(e.target.value) || 0)
+  }
+  
+  const { material, diameter } = getArmMaterialSpec(arm)
+  
+  const handleMaterialChange = (materialId) => {
+    updateArm(arm.id, { material: materialId })
+  }
+  
+  const handleDiameterChange = (value) => {
+    updateArm(arm.id, { material: material.id, diameter: value })
+  }
+  
+  const shapeType = getArmShapeType(arm)
+  const bendPoints = shapeType === 'straight' ? [] : arm.shape.points
+  
+  const handleShapeTypeChange = (type) => {
+    updateArmShape(arm.id, createArmShape(type, arm.shape))
+  }
+  
+  const handleBendPointChange = (index, updates) => {
+    // Keep points in left-to-right order so each slider stays with its point
+    if (updates.x !== undefined) {
+      const min = index > 0 ? bendPoints[index - 1].x + 0.01 : 0.01
+      const max = index < bendPoints.length - 1 ? bendPoints[index + 1].x - 0.01 : 0.99
+      updates = { ...updates, x: Math.max(min, Math.min(max, updates.x)) }
+    }
+    const points = bendPoints.map((point, i) => i === index ? { ...point, ...updates } : point)
+    updateArmShape(arm.id, { type: shapeType, points })
+  }
+  
+  const handleAddBendPoint = () => {
+    // Put the new point halfway across the widest gap between existing points and the rod ends
+    const xs = [0, ...bendPoints.map(point => point.x), 1]
+    let gapStart = 0
+    let gapSize = 0
+    for (let i = 1; i < xs.length; i++) {
+      if (xs[i] - xs[i - 1] > gapSize) {
+        gapStart = xs[i - 1]
+        gapSize = xs[i] - xs[i - 1]
+      }
+    }
+    updateArmShape(arm.id, { type: shapeType, points: [...bendPoints, { x: gapStart + gapSize / 2, y: 0 }] })
+  }
+  
+  const handleRemoveBendPoint = (index) => {
+    const points = bendPoints.filter((_, i) => i !== index)
+    updateArmShape(arm.id, points.length > 0 ? { type: shapeType, points } : { type: 'straight' })
+  }
+  
+  const handleAddHangingPoint = () => {
+    addHangingPoint(arm.id)
+  }
+  
   const handleDelete = () => {
-    if (!isRoot) {
+    if (canDelete) {
       deleteNode(arm.id)
       clearSelection()
     }
@@ -64,6 +156,8 @@ export default function ArmPanel({ arm }) {
   
   // Calculate values in current unit system
   const lengthDisplay = getLength(arm.length)
+  const rodLengthDisplay = getLength(getArmRodLength(arm))
+  const armMassDisplay = getMass(calculateArmMass(arm))
   const wireLengthDisplay = getLength(arm.wireLength ?? 0.7)
   const pivotFromLeftDisplay = getLength(arm.pivotPosition * arm.length)
   const pivotFromRightDisplay = getLength((1 - arm.pivotPosition) * arm.length)
@@ -77,16 +171,26 @@ export default function ArmPanel({ arm }) {
   // Calculate balance percentage
   const balancePercent = Math.round(balanceRatio * 100)
   
-  // Get balance status text and color
+  // Structural check of the rod under its loads
+  const structureColor = { ok: '#22c55e', warning: '#eab308', overloaded: '#ef4444' }[structure.status]
+  const tipSagDisplay = getLength(structure.tipDeflection)
+  const sensitivityColor = { robust: '#22c55e', sensitive: '#eab308', fragile: '#ef4444' }[sensitivity.status]
+  
+  // Get balance status text and color from how far the real hanging angle
+  // is from the target (level unless the arm is composed to hang tilted)
+  const hasTarget = targetTilt !== 0
   let balanceStatus, balanceColor
-  if (balancePercent >= 95) {
-    balanceStatus = 'Balanced'
+  if (unstable) {
+    balanceStatus = 'Unstable'
+    balanceColor = '#ef4444'
+  } else if (Math.abs(deviationDegrees) <= 1) {
+    balanceStatus = hasTarget ? 'On Target' : 'Balanced'
     balanceColor = '#22c55e'
-  } else if (balancePercent >= 70) {
-    balanceStatus = 'Slightly Unbalanced'
+  } else if (Math.abs(deviationDegrees) <= 5) {
+    balanceStatus = hasTarget ? 'Slightly Off Target' : 'Slightly Unbalanced'
     balanceColor = '#eab308'
   } else {
-    balanceStatus = 'Unbalanced'
+    balanceStatus = hasTarget ? 'Off Target' : 'Unbalanced'
     balanceColor = '#ef4444'
   }
   
@@ -100,6 +204,7 @@ export default function ArmPanel({ arm }) {
           </svg>
         </div>
         <h2>Arm {isRoot ? '(Root)' : ''}</h2>
+        <LockToggle node={arm} />
       </div>
       
       <div className="panel-section">
@@ -107,7 +212,7 @@ export default function ArmPanel({ arm }) {
         
         <div className="control-group">
           <label className="control-label">
-            Total Length
+            {shapeType === 'straight' ? 'Total Length' : 'Span (end to end)'}
             <span className="control-value metric-value">{lengthDisplay.toFixed(1)}<span className="unit">{lengthUnit}</span></span>
           </label>
           <input 
@@ -117,6 +222,7 @@ export default function ArmPanel({ arm }) {
             step={METRIC_RANGES.armLength.step}
             value={arm.length}
             onChange={handleLengthChange}
+            onPointerDown={beginHistoryGroup}
           />
           <div className="range-labels">
             <span>{armLengthRange.min}{armLengthRange.unit}</span>
@@ -144,7 +250,9 @@ export default function ArmPanel({ arm }) {
           </div>
           
           <div className="help-text" style={{ marginTop: '8px', fontSize: '11px' }}>
-            Drag the yellow ring on the arm to adjust pivot. Mark this point when building.
+            {isLocked
+              ? 'This arm is locked, so its pivot stays put. Unlock it to move the pivot.'
+              : 'Drag the yellow ring on the arm to adjust pivot. Mark this point when building.'}
           </div>
         </div>
         
@@ -162,6 +270,7 @@ export default function ArmPanel({ arm }) {
               step={METRIC_RANGES.wireLength.step}
               value={arm.wireLength ?? 0.7}
               onChange={handleWireLengthChange}
+              onPointerDown={beginHistoryGroup}
             />
             <div className="range-labels">
               <span>{wireLengthRange.min}{wireLengthRange.unit}</span>
@@ -172,24 +281,253 @@ export default function ArmPanel({ arm }) {
             </div>
           </div>
         )}
+        
+        {!isRoot && (
+          <WireSpecControls node={arm} onChange={(updates) => updateArm(arm.id, updates)} />
+        )}
+      </div>
+      
+      <div className="panel-section">
+        <span className="panel-section-title">Material</span>
+        
+        <div className="mount-selector">
+          {ARM_MATERIAL_LIST.map(option => (
+            <button
+              key={option.id}
+              className={`mount-btn ${material.id === option.id ? 'active' : ''}`}
+              onClick={() => handleMaterialChange(option.id)}
+            >
+              {option.name}
+            </button>
+          ))}
+        </div>
+        
+        <div className="control-group" style={{ marginTop: '12px' }}>
+          <label className="control-label">
+            Diameter
+            <span className="control-value metric-value">{diameter}<span className="unit">mm</span></span>
+          </label>
+          <div className="diameter-selector">
+            {material.diameters.map(option => (
+              <button
+                key={option}
+                className={`mount-btn ${diameter === option ? 'active' : ''}`}
+                onClick={() => handleDiameterChange(option)}
+              >
+                {option}
+              </button>
+            ))}
+          </div>
+        </div>
+        
+        <div className="help-text" style={{ marginTop: '8px', fontSize: '11px' }}>
+          Rod mass: {armMassDisplay.toFixed(unitSystem === 'imperial' ? 2 : 1)} {massUnit} (density × cross-section × length)
+        </div>
+      </div>
+      
+      <div className="panel-section">
+        <span className="panel-section-title">Rod Strength</span>
+        
+        <div className="stats">
+          <div className="stat">
+            <span className="stat-label">Bending Stress</span>
+            <span className="stat-value" style={{ color: structureColor }}>
+              {structure.stress.toFixed(0)}<span className="stat-unit">MPa</span>
+            </span>
+          </div>
+          <div className="stat">
+            <span className="stat-label">Yield Point</span>
+            <span className="stat-value">{structure.yieldStrength}<span className="stat-unit">MPa</span></span>
+          </div>
+          <div className="stat">
+            <span className="stat-label">Tip Sag</span>
+            <span className="stat-value" style={{ color: structureColor }}>
+              {tipSagDisplay.toFixed(2)}<span className="stat-unit">{lengthUnit}</span>
+            </span>
+          </div>
+          <div className="stat">
+            <span className="stat-label">Bending Moment</span>
+            <span className="stat-value">{structure.bendingMoment.toFixed(2)}<span className="stat-unit">N·m</span></span>
+          </div>
+        </div>
+        
+        {structure.status === 'overloaded' && (
+          <div className="help-text structure-warning overloaded">
+            Overloaded: this rod will bend for good or sag out of shape under its loads. Use a thicker or stiffer rod, or a shorter arm.
+          </div>
+        )}
+        {structure.status === 'warning' && (
+          <div className="help-text structure-warning">
+            {structure.safetyFactor < 2
+              ? `Close to the rod's limit (safety factor ${structure.safetyFactor.toFixed(1)}). A thicker rod would be safer.`
+              : 'The rod visibly sags under its loads. A thicker or stiffer rod will keep it straight.'}
+          </div>
+        )}
+        
+        <div className="help-text" style={{ marginTop: '8px', fontSize: '11px' }}>
+          Each side of the rod is checked as a beam fixed at the pivot. Sag lowers the loads, which the balance accounts for.
+        </div>
+      </div>
+      
+      <div className="panel-section">
+        <span className="panel-section-title">Arm Shape</span>
+        
+        <div className="arm-shape-selector">
+          {[['straight', 'Straight'], ['polyline', 'Polyline'], ['bezier', 'Curve']].map(([type, label]) => (
+            <button
+              key={type}
+              className={`mount-btn ${shapeType === type ? 'active' : ''}`}
+              onClick={() => handleShapeTypeChange(type)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        
+        {bendPoints.map((point, index) => (
+          <div key={index} className="bend-point">
+            <div className="bend-point-header">
+              <span>{shapeType === 'bezier' ? 'Control Point' : 'Bend'} #{index + 1}</span>
+              <button className="bend-point-remove" onClick={() => handleRemoveBendPoint(index)}>
+                Remove
+              </button>
+            </div>
+            <label className="control-label">
+              Across
+              <span className="control-value metric-value">{getLength(point.x * arm.length).toFixed(1)}<span className="unit">{lengthUnit}</span></span>
+            </label>
+            <input 
+              type="range" 
+              min={0.01}
+              max={0.99}
+              step={0.01}
+              value={point.x}
+              onChange={(e) => handleBendPointChange(index, { x: parseFloat(e.target.value) })}
+              onPointerDown={beginHistoryGroup}
+            />
+            <label className="control-label">
+              Height
+              <span className="control-value metric-value">{getLength(point.y).toFixed(1)}<span className="unit">{lengthUnit}</span></span>
+            </label>
+            <input 
+              type="range" 
+              min={-MAX_BEND_HEIGHT}
+              max={MAX_BEND_HEIGHT}
+              step={0.05}
+              value={point.y}
+              onChange={(e) => handleBendPointChange(index, { y: parseFloat(e.target.value) })}
+              onPointerDown={beginHistoryGroup}
+            />
+          </div>
+        ))}
+        
+        {shapeType !== 'straight' && (
+          <button 
+            className="btn btn-secondary"
+            onClick={handleAddBendPoint}
+            disabled={bendPoints.length >= MAX_BEND_POINTS}
+            style={{ width: '100%' }}
+          >
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <line x1="12" y1="5" x2="12" y2="19" />
+              <line x1="5" y1="12" x2="19" y2="12" />
+            </svg>
+            {shapeType === 'bezier' ? 'Add Control Point' : 'Add Bend'}
+          </button>
+        )}
+        
+        <div className="help-text" style={{ marginTop: '8px', fontSize: '11px' }}>
+          {shapeType === 'straight'
+            ? 'Bend the rod into a polyline or smooth curve, like the hooked wire arms of real mobiles.'
+            : `Unbent rod length: ${rodLengthDisplay.toFixed(1)} ${lengthUnit}. The rod's weight acts at its centroid along the curve.`}
+        </div>
+      </div>
+      
+      <div className="panel-section">
+        <span className="panel-section-title">Hanging Points</span>
+        
+        {children.map((child, index) => (
+          <div key={child.id} className="control-group">
+            <label className="control-label">
+              <span
+                className="hanging-point-name"
+                onClick={() => setSelected(child.id)}
+                title="Select this element"
+              >
+                {child.type === 'arm' ? 'Arm' : 'Weight'} #{index + 1}
+                {' '}({getMass(calculateSubtreeMass(child)).toFixed(unitSystem === 'imperial' ? 1 : 0)}{massUnit})
+              </span>
+              <span className="control-value metric-value">{getLength(getAttachPosition(child) * arm.length).toFixed(1)}<span className="unit">{lengthUnit}</span></span>
+            </label>
+            <input 
+              type="range" 
+              min={0}
+              max={1}
+              step={0.01}
+              value={getAttachPosition(child)}
+              onChange={(e) => handleAttachPositionChange(child.id, e)}
+              onPointerDown={beginHistoryGroup}
+            />
+          </div>
+        ))}
+        
+        <button 
+          className="btn btn-secondary"
+          onClick={handleAddHangingPoint}
+          disabled={children.length >= MAX_ARM_CHILDREN}
+          style={{ width: '100%' }}
+        >
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <line x1="12" y1="5" x2="12" y2="19" />
+            <line x1="5" y1="12" x2="19" y2="12" />
+          </svg>
+          {children.length >= MAX_ARM_CHILDREN ? 'Max Hanging Points Reached' : 'Add Hanging Point'}
+        </button>
+        
+        <div className="help-text" style={{ marginTop: '8px', fontSize: '11px' }}>
+          Positions are measured from the left end of the rod. Deleting a child removes its hanging point when the arm has more than two.
+        </div>
       </div>
       
       <div className="panel-section">
         <span className="panel-section-title">Balance Status</span>
         
+        <div className="control-group">
+          <label className="control-label">
+            Resting Angle
+            <span className="control-value">
+              {hasTarget ? `${Math.abs(targetTilt).toFixed(0)}° ${formatTiltDirection(targetTilt)}` : 'Level'}
+            </span>
+          </label>
+          <input 
+            type="range" 
+            min={-MAX_TARGET_TILT}
+            max={MAX_TARGET_TILT}
+            step={1}
+            value={targetTilt}
+            onChange={(e) => updateArm(arm.id, { targetTilt: parseFloat(e.target.value) || 0 })}
+            onPointerDown={beginHistoryGroup}
+          />
+          <div className="range-labels">
+            <span>{MAX_TARGET_TILT}° right down</span>
+            <span>{MAX_TARGET_TILT}° left down</span>
+          </div>
+        </div>
+        
         <div className="stats" style={{ marginTop: '8px' }}>
           <div className="stat">
-            <span className="stat-label">Left Mass</span>
+            <span className="stat-label">Left of Pivot</span>
             <span className="stat-value">{leftMassDisplay.toFixed(unitSystem === 'imperial' ? 1 : 0)}<span className="stat-unit">{massUnit}</span></span>
           </div>
           <div className="stat">
-            <span className="stat-label">Right Mass</span>
+            <span className="stat-label">Right of Pivot</span>
             <span className="stat-value">{rightMassDisplay.toFixed(unitSystem === 'imperial' ? 1 : 0)}<span className="stat-unit">{massUnit}</span></span>
           </div>
           <div className="stat">
-            <span className="stat-label">Balance</span>
+            <span className="stat-label">{hasTarget ? 'Tilt (Off Target)' : 'Tilt'}</span>
             <span className="stat-value" style={{ color: balanceColor }}>
-              {balancePercent}%
+              {Math.abs(tiltDegrees).toFixed(1)}°
+              {hasTarget && <span className="stat-unit">({Math.abs(deviationDegrees).toFixed(1)}°)</span>}
             </span>
           </div>
           <div className="stat">
@@ -200,6 +538,12 @@ export default function ArmPanel({ arm }) {
           </div>
         </div>
         
+        {unstable && (
+          <div className="help-text" style={{ marginTop: '8px', fontSize: '11px', color: '#ef4444' }}>
+            The centre of mass sits above the suspension point, so this arm will turn over. Lower the load (e.g. bend the rod ends down) or lengthen its wire.
+          </div>
+        )}
+        
         {/* Visual balance indicator */}
         <div style={{ 
           marginTop: '16px', 
@@ -218,6 +562,55 @@ export default function ArmPanel({ arm }) {
         </div>
       </div>
       
+      <div className="panel-section">
+        <span className="panel-section-title">Tolerance</span>
+        
+        <div className="stats">
+          <div className="stat">
+            <span className="stat-label">Pivot Error</span>
+            <span className="stat-value">
+              {Math.abs(sensitivity.tiltPerMm).toFixed(2)}<span className="stat-unit">°/mm</span>
+            </span>
+          </div>
+          <div className="stat">
+            <span className="stat-label">Worst Case</span>
+            <span className="stat-value" style={{ color: sensitivityColor }}>
+              +{sensitivity.toleranceTilt.toFixed(1)}°
+            </span>
+          </div>
+        </div>
+        
+        <div className="sensitivity-list">
+          {sensitivity.children.map(({ id, index, type, tiltPerGram }) => (
+            <div key={id} className="sensitivity-row">
+              <span>{type === 'arm' ? 'Arm' : 'Weight'} #{index + 1}</span>
+              <span className="sensitivity-value">{Math.abs(tiltPerGram).toFixed(2)}°/g</span>
+            </div>
+          ))}
+        </div>
+        
+        {sensitivity.status !== 'robust' && (
+          <div className={`help-text structure-warning ${sensitivity.status === 'fragile' ? 'overloaded' : ''}`}>
+            {sensitivity.status === 'fragile'
+              ? 'Fragile: ordinary making errors will tip this arm visibly. Weigh the parts and re-balance on the bench, or use heavier weights.'
+              : 'Sensitive: weigh the parts before drilling the pivot.'}
+          </div>
+        )}
+        
+        <label className="checkbox-label" style={{ marginTop: '8px' }}>
+          <input
+            type="checkbox"
+            checked={showSensitivityMap}
+            onChange={toggleSensitivityMap}
+          />
+          <span>Show tolerance heat map</span>
+        </label>
+        
+        <div className="help-text" style={{ marginTop: '8px', fontSize: '11px' }}>
+          Tilt per gram of error in each child, and per millimetre the pivot hole is off. Worst case is the extra tilt with weights ±{MASS_TOLERANCE_GRAMS} g and the pivot ±{PIVOT_TOLERANCE_MM} mm out.
+        </div>
+      </div>
+      
       <div className="panel-section">
         <span className="panel-section-title">Actions</span>
         
@@ -247,6 +640,7 @@ export default function ArmPanel({ arm }) {
             <button 
               className="btn btn-danger"
               onClick={handleDelete}
+              disabled={!canDelete}
               style={{ width: '100%' }}
             >
               <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
@@ -257,7 +651,9 @@ export default function ArmPanel({ arm }) {
             </button>
             
             <div className="help-text" style={{ marginTop: '8px', fontSize: '11px' }}>
-              Warning: Deleting an arm removes all weights and arms attached below it.
+              {canDelete
+                ? 'Warning: Deleting an arm removes all weights and arms attached below it.'
+                : 'This arm or something hanging below it is locked. Unlock it to delete the arm.'}
             </div>
           </>
         )}
@@ -0,0 +1,238 @@
+import React, { useMemo, useState, useEffect } from 'react'
+import useMobileStore from '../store/mobileStore'
+import { getBenchWeights, getBenchArms, hasMeasuredMass } from '../physics/benchCalibration'
+import {
+  getLength,
+  getMass,
+  getLengthUnit,
+  getMassUnit,
+  displayMassToMass,
+  getUnitSystem,
+  subscribeToUnitSystem
+} from '../config/units'
+
+// Mass typed on the bench, committed on Enter or when leaving the field so
+// each weighing is a single undo step. Empty clears the measurement.
+function MeasuredMassInput({ weight, decimals, onCommit }) {
+  const savedValue = hasMeasuredMass(weight) ? getMass(weight.measuredMass).toFixed(decimals) : ''
+  const [draft, setDraft] = useState(savedValue)
+  
+  useEffect(() => {
+    setDraft(savedValue)
+  }, [savedValue])
+  
+  const commit = () => {
+    const value = parseFloat(draft)
+    if (draft.trim() === '') {
+      if (savedValue !== '') onCommit(null)
+    } else if (Number.isFinite(value) && value > 0) {
+      if (value.toFixed(decimals) !== savedValue) onCommit(displayMassToMass(value))
+    } else {
+      setDraft(savedValue)
+    }
+  }
+  
+  return (
+    <input
+      type="number"
+      min="0"
+      step={decimals === 2 ? 0.01 : 0.1}
+      placeholder={getMass(weight.mass).toFixed(decimals)}
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') e.target.blur()
+      }}
+    />
+  )
+}
+
+export default function BenchModePanel({ onClose }) {
+  const mobile = useMobileStore((state) => state.mobile)
+  const setMeasuredMass = useMobileStore((state) => state.setMeasuredMass)
+  const setDrilledPivot = useMobileStore((state) => state.setDrilledPivot)
+  
+  // Subscribe to unit system changes
+  const [unitSystem, setUnitSystem] = useState(getUnitSystem())
+  useEffect(() => {
+    return subscribeToUnitSystem(setUnitSystem)
+  }, [])
+  
+  const lengthUnit = getLengthUnit()
+  const massUnit = getMassUnit()
+  const massDecimals = unitSystem === 'imperial' ? 2 : 1
+  
+  const bench = useMemo(() => {
+    const weights = getBenchWeights(mobile)
+    const arms = getBenchArms(mobile)
+    const weighed = weights.filter(({ weight }) => hasMeasuredMass(weight))
+    
+    return {
+      weights,
+      arms,
+      weighedCount: weighed.length,
+      drilledCount: arms.filter(arm => arm.status === 'drilled').length,
+      designMass: weighed.reduce((sum, { weight }) => sum + weight.mass, 0),
+      measuredMass: weighed.reduce((sum, { weight }) => sum + weight.measuredMass, 0)
+    }
+  }, [mobile])
+  
+  const formatMassDifference = (measured, design) => {
+    const difference = getMass(measured) - getMass(design)
+    const percent = design > 0 ? (measured - design) / design * 100 : 0
+    return `${difference >= 0 ? '+' : ''}${difference.toFixed(massDecimals)}${massUnit} (${percent >= 0 ? '+' : ''}${percent.toFixed(1)}%)`
+  }
+  
+  const formatMarkShift = (from, to) => {
+    const shift = getLength(to) - getLength(from)
+    return `${shift >= 0 ? '+' : ''}${shift.toFixed(1)} ${lengthUnit}`
+  }
+  
+  return (
+    <div className="build-specs-panel bench-panel">
+      <div className="panel-header">
+        <div className="icon">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path d="M12 3v18" />
+            <path d="M5 7h14" />
+            <path d="M5 7l-3 7a3 3 0 0 0 6 0z" />
+            <path d="M19 7l-3 7a3 3 0 0 0 6 0z" />
+            <path d="M8 21h8" />
+          </svg>
+        </div>
+        <h2>Bench Mode</h2>
+        {onClose && (
+          <button className="close-btn" onClick={onClose} title="Close">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <line x1="18" y1="6" x2="6" y2="18" />
+              <line x1="6" y1="6" x2="18" y2="18" />
+            </svg>
+          </button>
+        )}
+      </div>
+      
+      <div className="help-text">
+        Weigh each weight as you finish it, working from the bottom up. The pivots above it
+        are re-solved from the measured masses, so drill each arm at its revised mark.
+        Measurements are saved with the design, which stays as it is.
+      </div>
+      
+      {/* Progress */}
+      <div className="panel-section">
+        <span className="panel-section-title">Progress</span>
+        <div className="specs-grid">
+          <div className="spec-item">
+            <span className="spec-label">Weighed</span>
+            <span className="spec-value">{bench.weighedCount} of {bench.weights.length}</span>
+          </div>
+          <div className="spec-item">
+            <span className="spec-label">Drilled</span>
+            <span className="spec-value">{bench.drilledCount} of {bench.arms.length}</span>
+          </div>
+          {bench.weighedCount > 0 && (
+            <div className="spec-item">
+              <span className="spec-label">Weighed vs Design</span>
+              <span className="spec-value bench-difference">{formatMassDifference(bench.measuredMass, bench.designMass)}</span>
+            </div>
+          )}
+        </div>
+      </div>
+      
+      {/* Weights, bottom-up */}
+      <div className="panel-section">
+        <span className="panel-section-title">Weigh (bottom-up)</span>
+        <div className="weight-list">
+          {bench.weights.map(({ weight, number, parentNumber }) => (
+            <div key={weight.id} className={`weight-item bench-weight ${hasMeasuredMass(weight) ? 'weighed' : ''}`}>
+              <div className="weight-header">
+                <div className="weight-color" style={{ backgroundColor: weight.color }} />
+                <span className="weight-number">Weight #{number}</span>
+                <div className="bench-mass-field">
+                  <MeasuredMassInput
+                    key={unitSystem}
+                    weight={weight}
+                    decimals={massDecimals}
+                    onCommit={(mass) => setMeasuredMass(weight.id, mass)}
+                  />
+                  <span className="unit">{massUnit}</span>
+                </div>
+              </div>
+              <div className="weight-details">
+                <span>design {getMass(weight.mass).toFixed(massDecimals)}{massUnit}</span>
+                {hasMeasuredMass(weight) && (
+                  <span className="bench-difference">{formatMassDifference(weight.measuredMass, weight.mass)}</span>
+                )}
+                {parentNumber !== null && <span>on Arm #{parentNumber}</span>}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+      
+      {/* Arms, bottom-up */}
+      <div className="panel-section">
+        <span className="panel-section-title">Drill (bottom-up)</span>
+        <div className="cut-list">
+          {bench.arms.map(arm => (
+            <div key={arm.arm.id} className={`cut-item bench-arm ${arm.status}`}>
+              <div className="cut-header">
+                <span className="cut-number">Arm #{arm.number}</span>
+                <span className="bench-status">
+                  {arm.status === 'drilled' ? 'Drilled' : `${arm.weighed}/${arm.weightCount} weighed`}
+                </span>
+              </div>
+              <div className="cut-details">
+                {arm.status === 'drilled' ? (
+                  <div className="pivot-info">
+                    <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                      <circle cx="12" cy="12" r="3" />
+                    </svg>
+                    <span>Drilled at <strong>{getLength(arm.drilledMark).toFixed(1)} {lengthUnit}</strong> from left</span>
+                  </div>
+                ) : (
+                  <div className="pivot-info">
+                    <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                      <circle cx="12" cy="12" r="3" />
+                    </svg>
+                    <span>Mark pivot at <strong>{getLength(arm.revisedMark).toFixed(1)} {lengthUnit}</strong> from left ({(arm.revisedPivot * 100).toFixed(1)}%)</span>
+                  </div>
+                )}
+                <div className="hang-points-info">
+                  Design {getLength(arm.designMark).toFixed(1)} {lengthUnit}
+                  {arm.status !== 'drilled' && `, moved ${formatMarkShift(arm.designMark, arm.revisedMark)}`}
+                </div>
+                {arm.status === 'provisional' && (
+                  <div className="material-info">
+                    Provisional: weigh the rest of the weights below before drilling
+                  </div>
+                )}
+                {arm.outOfRange && arm.status !== 'drilled' && (
+                  <div className="structure-warning">
+                    The measured weights balance beyond the pivot limits - adjust a weight or the hang points
+                  </div>
+                )}
+                {arm.status === 'drilled' && Math.abs(arm.residualTilt) >= 0.1 && (
+                  <div className="material-info">
+                    Hangs {Math.abs(arm.residualTilt).toFixed(1)}° off {arm.arm.targetTilt ? 'its target angle' : 'level'} with the weights as measured
+                  </div>
+                )}
+                <div className="bench-actions">
+                  {arm.status === 'drilled' ? (
+                    <button className="btn btn-secondary" onClick={() => setDrilledPivot(arm.arm.id, null)}>
+                      Undo Drilled
+                    </button>
+                  ) : (
+                    <button className="btn btn-secondary" onClick={() => setDrilledPivot(arm.arm.id, arm.revisedPivot)}>
+                      Mark Drilled
+                    </button>
+                  )}
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -5,14 +5,18 @@ import {
   collectWeights, 
   calculateTotalWireLength,
   calculateSubtreeMass,
-  calculateMobileDimensions
+  calculateMobileDimensions,
+  getChildren,
+  getAttachPosition,
+  isRigidMount,
+  calculateArmMass
 } from '../models/mobileTree'
+import { isCurvedArm, getArmRodLength, getArmDistanceAt, getArmBendPoints } from '../models/armGeometry'
+import { analyzeArmStructure } from '../physics/rodStructure'
+import { analyzeMobileSensitivity, MASS_TOLERANCE_GRAMS, PIVOT_TOLERANCE_MM } from '../physics/sensitivity'
 import { 
   getCm, 
   getGrams, 
-  getRecommendedWireGauge, 
-  getRecommendedArmMaterial,
-  WIRE_WEIGHT_PER_CM,
   getLength,
   getMass,
   getLengthUnit,
@@ -20,9 +24,47 @@ import {
   getUnitSystem,
   subscribeToUnitSystem
 } from '../config/units'
+import { 
+  getArmMaterialSpec, 
+  getRecommendedArmMaterial, 
+  formatArmMaterial, 
+  getRecommendedWireGauge, 
+  getWireSpec 
+} from '../config/materials'
+import {
+  TEMPLATE_PAPER_SIZES,
+  DEFAULT_TEMPLATE_PAPER,
+  hasCuttingTemplates,
+  exportCuttingTemplatesSVG,
+  exportCuttingTemplatesPDF
+} from '../utils/cuttingTemplates'
+import { exportBillOfMaterialsCSV, exportBillOfMaterialsJSON } from '../utils/billOfMaterials'
+import { downloadBlob, getExportFileName } from '../utils/download'
+
+// Describe a connection's wire for the build sheet, e.g. "20 AWG steel"
+function formatWireSpec(node) {
+  const { gauge, material } = getWireSpec(node)
+  return `${gauge.name} ${material.name.toLowerCase()}`
+}
+
+// Describe an arm's structural check for the build sheet (null when the rod is fine)
+function formatStructureWarning(structure, sagDisplay, lengthUnit) {
+  const summary = `${structure.stress.toFixed(0)} MPa of ${structure.yieldStrength} MPa yield, tip sags ${sagDisplay.toFixed(2)} ${lengthUnit}`
+  if (structure.status === 'overloaded') return `Overloaded: ${summary} - use a thicker or stiffer rod`
+  if (structure.status === 'warning') return `Check rod: ${summary}`
+  return null
+}
+
+// Describe a bend for the build sheet, e.g. "25° up"
+function formatBendAngle(angle) {
+  return `${Math.abs(angle).toFixed(0)}° ${angle > 0 ? 'up' : 'down'}`
+}
 
 export default function BuildSpecsPanel({ onClose }) {
   const mobile = useMobileStore((state) => state.mobile)
+  const showSensitivityMap = useMobileStore((state) => state.showSensitivityMap)
+  const toggleSensitivityMap = useMobileStore((state) => state.toggleSensitivityMap)
+  const [templatePaper, setTemplatePaper] = useState(DEFAULT_TEMPLATE_PAPER)
   
   // Subscribe to unit system changes
   const [unitSystem, setUnitSystem] = useState(getUnitSystem())
@@ -34,6 +76,10 @@ export default function BuildSpecsPanel({ onClose }) {
   const lengthUnit = getLengthUnit()
   const massUnit = getMassUnit()
   
+  // How far making errors would tip each arm
+  const sensitivity = useMemo(() => analyzeMobileSensitivity(mobile), [mobile])
+  const fragileCount = sensitivity.filter(arm => arm.status === 'fragile').length
+  
   // Calculate all specifications
   const specs = useMemo(() => {
     const arms = collectArms(mobile)
@@ -43,17 +89,8 @@ export default function BuildSpecsPanel({ onClose }) {
     const dimensions = calculateMobileDimensions(mobile)
     
     // Convert to metric for internal calculations (wire gauge recommendations, etc.)
-    const totalWireCm = getCm(totalWireLengthScene)
-    const totalWeightGrams = getGrams(totalMassScene)
-    
-    // Add 20% extra wire for loops and knots
-    const totalWireWithExtra = totalWireCm * 1.2
-    
-    // Estimate wire weight
-    const wireWeightGrams = totalWireWithExtra * WIRE_WEIGHT_PER_CM
-    
-    // Total weight including wire
-    const totalWithWire = totalWeightGrams + wireWeightGrams
+    // Subtree mass already includes every suspension wire, from its gauge and material
+    const totalWithWire = getGrams(totalMassScene)
     
     // Get recommendations (always in metric internally)
     const wireGauge = getRecommendedWireGauge(totalWithWire)
@@ -68,20 +105,41 @@ export default function BuildSpecsPanel({ onClose }) {
       : totalWithWire
     
     // Process arms with pivot info
+    // Bent arms are cut to their unbent length and all marks are measured
+    // along the straight rod stock, before bending
     const armSpecs = arms.map((arm, index) => {
-      const lengthCm = getCm(arm.length)
+      const rodLength = getArmRodLength(arm)
+      const lengthCm = getCm(rodLength)
       const isRoot = arm.id === mobile.id
-      const material = getRecommendedArmMaterial(lengthCm)
+      const { material, diameter } = getArmMaterialSpec(arm)
+      const recommended = getRecommendedArmMaterial(lengthCm)
+      const isRecommended = recommended.materialId === material.id && recommended.diameter === diameter
+      const structure = analyzeArmStructure(arm)
       
       return {
         id: arm.id,
         index: index + 1,
         isRoot,
-        length: getLength(arm.length),
-        pivotFromLeft: getLength(arm.pivotPosition * arm.length),
+        length: getLength(rodLength),
+        isBent: isCurvedArm(arm),
+        span: getLength(arm.length),
+        bendPoints: getArmBendPoints(arm).map(bend => ({
+          distance: getLength(bend.distance),
+          angle: bend.angle
+        })),
+        pivotFromLeft: getLength(getArmDistanceAt(arm, arm.pivotPosition)),
         pivotPercent: (arm.pivotPosition * 100).toFixed(0),
+        // Where each child hangs, measured from the left end of the rod
+        hangPoints: getChildren(arm).map(child => getLength(getArmDistanceAt(arm, getAttachPosition(child)))),
         wireLength: isRoot ? null : getLength(arm.wireLength ?? 0.7),
-        material
+        wireSpec: formatWireSpec(arm),
+        material: formatArmMaterial(material.id, diameter),
+        armMass: getMass(calculateArmMass(arm)),
+        // Suggest sturdier stock when the chosen rod differs from the recommendation for its length
+        recommendedMaterial: isRecommended ? null : formatArmMaterial(recommended.materialId, recommended.diameter),
+        // Flag rods that would yield or sag under their loads
+        structureStatus: structure.status,
+        structureWarning: formatStructureWarning(structure, getLength(structure.tipDeflection), getLengthUnit())
       }
     })
     
@@ -93,7 +151,9 @@ export default function BuildSpecsPanel({ onClose }) {
       size: getLength(weight.size),
       shape: weight.shape,
       color: weight.color,
-      wireLength: getLength(weight.wireLength ?? 0.7)
+      // Rigidly mounted weights are fixed to the rod and need no wire
+      wireLength: isRigidMount(weight) ? null : getLength(weight.wireLength ?? 0.7),
+      wireSpec: formatWireSpec(weight)
     }))
     
     return {
@@ -137,14 +197,27 @@ ARM CUT LIST
     specs.arms.forEach(arm => {
       text += `Arm #${arm.index}${arm.isRoot ? ' (ROOT)' : ''}: ${arm.length.toFixed(1)} ${lengthUnit}
   - Mark pivot at ${arm.pivotFromLeft.toFixed(1)} ${lengthUnit} from left end (${arm.pivotPercent}%)
-  - Suggested material: ${arm.material.material}, ${arm.material.diameter} diameter
+  - Hanging points at ${arm.hangPoints.map(p => p.toFixed(1)).join(', ')} ${lengthUnit} from left end
+  - Material: ${arm.material} diameter (${arm.armMass.toFixed(massDecimals)}${massUnit})
 `
+      if (arm.recommendedMaterial) {
+        text += `  - Suggested material for this length: ${arm.recommendedMaterial}\n`
+      }
+      if (arm.structureWarning) {
+        text += `  - ${arm.structureWarning}\n`
+      }
+      if (arm.isBent) {
+        text += `  - Bent arm: ${arm.length.toFixed(1)} ${lengthUnit} unbent, spans ${arm.span.toFixed(1)} ${lengthUnit} end to end\n`
+        arm.bendPoints.forEach(bend => {
+          text += `  - Bend ${formatBendAngle(bend.angle)} at ${bend.distance.toFixed(1)} ${lengthUnit} from left end\n`
+        })
+      }
       if (arm.wireLength) {
-        text += `  - Suspension wire: ${arm.wireLength.toFixed(1)} ${lengthUnit}\n`
+        text += `  - Suspension wire: ${arm.wireLength.toFixed(1)} ${lengthUnit} (${arm.wireSpec})\n`
       }
       text += '\n'
     })
-
+    
     text += `WEIGHT SPECIFICATIONS
 ---------------------
 `
@@ -152,12 +225,12 @@ ARM CUT LIST
       text += `Weight #${weight.index}: ${weight.mass.toFixed(massDecimals)}${massUnit}
   - Shape: ${weight.shape}
   - Size: ~${weight.size.toFixed(1)} ${lengthUnit} diameter
-  - Suspension wire: ${weight.wireLength.toFixed(1)} ${lengthUnit}
+  - ${weight.wireLength !== null ? `Suspension wire: ${weight.wireLength.toFixed(1)} ${lengthUnit} (${weight.wireSpec})` : 'Rigid mount: fix directly to the arm tip (no wire)'}
   - Color: ${weight.color}
 
 `
     })
-
+    
     text += `ASSEMBLY TIPS
 -------------
 1. Start from the bottom tier and work your way up
@@ -187,6 +260,28 @@ Generated by Calder Creator
     navigator.clipboard.writeText(text)
   }
   
+  // Bill of materials for spreadsheets and inventory tools, in both unit systems
+  const handleBillOfMaterialsCSV = () => {
+    const csv = exportBillOfMaterialsCSV(mobile)
+    downloadBlob(new Blob([csv], { type: 'text/csv' }), getExportFileName('csv'))
+  }
+  
+  const handleBillOfMaterialsJSON = () => {
+    const json = exportBillOfMaterialsJSON(mobile)
+    downloadBlob(new Blob([json], { type: 'application/json' }), getExportFileName('bom.json'))
+  }
+  
+  // 1:1 templates of the flat weights and arm rods, labelled in the current units
+  const handleTemplateSVG = () => {
+    const svg = exportCuttingTemplatesSVG(mobile, templatePaper)
+    downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), getExportFileName('svg'))
+  }
+  
+  const handleTemplatePDF = () => {
+    const pdf = exportCuttingTemplatesPDF(mobile, templatePaper)
+    downloadBlob(new Blob([pdf], { type: 'application/pdf' }), getExportFileName('pdf'))
+  }
+  
   return (
     <div className="build-specs-panel">
       <div className="panel-header">
@@ -266,12 +361,33 @@ Generated by Calder Creator
                   </svg>
                   <span>Mark pivot at <strong>{arm.pivotFromLeft.toFixed(1)} {lengthUnit}</strong> from left ({arm.pivotPercent}%)</span>
                 </div>
+                <div className="hang-points-info">
+                  Hang {arm.hangPoints.length} at {arm.hangPoints.map(p => p.toFixed(1)).join(', ')} {lengthUnit} from left
+                </div>
+                {arm.isBent && (
+                  <div className="bend-info">
+                    Unbent length {arm.length.toFixed(1)} {lengthUnit}, spans {arm.span.toFixed(1)} {lengthUnit}
+                    {arm.bendPoints.map((bend, i) => (
+                      <div key={i}>
+                        Bend {formatBendAngle(bend.angle)} at {bend.distance.toFixed(1)} {lengthUnit} from left
+                      </div>
+                    ))}
+                  </div>
+                )}
                 <div className="material-info">
-                  {arm.material.material}, {arm.material.diameter}
+                  {arm.material} ({arm.armMass.toFixed(unitSystem === 'imperial' ? 1 : 0)}{massUnit})
+                  {arm.recommendedMaterial && (
+                    <div>Suggested for this length: {arm.recommendedMaterial}</div>
+                  )}
                 </div>
+                {arm.structureWarning && (
+                  <div className={`structure-warning ${arm.structureStatus}`}>
+                    {arm.structureWarning}
+                  </div>
+                )}
                 {arm.wireLength && (
                   <div className="wire-info">
-                    Wire to parent: {arm.wireLength.toFixed(1)} {lengthUnit}
+                    Wire to parent: {arm.wireLength.toFixed(1)} {lengthUnit} ({arm.wireSpec})
                   </div>
                 )}
               </div>
@@ -294,13 +410,45 @@ Generated by Calder Creator
               <div className="weight-details">
                 <span className="weight-shape">{weight.shape}</span>
                 <span className="weight-size">~{weight.size.toFixed(1)} {lengthUnit}</span>
-                <span className="weight-wire">wire: {weight.wireLength.toFixed(1)} {lengthUnit}</span>
+                <span className="weight-wire">
+                  {weight.wireLength !== null ? `wire: ${weight.wireLength.toFixed(1)} ${lengthUnit} ${weight.wireSpec}` : 'rigid mount'}
+                </span>
               </div>
             </div>
           ))}
         </div>
       </div>
       
+      {/* Tolerance Check */}
+      <div className="panel-section">
+        <span className="panel-section-title">Tolerance Check</span>
+        <div className="help-text template-note">
+          Extra tilt if every weight is up to {MASS_TOLERANCE_GRAMS} g off and the pivot {PIVOT_TOLERANCE_MM} mm off,
+          with the tilt per gram of the most sensitive child and per millimetre of pivot error.
+          {fragileCount > 0 && ` ${fragileCount} fragile ${fragileCount === 1 ? 'arm needs' : 'arms need'} weighing and re-balancing on the bench.`}
+        </div>
+        <div className="sensitivity-list">
+          {sensitivity.map(({ arm, number, children, tiltPerMm, toleranceTilt, status }) => (
+            <div key={arm.id} className={`sensitivity-row ${status}`}>
+              <span>Arm #{number}</span>
+              <span className="sensitivity-value">
+                {Math.max(0, ...children.map(child => Math.abs(child.tiltPerGram))).toFixed(2)}°/g
+                {' · '}{Math.abs(tiltPerMm).toFixed(2)}°/mm
+              </span>
+              <span className="sensitivity-total">+{toleranceTilt.toFixed(1)}°</span>
+            </div>
+          ))}
+        </div>
+        <label className="checkbox-label" style={{ marginTop: '10px' }}>
+          <input
+            type="checkbox"
+            checked={showSensitivityMap}
+            onChange={toggleSensitivityMap}
+          />
+          <span>Show tolerance heat map in 3D view</span>
+        </label>
+      </div>
+      
       {/* Construction Tips */}
       <div className="panel-section">
         <span className="panel-section-title">Construction Tips</span>
@@ -313,6 +461,34 @@ Generated by Calder Creator
         </ul>
       </div>
       
+      {/* Cutting Templates */}
+      <div className="panel-section">
+        <span className="panel-section-title">Cutting Templates</span>
+        <div className="help-text template-note">
+          Full-size outlines of the disks and organic shapes, with their hanging holes,
+          and every arm rod with its pivot and loop marks. Print at 100% and check the rulers.
+        </div>
+        <div className="mount-selector">
+          {Object.values(TEMPLATE_PAPER_SIZES).map(paper => (
+            <button
+              key={paper.id}
+              className={`mount-btn ${templatePaper === paper.id ? 'active' : ''}`}
+              onClick={() => setTemplatePaper(paper.id)}
+            >
+              {paper.name}
+            </button>
+          ))}
+        </div>
+        <div className="export-buttons template-buttons">
+          <button className="btn btn-secondary" onClick={handleTemplateSVG} disabled={!hasCuttingTemplates(mobile)}>
+            Download SVG
+          </button>
+          <button className="btn btn-secondary" onClick={handleTemplatePDF} disabled={!hasCuttingTemplates(mobile)}>
+            Download PDF
+          </button>
+        </div>
+      </div>
+      
       {/* Export Actions */}
       <div className="panel-section">
         <span className="panel-section-title">Export</span>
@@ -333,6 +509,14 @@ Generated by Calder Creator
             Copy to Clipboard
           </button>
         </div>
+        <div className="export-buttons bom-buttons">
+          <button className="btn btn-secondary" onClick={handleBillOfMaterialsCSV} title="Bill of materials in cm/in and g/oz">
+            Materials CSV
+          </button>
+          <button className="btn btn-secondary" onClick={handleBillOfMaterialsJSON} title="Bill of materials in cm/in and g/oz">
+            Materials JSON
+          </button>
+        </div>
       </div>
     </div>
   )
@@ -16,7 +16,9 @@ import {
   subscribeToUnitSystem
 } from '../config/units'
 import { PRESET_LIST } from '../config/presets'
+import { BALANCE_VARIABLES } from '../physics/constrainedBalance'
 import BuildSpecsPanel from './BuildSpecsPanel'
+import BenchModePanel from './BenchModePanel'
 
 export default function EmptyPanel() {
   const mobile = useMobileStore((state) => state.mobile)
@@ -25,8 +27,12 @@ export default function EmptyPanel() {
   const resetMobile = useMobileStore((state) => state.resetMobile)
   const loadPreset = useMobileStore((state) => state.loadPreset)
   const isAnimating = useMobileStore((state) => state.isAnimating)
+  const balanceVariables = useMobileStore((state) => state.balanceVariables)
+  const setBalanceVariables = useMobileStore((state) => state.setBalanceVariables)
+  const balanceReport = useMobileStore((state) => state.balanceReport)
   
   const [showBuildSpecs, setShowBuildSpecs] = useState(false)
+  const [showBenchMode, setShowBenchMode] = useState(false)
   
   // Subscribe to unit system changes
   const [unitSystem, setUnitSystem] = useState(getUnitSystem())
@@ -55,10 +61,28 @@ export default function EmptyPanel() {
     }
   }, [mobile, stats.totalMass, unitSystem])
   
+  // At least one variable stays free
+  const toggleBalanceVariable = (id) => {
+    if (!balanceVariables.includes(id)) {
+      setBalanceVariables([...balanceVariables, id])
+    } else if (balanceVariables.length > 1) {
+      setBalanceVariables(balanceVariables.filter(variable => variable !== id))
+    }
+  }
+  
+  // Only shown while the mobile is still the one the last auto-balance produced
+  const infeasibleArms = balanceReport?.mobile === mobile
+    ? balanceReport.results.filter(result => result.status === 'infeasible')
+    : []
+  
   if (showBuildSpecs) {
     return <BuildSpecsPanel onClose={() => setShowBuildSpecs(false)} />
   }
   
+  if (showBenchMode) {
+    return <BenchModePanel onClose={() => setShowBenchMode(false)} />
+  }
+  
   return (
     <div className="empty-state">
       <div className="empty-state-icon">
@@ -115,11 +139,41 @@ export default function EmptyPanel() {
         </div>
       </div>
       
+      {/* Auto-balance variables */}
+      <div className="balance-variables">
+        <span className="preset-title">Auto-Balance Adjusts</span>
+        <div className="mount-selector">
+          {BALANCE_VARIABLES.map(variable => (
+            <button
+              key={variable.id}
+              className={`mount-btn ${balanceVariables.includes(variable.id) ? 'active' : ''}`}
+              onClick={() => toggleBalanceVariable(variable.id)}
+              title={variable.description}
+            >
+              {variable.name}
+            </button>
+          ))}
+        </div>
+      </div>
+      
+      {infeasibleArms.length > 0 && (
+        <div className="balance-report">
+          <strong>{infeasibleArms.length === 1 ? '1 arm' : `${infeasibleArms.length} arms`} could not be balanced:</strong>
+          {infeasibleArms.map(result => (
+            <div key={result.armId}>
+              Arm #{result.number}: {result.reasons.length > 0
+                ? result.reasons.map(({ reason }) => reason).join('; ')
+                : 'nothing left free to adjust'}
+            </div>
+          ))}
+        </div>
+      )}
+      
       {/* Action Buttons */}
       <div className="action-buttons">
         <button 
           className="btn btn-auto-balance" 
-          onClick={autoBalance}
+          onClick={() => autoBalance()}
           disabled={isAnimating}
         >
           <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
@@ -141,6 +195,20 @@ export default function EmptyPanel() {
           Build Specifications
         </button>
         
+        <button 
+          className="btn btn-secondary" 
+          onClick={() => setShowBenchMode(true)}
+        >
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path d="M12 3v18" />
+            <path d="M5 7h14" />
+            <path d="M5 7l-3 7a3 3 0 0 0 6 0z" />
+            <path d="M19 7l-3 7a3 3 0 0 0 6 0z" />
+            <path d="M8 21h8" />
+          </svg>
+          Bench Mode
+        </button>
+        
         <button 
           className="btn btn-secondary" 
           onClick={resetMobile}
@@ -181,7 +249,8 @@ export default function EmptyPanel() {
         • Right-drag: Pan<br />
         • Click: Select element<br />
         • Double-click weight: Expand to arm<br />
-        • Drag yellow ring: Adjust pivot
+        • Drag yellow ring: Adjust pivot<br />
+        • Ctrl+Z / Ctrl+Shift+Z: Undo / Redo
       </div>
     </div>
   )
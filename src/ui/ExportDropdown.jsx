@@ -0,0 +1,150 @@
+import React, { useState, useRef, useEffect } from 'react'
+import useMobileStore from '../store/mobileStore'
+import { exportMobileToGLB } from '../utils/sceneExport'
+import { exportWeightsToSTL, isPrintableWeight, isFlatWeight } from '../utils/weightPrint'
+import { exportWeightsToDXF } from '../utils/dxfExport'
+import { collectWeights } from '../models/mobileTree'
+import { downloadBlob, getExportFileName } from '../utils/download'
+
+export default function ExportDropdown() {
+  const exportMobileJSON = useMobileStore((state) => state.exportMobileJSON)
+  const printSettings = useMobileStore((state) => state.printSettings)
+  const setPrintSettings = useMobileStore((state) => state.setPrintSettings)
+  const printableCount = useMobileStore((state) => collectWeights(state.mobile).filter(isPrintableWeight).length)
+  const flatCount = useMobileStore((state) => collectWeights(state.mobile).filter(isFlatWeight).length)
+  const [isOpen, setIsOpen] = useState(false)
+  const [status, setStatus] = useState(null) // { type: 'working' | 'error', message }
+  const dropdownRef = useRef(null)
+  
+  // Close dropdown when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (dropdownRef.current && !dropdownRef.current.contains(event.target)) {
+        setIsOpen(false)
+      }
+    }
+    
+    document.addEventListener('mousedown', handleClickOutside)
+    return () => document.removeEventListener('mousedown', handleClickOutside)
+  }, [])
+  
+  const handleToggle = () => {
+    setIsOpen(!isOpen)
+    setStatus(null)
+  }
+  
+  const handleExportJSON = () => {
+    exportMobileJSON()
+    setIsOpen(false)
+  }
+  
+  // Export the scene in the flat or 3D (yawed) layout
+  const handleExportGLB = async (layout) => {
+    const { mobile, getLayoutYawAngles } = useMobileStore.getState()
+    setStatus({ type: 'working', message: 'Building scene…' })
+    
+    try {
+      const glb = await exportMobileToGLB(mobile, { armYawAngles: getLayoutYawAngles(layout) })
+      downloadBlob(new Blob([glb], { type: 'model/gltf-binary' }), getExportFileName('glb'))
+      setStatus(null)
+      setIsOpen(false)
+    } catch (error) {
+      console.warn('Scene export error:', error)
+      setStatus({ type: 'error', message: 'Could not export the scene. A model may have failed to load.' })
+    }
+  }
+  
+  // Every printable weight in one STL, laid out on the print bed
+  const handleExportSTL = () => {
+    const { mobile } = useMobileStore.getState()
+    const stl = exportWeightsToSTL(collectWeights(mobile), { hangingHole: printSettings.hangingHole })
+    downloadBlob(new Blob([stl], { type: 'model/stl' }), getExportFileName('stl'))
+    setIsOpen(false)
+  }
+  
+  // Disk and organic outlines for laser or waterjet cutting, one layer per color
+  const handleExportDXF = () => {
+    const { mobile } = useMobileStore.getState()
+    const dxf = exportWeightsToDXF(collectWeights(mobile))
+    downloadBlob(new Blob([dxf], { type: 'application/dxf' }), getExportFileName('dxf'))
+    setIsOpen(false)
+  }
+  
+  const isWorking = status?.type === 'working'
+  
+  return (
+    <div className="export-dropdown" ref={dropdownRef}>
+      <button
+        className="io-toggle export"
+        onClick={handleToggle}
+        title="Export this design"
+      >
+        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+          <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" />
+          <polyline points="7 10 12 15 17 10" />
+          <line x1="12" y1="15" x2="12" y2="3" />
+        </svg>
+        <span>Export</span>
+      </button>
+      
+      {isOpen && (
+        <div className="export-dropdown-content">
+          <div className="dropdown-section">
+            <div className="section-label">Design</div>
+            <button className="dropdown-toggle-btn" onClick={handleExportJSON}>
+              JSON file
+            </button>
+          </div>
+          
+          <div className="dropdown-section">
+            <div className="section-label">3D Scene (GLB)</div>
+            <div className="export-layout-buttons">
+              <button className="dropdown-toggle-btn" onClick={() => handleExportGLB('flat')} disabled={isWorking}>
+                Flat layout
+              </button>
+              <button className="dropdown-toggle-btn" onClick={() => handleExportGLB('3d')} disabled={isWorking}>
+                3D layout
+              </button>
+            </div>
+            {status && (
+              <div className={`export-status ${status.type}`}>
+                {status.message}
+              </div>
+            )}
+          </div>
+          
+          <div className="dropdown-section">
+            <div className="section-label">3D Print (STL)</div>
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={printSettings.hangingHole}
+                onChange={(e) => setPrintSettings({ hangingHole: e.target.checked })}
+              />
+              <span>Hanging holes in disks and organic shapes</span>
+            </label>
+            <button
+              className="dropdown-toggle-btn"
+              style={{ marginTop: '10px' }}
+              onClick={handleExportSTL}
+              disabled={printableCount === 0}
+            >
+              All weights ({printableCount})
+            </button>
+          </div>
+          
+          <div className="dropdown-section">
+            <div className="section-label">Laser Cutting (DXF)</div>
+            <button
+              className="dropdown-toggle-btn"
+              onClick={handleExportDXF}
+              disabled={flatCount === 0}
+            >
+              Disks and organic shapes ({flatCount})
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -79,6 +79,9 @@ export default function InstructionsModal({ isOpen, onClose }) {
               <li>
                 <strong>Delete</strong> — Select an element and press <kbd>Delete</kbd> or <kbd>Backspace</kbd>
               </li>
+              <li>
+                <strong>Lock</strong> — Click <em>Lock</em> in the panel header to keep a hand-tuned arm or weight as it is through auto-balance, deletes and pivot drags
+              </li>
             </ul>
           </section>
           
@@ -0,0 +1,31 @@
+import React from 'react'
+import useMobileStore from '../store/mobileStore'
+import { isNodeLocked } from '../models/mobileTree'
+
+// Padlock button in the arm and weight panel headers; locks or unlocks `node`.
+// A node only kept by auto-balance (balanceLocked) shows as locked for balancing,
+// and a click releases it
+export default function LockToggle({ node }) {
+  const setNodeLocked = useMobileStore((state) => state.setNodeLocked)
+  const locked = isNodeLocked(node)
+  const balanceLocked = !locked && node.balanceLocked === true
+  const closed = locked || balanceLocked
+  
+  let title = 'Lock to keep it as it is: auto-balance leaves it alone and it can\'t be deleted or expanded'
+  if (locked) title = 'Unlock so auto-balance, pivot drags, deleting and expanding can change it again'
+  if (balanceLocked) title = 'Auto-balance keeps its values, but it can still be moved, deleted or expanded. Click to release it'
+  
+  return (
+    <button
+      className={`lock-toggle ${closed ? 'active' : ''}`}
+      onClick={() => setNodeLocked(node.id, !closed)}
+      title={title}
+    >
+      <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+        <rect x="4" y="11" width="16" height="10" rx="2" />
+        <path d={closed ? 'M8 11V7a4 4 0 0 1 8 0v4' : 'M8 11V7a4 4 0 0 1 7.75-1.4'} />
+      </svg>
+      {locked ? 'Locked' : balanceLocked ? 'Balance Lock' : 'Lock'}
+    </button>
+  )
+}
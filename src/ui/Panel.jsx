@@ -3,6 +3,7 @@ import useMobileStore from '../store/mobileStore'
 import EmptyPanel from './EmptyPanel'
 import WeightPanel from './WeightPanel'
 import ArmPanel from './ArmPanel'
+import { canDeleteNode } from '../models/mobileTree'
 
 export default function Panel() {
   const selectedNode = useMobileStore((state) => state.getSelectedNode())
@@ -10,17 +11,39 @@ export default function Panel() {
   const selectedId = useMobileStore((state) => state.selectedId)
   const mobile = useMobileStore((state) => state.mobile)
   const clearSelection = useMobileStore((state) => state.clearSelection)
+  const undo = useMobileStore((state) => state.undo)
+  const redo = useMobileStore((state) => state.redo)
+  const endHistoryGroup = useMobileStore((state) => state.endHistoryGroup)
+  const attachmentPickId = useMobileStore((state) => state.attachmentPickId)
+  const cancelAttachmentPick = useMobileStore((state) => state.cancelAttachmentPick)
   
   // Handle keyboard shortcuts
   useEffect(() => {
     const handleKeyDown = (e) => {
+      // Undo: Ctrl/Cmd+Z, Redo: Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y
+      if ((e.ctrlKey || e.metaKey) && (e.key === 'z' || e.key === 'Z' || e.key === 'y')) {
+        // Leave form fields to their native undo
+        if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT' || e.target.tagName === 'TEXTAREA') {
+          return
+        }
+        
+        e.preventDefault()
+        if (e.key === 'y' || e.shiftKey) {
+          redo()
+        } else {
+          undo()
+        }
+        return
+      }
+      
       if (e.key === 'Delete' || e.key === 'Backspace') {
         // Don't delete if we're in an input field
         if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
           return
         }
         
-        if (selectedId && selectedId !== mobile.id) {
+        // Locked nodes (and subtrees holding one) stay put
+        if (selectedId && canDeleteNode(mobile, selectedId)) {
           e.preventDefault()
           deleteNode(selectedId)
           clearSelection()
@@ -28,13 +51,25 @@ export default function Panel() {
       }
       
       if (e.key === 'Escape') {
-        clearSelection()
+        // Leave attachment point picking first, keeping the weight selected
+        if (attachmentPickId) {
+          cancelAttachmentPick()
+        } else {
+          clearSelection()
+        }
       }
     }
     
     window.addEventListener('keydown', handleKeyDown)
     return () => window.removeEventListener('keydown', handleKeyDown)
-  }, [selectedId, mobile.id, deleteNode, clearSelection])
+  }, [selectedId, mobile.id, deleteNode, clearSelection, undo, redo, attachmentPickId, cancelAttachmentPick])
+  
+  // Slider drags open a history group on pointer down; close it wherever the
+  // pointer is released so the drag is recorded as a single undo step
+  useEffect(() => {
+    window.addEventListener('pointerup', endHistoryGroup)
+    return () => window.removeEventListener('pointerup', endHistoryGroup)
+  }, [endHistoryGroup])
   
   const renderPanel = () => {
     if (!selectedNode) {
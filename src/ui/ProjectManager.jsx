@@ -0,0 +1,158 @@
+import React, { useState, useEffect } from 'react'
+import useMobileStore from '../store/mobileStore'
+
+// Format a last-modified timestamp, e.g. "Today 14:05" or "3 Mar 2025 09:12"
+function formatModified(timestamp) {
+  const date = new Date(timestamp)
+  const time = date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })
+  
+  if (date.toDateString() === new Date().toDateString()) {
+    return `Today ${time}`
+  }
+  return `${date.toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' })} ${time}`
+}
+
+function ProjectCard({ project, isCurrent, onOpen, onRename, onDuplicate, onDelete }) {
+  const [editing, setEditing] = useState(false)
+  const [name, setName] = useState(project.name)
+  
+  useEffect(() => {
+    if (!editing) setName(project.name)
+  }, [project.name, editing])
+  
+  const commitRename = () => {
+    setEditing(false)
+    if (name.trim() && name.trim() !== project.name) {
+      onRename(name)
+    }
+  }
+  
+  return (
+    <div className={`project-card ${isCurrent ? 'current' : ''}`}>
+      <button className="project-thumbnail" onClick={onOpen} disabled={isCurrent} title={isCurrent ? 'Open now' : 'Open project'}>
+        {project.thumbnail ? (
+          <img src={project.thumbnail} alt="" />
+        ) : (
+          <span className="project-thumbnail-empty">No preview</span>
+        )}
+      </button>
+      
+      <div className="project-info">
+        {editing ? (
+          <input
+            className="project-name-input"
+            value={name}
+            autoFocus
+            maxLength={80}
+            onChange={(e) => setName(e.target.value)}
+            onBlur={commitRename}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') commitRename()
+              if (e.key === 'Escape') {
+                setName(project.name)
+                setEditing(false)
+              }
+            }}
+          />
+        ) : (
+          <button className="project-name" onClick={() => setEditing(true)} title="Rename">
+            {project.name}
+          </button>
+        )}
+        <div className="project-modified">
+          {isCurrent && <span className="project-current-badge">Open</span>}
+          Modified {formatModified(project.updatedAt)}
+        </div>
+        
+        <div className="project-actions">
+          <button className="btn btn-secondary" onClick={onOpen} disabled={isCurrent}>Open</button>
+          <button className="btn btn-secondary" onClick={onDuplicate}>Duplicate</button>
+          <button className="btn btn-danger" onClick={onDelete}>Delete</button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// Browser for projects saved locally in this browser
+export default function ProjectManager({ isOpen, onClose }) {
+  const projects = useMobileStore((state) => state.projects)
+  const projectId = useMobileStore((state) => state.projectId)
+  const projectError = useMobileStore((state) => state.projectError)
+  const refreshProjects = useMobileStore((state) => state.refreshProjects)
+  const createProject = useMobileStore((state) => state.createProject)
+  const openProject = useMobileStore((state) => state.openProject)
+  const renameProject = useMobileStore((state) => state.renameProject)
+  const duplicateProject = useMobileStore((state) => state.duplicateProject)
+  const deleteProject = useMobileStore((state) => state.deleteProject)
+  
+  useEffect(() => {
+    if (isOpen) refreshProjects()
+  }, [isOpen, refreshProjects])
+  
+  if (!isOpen) return null
+  
+  const handleOpen = async (id) => {
+    const result = await openProject(id)
+    if (result.success) onClose()
+  }
+  
+  const handleCreate = async () => {
+    const result = await createProject()
+    if (result.success) onClose()
+  }
+  
+  const handleDelete = (project) => {
+    if (window.confirm(`Delete "${project.name}"? This cannot be undone.`)) {
+      deleteProject(project.id)
+    }
+  }
+  
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-container project-manager" onClick={(e) => e.stopPropagation()}>
+        <button className="modal-close" onClick={onClose}>
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+            <line x1="18" y1="6" x2="6" y2="18" />
+            <line x1="6" y1="6" x2="18" y2="18" />
+          </svg>
+        </button>
+        
+        <div className="modal-header">
+          <h1>Projects</h1>
+          <p className="modal-subtitle">Saved automatically in this browser as you edit</p>
+        </div>
+        
+        <div className="modal-content">
+          {projectError && (
+            <div className="project-error">{projectError}</div>
+          )}
+          
+          {projects.length === 0 ? (
+            <p className="help-text">No saved projects yet.</p>
+          ) : (
+            <div className="project-list">
+              {projects.map(project => (
+                <ProjectCard
+                  key={project.id}
+                  project={project}
+                  isCurrent={project.id === projectId}
+                  onOpen={() => handleOpen(project.id)}
+                  onRename={(name) => renameProject(project.id, name)}
+                  onDuplicate={() => duplicateProject(project.id)}
+                  onDelete={() => handleDelete(project)}
+                />
+              ))}
+            </div>
+          )}
+        </div>
+        
+        <div className="modal-footer">
+          <button className="btn btn-primary modal-dismiss" onClick={handleCreate}>
+            New Project
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,106 @@
+import React, { useState, useRef, useEffect } from 'react'
+import useMobileStore from '../store/mobileStore'
+import { getUnitSystem } from '../config/units'
+import { createShareUrl, createShareView } from '../utils/shareLink'
+
+export default function ShareDropdown() {
+  const [isOpen, setIsOpen] = useState(false)
+  const [includeView, setIncludeView] = useState(false)
+  const [status, setStatus] = useState(null) // { type: 'copied' | 'manual' | 'error', message, url? }
+  const dropdownRef = useRef(null)
+  
+  // Close dropdown when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (dropdownRef.current && !dropdownRef.current.contains(event.target)) {
+        setIsOpen(false)
+      }
+    }
+    
+    document.addEventListener('mousedown', handleClickOutside)
+    return () => document.removeEventListener('mousedown', handleClickOutside)
+  }, [])
+  
+  const handleToggle = () => {
+    setIsOpen(!isOpen)
+    setStatus(null)
+  }
+  
+  const handleCopyLink = async () => {
+    const { mobile, viewMode, armYawAngles } = useMobileStore.getState()
+    
+    let url
+    try {
+      const view = includeView
+        ? createShareView(mobile, { units: getUnitSystem(), viewMode, armYawAngles })
+        : null
+      url = await createShareUrl(mobile, view)
+    } catch (error) {
+      setStatus({ type: 'error', message: error.message })
+      return
+    }
+    
+    try {
+      await navigator.clipboard.writeText(url)
+      setStatus({ type: 'copied', message: 'Link copied to clipboard' })
+    } catch {
+      // Clipboard blocked (e.g. insecure context) - let the user copy it by hand
+      setStatus({ type: 'manual', message: 'Copy this link:', url })
+    }
+  }
+  
+  return (
+    <div className="share-dropdown" ref={dropdownRef}>
+      <button
+        className="io-toggle share"
+        onClick={handleToggle}
+        title="Share this design as a link"
+      >
+        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+          <path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71" />
+          <path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71" />
+        </svg>
+        <span>Share</span>
+      </button>
+      
+      {isOpen && (
+        <div className="share-dropdown-content">
+          <div className="dropdown-section">
+            <div className="section-label">Share Link</div>
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={includeView}
+                onChange={(e) => {
+                  setIncludeView(e.target.checked)
+                  setStatus(null)
+                }}
+              />
+              <span>Include view (units, view mode, arm rotations)</span>
+            </label>
+          </div>
+          
+          <div className="dropdown-section">
+            <button className="dropdown-toggle-btn" onClick={handleCopyLink}>
+              Copy link
+            </button>
+            {status && (
+              <div className={`share-status ${status.type}`}>
+                {status.message}
+                {status.url && (
+                  <input
+                    className="share-url-input"
+                    readOnly
+                    value={status.url}
+                    onFocus={(e) => e.target.select()}
+                    autoFocus
+                  />
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -1,6 +1,6 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useRef } from 'react'
 import useMobileStore from '../store/mobileStore'
-import { canExpandAt, generateBlobPoints } from '../models/mobileTree'
+import { canExpandAt, canDeleteNode, generateBlobPoints, isRigidMount, isNodeLocked } from '../models/mobileTree'
 import { 
   METRIC_RANGES, 
   getLength, 
@@ -9,9 +9,21 @@ import {
   getMassUnit,
   getUnitSystem,
   subscribeToUnitSystem,
-  getRangeDisplay
+  getRangeDisplay,
+  formatLength
 } from '../config/units'
-import { MODEL_LIST, isModelShape } from '../config/models'
+import { getModelList, getModelById, subscribeToModels, isModelShape } from '../config/models'
+import {
+  MODEL_FILE_ACCEPT,
+  MODEL_FILE_UNITS,
+  DEFAULT_MESH_UNIT,
+  readModelFiles,
+  needsModelUnit
+} from '../utils/modelImport'
+import WireSpecControls from './WireSpecControls'
+import WeightPrintControls from './WeightPrintControls'
+import LockToggle from './LockToggle'
+import { hasAttachmentPoint } from '../models/weightAttachment'
 
 // Thickness range for disk and organic shapes (in scene units, 1 unit = 10cm)
 const THICKNESS_RANGE = {
@@ -39,6 +51,13 @@ export default function WeightPanel({ weight }) {
   const deleteNode = useMobileStore((state) => state.deleteNode)
   const expandWeight = useMobileStore((state) => state.expandWeight)
   const clearSelection = useMobileStore((state) => state.clearSelection)
+  const beginHistoryGroup = useMobileStore((state) => state.beginHistoryGroup)
+  const uploadModel = useMobileStore((state) => state.uploadModel)
+  const physicsEnabled = useMobileStore((state) => state.physicsEnabled)
+  const attachmentPickId = useMobileStore((state) => state.attachmentPickId)
+  const startAttachmentPick = useMobileStore((state) => state.startAttachmentPick)
+  const cancelAttachmentPick = useMobileStore((state) => state.cancelAttachmentPick)
+  const setAttachmentPoint = useMobileStore((state) => state.setAttachmentPoint)
   
   // Subscribe to unit system changes
   const [unitSystem, setUnitSystem] = useState(getUnitSystem())
@@ -46,7 +65,19 @@ export default function WeightPanel({ weight }) {
     return subscribeToUnitSystem(setUnitSystem)
   }, [])
   
+  // Subscribe to uploaded models
+  const [modelList, setModelList] = useState(getModelList)
+  useEffect(() => {
+    return subscribeToModels(() => setModelList(getModelList()))
+  }, [])
+  
+  const modelInputRef = useRef(null)
+  // { status: 'loading' | 'error', message } or { status: 'unit', parsed, unit } while asking for an STL/OBJ unit
+  const [modelUpload, setModelUpload] = useState(null)
+  
+  const isLocked = isNodeLocked(weight)
   const canExpand = canExpandAt(mobile, weight.id)
+  const canDelete = canDeleteNode(mobile, weight.id)
   
   const handleMassChange = (e) => {
     updateWeight(weight.id, { mass: parseFloat(e.target.value) || METRIC_RANGES.weightMass.min })
@@ -60,9 +91,14 @@ export default function WeightPanel({ weight }) {
     updateWeight(weight.id, { wireLength: parseFloat(e.target.value) || METRIC_RANGES.wireLength.min })
   }
   
+  const handleMountChange = (mount) => {
+    updateWeight(weight.id, { mount })
+  }
+  
   const handleShapeChange = (shape) => {
     // Clear model-related properties when switching to primitive shape
-    const updates = { shape, modelId: null, modelScale: null }
+    // (a chosen attachment point belongs to the old shape)
+    const updates = { shape, modelId: null, modelScale: null, attachmentPoint: null }
     
     // Generate blob points when switching to organic shape
     if (shape === 'organic' && !weight.blobPoints) {
@@ -87,14 +123,53 @@ export default function WeightPanel({ weight }) {
   }
   
   const handleModelSelect = (modelId) => {
-    const model = MODEL_LIST.find(m => m.id === modelId)
+    const model = getModelById(modelId)
     updateWeight(weight.id, { 
       shape: 'model', 
       modelId,
-      modelScale: model?.defaultScale ?? 0.3 
+      modelScale: model?.defaultScale ?? 0.3,
+      attachmentPoint: null
     })
   }
   
+  const handleModelUpload = async (e) => {
+    const files = e.target.files
+    if (!files || files.length === 0) return
+    
+    setModelUpload({ status: 'loading', message: 'Loading model…' })
+    
+    let parsed
+    try {
+      parsed = await readModelFiles(files)
+    } catch (error) {
+      setModelUpload({ status: 'error', message: error.message })
+      return
+    } finally {
+      // Reset input so the same file can be chosen again
+      e.target.value = ''
+    }
+    
+    // STL and OBJ files don't say what unit they're in - ask first
+    if (needsModelUnit(parsed)) {
+      setModelUpload({ status: 'unit', parsed, unit: DEFAULT_MESH_UNIT })
+    } else {
+      addUploadedModel(parsed)
+    }
+  }
+  
+  const addUploadedModel = async (parsed, unit) => {
+    setModelUpload({ status: 'loading', message: 'Adding model…' })
+    const result = await uploadModel(parsed, { unit })
+    setModelUpload(result.success ? null : { status: 'error', message: result.error })
+  }
+  
+  // Size the pending STL/OBJ model will have when added (at its default scale)
+  const getPendingModelSize = ({ parsed, unit }) => {
+    const { x, y, z } = parsed.size
+    const scale = MODEL_FILE_UNITS[unit].scale ?? 0.5 / Math.max(x, y, z, 1e-9)
+    return [x, y, z].map(value => formatLength(value * scale)).join(' × ')
+  }
+  
   const handleModelScaleChange = (e) => {
     updateWeight(weight.id, { modelScale: parseFloat(e.target.value) || 0.3 })
   }
@@ -104,8 +179,12 @@ export default function WeightPanel({ weight }) {
   }
   
   const isModel = isModelShape(weight.shape)
+  const isRigid = isRigidMount(weight)
+  const isPickingAttachment = attachmentPickId === weight.id
+  const hasChosenPoint = hasAttachmentPoint(weight)
   
   const handleDelete = () => {
+    if (!canDelete) return
     deleteNode(weight.id)
     clearSelection()
   }
@@ -139,6 +218,7 @@ export default function WeightPanel({ weight }) {
           </svg>
         </div>
         <h2>Weight</h2>
+        <LockToggle node={weight} />
       </div>
       
       <div className="panel-section">
@@ -156,6 +236,7 @@ export default function WeightPanel({ weight }) {
             step={METRIC_RANGES.weightMass.step}
             value={weight.mass}
             onChange={handleMassChange}
+            onPointerDown={beginHistoryGroup}
           />
           <div className="range-labels">
             <span>{weightMassRange.min}{weightMassRange.unit}</span>
@@ -176,6 +257,7 @@ export default function WeightPanel({ weight }) {
               step={METRIC_RANGES.weightSize.step}
               value={weight.size}
               onChange={handleSizeChange}
+              onPointerDown={beginHistoryGroup}
             />
             <div className="range-labels">
               <span>{weightSizeRange.min}{weightSizeRange.unit}</span>
@@ -197,6 +279,7 @@ export default function WeightPanel({ weight }) {
               step={0.01}
               value={weight.modelScale ?? 0.3}
               onChange={handleModelScaleChange}
+              onPointerDown={beginHistoryGroup}
             />
             <div className="range-labels">
               <span>5%</span>
@@ -206,26 +289,98 @@ export default function WeightPanel({ weight }) {
         )}
         
         <div className="control-group">
-          <label className="control-label">
-            Wire Length
-            <span className="control-value metric-value">{wireLengthDisplay.toFixed(1)}<span className="unit">{lengthUnit}</span></span>
-          </label>
-          <input 
-            type="range" 
-            min={METRIC_RANGES.wireLength.min}
-            max={METRIC_RANGES.wireLength.max}
-            step={METRIC_RANGES.wireLength.step}
-            value={weight.wireLength ?? 0.7}
-            onChange={handleWireLengthChange}
-          />
-          <div className="range-labels">
-            <span>{wireLengthRange.min}{wireLengthRange.unit}</span>
-            <span>{wireLengthRange.max}{wireLengthRange.unit}</span>
-          </div>
-          <div className="help-text" style={{ marginTop: '8px', fontSize: '11px' }}>
-            Distance from arm endpoint to this weight
+          <label className="control-label">Attachment</label>
+          <div className="mount-selector">
+            <button 
+              className={`mount-btn ${!isRigid ? 'active' : ''}`}
+              onClick={() => handleMountChange('wire')}
+              title="Hang from a suspension wire"
+            >
+              Wire
+            </button>
+            <button 
+              className={`mount-btn ${isRigid ? 'active' : ''}`}
+              onClick={() => handleMountChange('rigid')}
+              title="Fix directly to the arm, in line with the rod"
+            >
+              Rigid Mount
+            </button>
           </div>
         </div>
+        
+        {isRigid ? (
+          <div className="help-text" style={{ fontSize: '11px' }}>
+            Mounted directly on the arm with no wire. Its mass becomes part of the arm's own balance.
+          </div>
+        ) : (
+          <div className="control-group">
+            <label className="control-label">
+              Wire Length
+              <span className="control-value metric-value">{wireLengthDisplay.toFixed(1)}<span className="unit">{lengthUnit}</span></span>
+            </label>
+            <input 
+              type="range" 
+              min={METRIC_RANGES.wireLength.min}
+              max={METRIC_RANGES.wireLength.max}
+              step={METRIC_RANGES.wireLength.step}
+              value={weight.wireLength ?? 0.7}
+              onChange={handleWireLengthChange}
+              onPointerDown={beginHistoryGroup}
+            />
+            <div className="range-labels">
+              <span>{wireLengthRange.min}{wireLengthRange.unit}</span>
+              <span>{wireLengthRange.max}{wireLengthRange.unit}</span>
+            </div>
+            <div className="help-text" style={{ marginTop: '8px', fontSize: '11px' }}>
+              Distance from arm endpoint to this weight
+            </div>
+          </div>
+        )}
+        
+        {!isRigid && (
+          <div className="control-group">
+            <label className="control-label">Wire Attachment Point</label>
+            {isPickingAttachment ? (
+              <>
+                <div className="help-text attachment-pick-hint">
+                  Click on the weight in the 3D view where the wire should attach
+                </div>
+                <button className="btn btn-secondary attachment-btn" onClick={cancelAttachmentPick}>
+                  Cancel
+                </button>
+              </>
+            ) : (
+              <div className="attachment-actions">
+                <button 
+                  className="btn btn-secondary attachment-btn"
+                  onClick={() => startAttachmentPick(weight.id)}
+                  disabled={physicsEnabled}
+                  title={physicsEnabled ? 'Turn off physics to choose a point' : 'Click on the weight to choose where the wire attaches'}
+                >
+                  Choose Point
+                </button>
+                {hasChosenPoint && (
+                  <button 
+                    className="btn btn-secondary attachment-btn"
+                    onClick={() => setAttachmentPoint(weight.id, null)}
+                    title="Hang from the default point again"
+                  >
+                    Reset
+                  </button>
+                )}
+              </div>
+            )}
+            <div className="help-text" style={{ marginTop: '8px', fontSize: '11px' }}>
+              {hasChosenPoint
+                ? 'Hangs from the chosen point, turned so its center of gravity is below it'
+                : 'Hangs upright from its top'}
+            </div>
+          </div>
+        )}
+        
+        {!isRigid && (
+          <WireSpecControls node={weight} onChange={(updates) => updateWeight(weight.id, updates)} />
+        )}
       </div>
       
       <div className="panel-section">
@@ -343,6 +498,7 @@ export default function WeightPanel({ weight }) {
               step={THICKNESS_RANGE.step}
               value={weight.thickness ?? 0.05}
               onChange={handleThicknessChange}
+              onPointerDown={beginHistoryGroup}
             />
             <div className="range-labels">
               <span>{(getLength(THICKNESS_RANGE.min)).toFixed(1)}{lengthUnit}</span>
@@ -371,19 +527,80 @@ export default function WeightPanel({ weight }) {
         <span className="panel-section-title">3D Models</span>
         
         <div className="model-selector">
-          {MODEL_LIST.map((model) => (
+          {modelList.map((model) => (
             <button
               key={model.id}
               className={`model-btn ${isModel && weight.modelId === model.id ? 'active' : ''}`}
               onClick={() => handleModelSelect(model.id)}
               title={model.description}
             >
-              <span className="model-icon">{model.icon}</span>
+              {model.thumbnail ? (
+                <img className="model-thumbnail" src={model.thumbnail} alt="" />
+              ) : (
+                <span className="model-icon">{model.icon}</span>
+              )}
               <span className="model-name">{model.name}</span>
             </button>
           ))}
         </div>
         
+        <button
+          className="upload-model-btn"
+          onClick={() => modelInputRef.current?.click()}
+          disabled={modelUpload?.status === 'loading'}
+          title="Use your own .glb, .gltf, .stl or .obj model (select a .gltf together with its .bin and texture files)"
+        >
+          <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+            <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" />
+            <polyline points="17 8 12 3 7 8" />
+            <line x1="12" y1="3" x2="12" y2="15" />
+          </svg>
+          Upload Model
+        </button>
+        <input
+          ref={modelInputRef}
+          type="file"
+          accept={MODEL_FILE_ACCEPT}
+          multiple
+          onChange={handleModelUpload}
+          style={{ display: 'none' }}
+        />
+        {modelUpload?.status === 'unit' && (
+          <div className="model-unit-prompt">
+            <label className="control-label">
+              Units in {modelUpload.parsed.name}.{modelUpload.parsed.format}
+            </label>
+            <div className="model-unit-selector">
+              {Object.entries(MODEL_FILE_UNITS).map(([id, unit]) => (
+                <button
+                  key={id}
+                  className={`mount-btn ${modelUpload.unit === id ? 'active' : ''}`}
+                  onClick={() => setModelUpload({ ...modelUpload, unit: id })}
+                  title={unit.name}
+                >
+                  {unit.label}
+                </button>
+              ))}
+            </div>
+            <div className="help-text" style={{ marginTop: '8px', fontSize: '11px' }}>
+              Size: {getPendingModelSize(modelUpload)}
+            </div>
+            <div className="model-unit-actions">
+              <button className="btn btn-secondary" onClick={() => setModelUpload(null)}>
+                Cancel
+              </button>
+              <button className="btn btn-primary" onClick={() => addUploadedModel(modelUpload.parsed, modelUpload.unit)}>
+                Add Model
+              </button>
+            </div>
+          </div>
+        )}
+        {(modelUpload?.status === 'loading' || modelUpload?.status === 'error') && (
+          <div className={`model-upload-status ${modelUpload.status}`}>
+            {modelUpload.message}
+          </div>
+        )}
+        
         {isModel && (
           <div className="help-text" style={{ marginTop: '8px', fontSize: '11px' }}>
             Mass is auto-calculated from model volume
@@ -417,6 +634,13 @@ export default function WeightPanel({ weight }) {
         </div>
       )}
       
+      {!isModel && (
+        <div className="panel-section">
+          <span className="panel-section-title">3D Print</span>
+          <WeightPrintControls weight={weight} />
+        </div>
+      )}
+      
       <div className="panel-section">
         <span className="panel-section-title">Actions</span>
         
@@ -430,12 +654,13 @@ export default function WeightPanel({ weight }) {
             <line x1="12" y1="5" x2="12" y2="19" />
             <line x1="5" y1="12" x2="19" y2="12" />
           </svg>
-          {canExpand ? 'Expand to Arm' : 'Max Depth Reached'}
+          {isLocked ? 'Locked' : canExpand ? 'Expand to Arm' : 'Max Depth Reached'}
         </button>
         
         <button 
           className="btn btn-danger"
           onClick={handleDelete}
+          disabled={!canDelete}
           style={{ width: '100%' }}
         >
           <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
@@ -0,0 +1,81 @@
+import React, { useMemo } from 'react'
+import useMobileStore from '../store/mobileStore'
+import { PRINT_FILAMENT_LIST, getPrintFilamentById } from '../config/materials'
+import { formatMass, gramsToMass } from '../config/units'
+import {
+  createPrintGeometry,
+  calculatePrintedMass,
+  canHaveHangingHole,
+  getHangingHoleDiameter,
+  exportWeightsToSTL
+} from '../utils/weightPrint'
+import { downloadBlob, getExportFileName } from '../utils/download'
+
+// Filament, hanging hole and STL download for 3D printing a weight
+// The filament and hole settings are shared with the batch export in the Export menu
+export default function WeightPrintControls({ weight }) {
+  const printSettings = useMobileStore((state) => state.printSettings)
+  const setPrintSettings = useMobileStore((state) => state.setPrintSettings)
+  
+  const filament = getPrintFilamentById(printSettings.filament)
+  const canDrill = canHaveHangingHole(weight)
+  
+  // Printed (solid) mass and whether the hole fits
+  const print = useMemo(() => {
+    const { geometry, hangingHole } = createPrintGeometry(weight, { hangingHole: printSettings.hangingHole })
+    const grams = calculatePrintedMass(geometry, filament.id)
+    geometry.dispose()
+    return { grams, hangingHole }
+  }, [weight, printSettings.hangingHole, filament.id])
+  
+  const handleDownload = () => {
+    const stl = exportWeightsToSTL([weight], { hangingHole: printSettings.hangingHole })
+    downloadBlob(new Blob([stl], { type: 'model/stl' }), getExportFileName('stl'))
+  }
+  
+  return (
+    <div className="control-group">
+      <label className="control-label">Filament</label>
+      <div className="filament-selector">
+        {PRINT_FILAMENT_LIST.map(option => (
+          <button
+            key={option.id}
+            className={`mount-btn ${filament.id === option.id ? 'active' : ''}`}
+            onClick={() => setPrintSettings({ filament: option.id })}
+            title={`${option.density} g/cm³`}
+          >
+            {option.name}
+          </button>
+        ))}
+      </div>
+      
+      {canDrill && (
+        <label className="checkbox-label" style={{ marginTop: '12px' }}>
+          <input
+            type="checkbox"
+            checked={printSettings.hangingHole}
+            onChange={(e) => setPrintSettings({ hangingHole: e.target.checked })}
+          />
+          <span>Hanging hole ({getHangingHoleDiameter(weight).toFixed(1)}mm, for the wire)</span>
+        </label>
+      )}
+      {canDrill && printSettings.hangingHole && !print.hangingHole && (
+        <div className="help-text print-warning">
+          Too small for a hanging hole with a 2mm wall; it is printed without one
+        </div>
+      )}
+      
+      <div className="print-mass">
+        <span>Printed mass ({filament.name}, solid)</span>
+        <span className="control-value">{formatMass(gramsToMass(print.grams), 1)}</span>
+      </div>
+      <div className="help-text" style={{ fontSize: '11px' }}>
+        Design mass is {formatMass(weight.mass, 1)}. Lower infill prints lighter.
+      </div>
+      
+      <button className="btn btn-secondary print-download-btn" onClick={handleDownload}>
+        Download STL
+      </button>
+    </div>
+  )
+}
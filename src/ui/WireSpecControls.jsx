@@ -0,0 +1,48 @@
+import React from 'react'
+import { calculateWireMass } from '../models/mobileTree'
+import { WIRE_GAUGE_LIST, WIRE_MATERIAL_LIST, getWireSpec } from '../config/materials'
+import { getMass, getMassUnit } from '../config/units'
+
+// Gauge and material of the wire connecting a node to its parent
+// Shared by the weight and arm panels; `onChange` receives { wireGauge } or { wireMaterial }
+export default function WireSpecControls({ node, onChange }) {
+  const { gauge, material } = getWireSpec(node)
+  const wireMassDisplay = getMass(calculateWireMass(node))
+  
+  return (
+    <div className="control-group">
+      <label className="control-label">
+        Wire Gauge
+        <span className="control-value">{gauge.diameter}<span className="unit">mm</span></span>
+      </label>
+      <div className="wire-gauge-selector">
+        {WIRE_GAUGE_LIST.map(option => (
+          <button
+            key={option.id}
+            className={`mount-btn ${gauge.id === option.id ? 'active' : ''}`}
+            onClick={() => onChange({ wireGauge: option.id })}
+          >
+            {option.name}
+          </button>
+        ))}
+      </div>
+      
+      <label className="control-label" style={{ marginTop: '12px' }}>Wire Material</label>
+      <div className="mount-selector">
+        {WIRE_MATERIAL_LIST.map(option => (
+          <button
+            key={option.id}
+            className={`mount-btn ${material.id === option.id ? 'active' : ''}`}
+            onClick={() => onChange({ wireMaterial: option.id })}
+          >
+            {option.name}
+          </button>
+        ))}
+      </div>
+      
+      <div className="help-text" style={{ marginTop: '8px', fontSize: '11px' }}>
+        Wire mass: {wireMassDisplay.toFixed(2)} {getMassUnit()} (counted in the balance)
+      </div>
+    </div>
+  )
+}
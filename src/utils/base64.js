@@ -0,0 +1,23 @@
+// Binary data as base64 text, for embedding model files in JSON exports
+
+// Encode in chunks - String.fromCharCode can't take a whole model as arguments
+const CHUNK_SIZE = 0x8000
+
+export function arrayBufferToBase64(buffer) {
+  const bytes = new Uint8Array(buffer)
+  let binary = ''
+  for (let i = 0; i < bytes.length; i += CHUNK_SIZE) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + CHUNK_SIZE))
+  }
+  return btoa(binary)
+}
+
+// Throws if the text isn't valid base64
+export function base64ToArrayBuffer(text) {
+  const binary = atob(text)
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i)
+  }
+  return bytes.buffer
+}
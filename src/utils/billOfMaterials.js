@@ -0,0 +1,220 @@
+import { getChildren, getAttachPosition, isRigidMount, calculateArmMass } from '../models/mobileTree'
+import { getArmRodLength, getArmDistanceAt } from '../models/armGeometry'
+import { getArmMaterialSpec, getWireSpec } from '../config/materials'
+import { getModelById, isModelShape } from '../config/models'
+import { lengthToCm, lengthToInches, massToGrams, massToOz } from '../config/units'
+
+/**
+ * Machine-readable bill of materials (JSON and CSV)
+ *
+ * Lists every arm (rod length, pivot, material, diameter, suspension wire), every
+ * weight (shape, mass, size, color, wire) and the wire needed per gauge and material.
+ * Arms and weights are numbered as in the build specs. Every measurement is given
+ * in both unit systems (cm and in, g and oz), whichever one the app is showing.
+ */
+
+export const BOM_FORMAT = 'calder-bom'
+export const BOM_VERSION = 1
+
+// Extra wire for the loops and knots at each end, as in the build specs
+const WIRE_ALLOWANCE = 1.2
+
+const MM_TO_INCHES = 1 / 25.4
+
+function round(value, decimals) {
+  const factor = 10 ** decimals
+  return Math.round(value * factor) / factor
+}
+
+function lengthValues(sceneUnits) {
+  return { cm: round(lengthToCm(sceneUnits), 1), in: round(lengthToInches(sceneUnits), 2) }
+}
+
+function massValues(sceneMass) {
+  return { g: round(massToGrams(sceneMass), 1), oz: round(massToOz(sceneMass), 2) }
+}
+
+function diameterValues(mm) {
+  return { mm, in: round(mm * MM_TO_INCHES, 3) }
+}
+
+// Arms and weights in build specs order (depth first), with their parent arm
+function collectParts(node, parent = null, parts = { arms: [], weights: [] }) {
+  if (node.type === 'arm') {
+    parts.arms.push({ node, parent })
+    getChildren(node).forEach(child => collectParts(child, node, parts))
+  } else if (node.type === 'weight') {
+    parts.weights.push({ node, parent })
+  }
+  return parts
+}
+
+// Build the bill of materials for a mobile
+export function createBillOfMaterials(mobile) {
+  const { arms, weights } = collectParts(mobile)
+  const armNames = new Map(arms.map(({ node }, index) => [node.id, `Arm #${index + 1}`]))
+  const wireTotals = new Map()
+  
+  // Every suspension wire counts towards the total for its gauge and material
+  const addWire = (node) => {
+    const { gauge, material } = getWireSpec(node)
+    const key = `${gauge.id}:${material.id}`
+    if (!wireTotals.has(key)) {
+      wireTotals.set(key, { gauge, material, pieces: 0, length: 0 })
+    }
+    const total = wireTotals.get(key)
+    total.pieces += 1
+    total.length += node.wireLength ?? 0.7
+  }
+  
+  const armRows = arms.map(({ node, parent }) => {
+    const { material, diameter } = getArmMaterialSpec(node)
+    const { gauge, material: wireMaterial } = getWireSpec(node)
+    addWire(node)
+    return {
+      item: armNames.get(node.id),
+      isRoot: node.id === mobile.id,
+      parent: parent ? armNames.get(parent.id) : null,
+      material: material.name,
+      materialId: material.id,
+      diameter: diameterValues(diameter),
+      // Rod stock to cut (the unbent length for bent arms) and the span end to end
+      rodLength: lengthValues(getArmRodLength(node)),
+      span: lengthValues(node.length),
+      // Pivot measured along the rod from its left end
+      pivotFromLeft: lengthValues(getArmDistanceAt(node, node.pivotPosition)),
+      pivotPercent: round(node.pivotPosition * 100, 1),
+      hangPointsFromLeft: getChildren(node).map(child => lengthValues(getArmDistanceAt(node, getAttachPosition(child)))),
+      mass: massValues(calculateArmMass(node)),
+      wireLength: lengthValues(node.wireLength ?? 0.7),
+      wireGauge: gauge.name,
+      wireMaterial: wireMaterial.name
+    }
+  })
+  
+  const weightRows = weights.map(({ node, parent }, index) => {
+    const rigid = isRigidMount(node)
+    const { gauge, material: wireMaterial } = getWireSpec(node)
+    if (!rigid) addWire(node)
+    return {
+      item: `Weight #${index + 1}`,
+      parent: parent ? armNames.get(parent.id) : null,
+      shape: node.shape,
+      model: isModelShape(node.shape) ? (getModelById(node.modelId)?.name ?? node.modelId ?? null) : null,
+      mass: massValues(node.mass),
+      size: lengthValues(node.size),
+      color: node.color,
+      mount: rigid ? 'rigid' : 'wire',
+      // Rigidly mounted weights are fixed to the rod and need no wire
+      wireLength: rigid ? null : lengthValues(node.wireLength ?? 0.7),
+      wireGauge: rigid ? null : gauge.name,
+      wireMaterial: rigid ? null : wireMaterial.name
+    }
+  })
+  
+  const wire = [...wireTotals.values()].map(({ gauge, material, pieces, length }) => ({
+    gauge: gauge.name,
+    gaugeDiameter: diameterValues(gauge.diameter),
+    material: material.name,
+    pieces,
+    length: lengthValues(length),
+    lengthWithAllowance: lengthValues(length * WIRE_ALLOWANCE)
+  }))
+  
+  return { arms: armRows, weights: weightRows, wire }
+}
+
+// Bill of materials as formatted JSON text
+export function exportBillOfMaterialsJSON(mobile) {
+  return JSON.stringify({
+    format: BOM_FORMAT,
+    version: BOM_VERSION,
+    generated: new Date().toISOString(),
+    wireAllowance: WIRE_ALLOWANCE,
+    ...createBillOfMaterials(mobile)
+  }, null, 2)
+}
+
+// CSV columns: one table with a row per arm, weight and wire total,
+// so it can be filtered by category in a spreadsheet
+const CSV_COLUMNS = [
+  'category', 'item', 'parent', 'material', 'shape', 'color', 'mount',
+  'diameter_mm', 'diameter_in',
+  'length_cm', 'length_in', 'span_cm', 'span_in',
+  'pivot_from_left_cm', 'pivot_from_left_in', 'pivot_percent',
+  'size_cm', 'size_in', 'mass_g', 'mass_oz',
+  'wire_gauge', 'wire_material', 'wire_length_cm', 'wire_length_in',
+  'quantity', 'length_with_allowance_cm', 'length_with_allowance_in'
+]
+
+function formatCSVValue(value) {
+  if (value === null || value === undefined) return ''
+  const text = String(value)
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// Bill of materials as CSV text
+export function exportBillOfMaterialsCSV(mobile) {
+  const { arms, weights, wire } = createBillOfMaterials(mobile)
+  
+  const rows = [
+    ...arms.map(arm => ({
+      category: 'arm',
+      item: arm.item,
+      parent: arm.parent ?? 'ceiling',
+      material: arm.material,
+      diameter_mm: arm.diameter.mm,
+      diameter_in: arm.diameter.in,
+      length_cm: arm.rodLength.cm,
+      length_in: arm.rodLength.in,
+      span_cm: arm.span.cm,
+      span_in: arm.span.in,
+      pivot_from_left_cm: arm.pivotFromLeft.cm,
+      pivot_from_left_in: arm.pivotFromLeft.in,
+      pivot_percent: arm.pivotPercent,
+      mass_g: arm.mass.g,
+      mass_oz: arm.mass.oz,
+      wire_gauge: arm.wireGauge,
+      wire_material: arm.wireMaterial,
+      wire_length_cm: arm.wireLength.cm,
+      wire_length_in: arm.wireLength.in,
+      quantity: 1
+    })),
+    ...weights.map(weight => ({
+      category: 'weight',
+      item: weight.item,
+      parent: weight.parent ?? 'ceiling',
+      shape: weight.model ? `${weight.shape} (${weight.model})` : weight.shape,
+      color: weight.color,
+      mount: weight.mount,
+      size_cm: weight.size.cm,
+      size_in: weight.size.in,
+      mass_g: weight.mass.g,
+      mass_oz: weight.mass.oz,
+      wire_gauge: weight.wireGauge,
+      wire_material: weight.wireMaterial,
+      wire_length_cm: weight.wireLength?.cm,
+      wire_length_in: weight.wireLength?.in,
+      quantity: 1
+    })),
+    ...wire.map(total => ({
+      category: 'wire',
+      item: `${total.gauge} ${total.material.toLowerCase()}`,
+      material: total.material,
+      diameter_mm: total.gaugeDiameter.mm,
+      diameter_in: total.gaugeDiameter.in,
+      length_cm: total.length.cm,
+      length_in: total.length.in,
+      wire_gauge: total.gauge,
+      wire_material: total.material,
+      quantity: total.pieces,
+      length_with_allowance_cm: total.lengthWithAllowance.cm,
+      length_with_allowance_in: total.lengthWithAllowance.in
+    }))
+  ]
+  
+  return [
+    CSV_COLUMNS.join(','),
+    ...rows.map(row => CSV_COLUMNS.map(column => formatCSVValue(row[column])).join(','))
+  ].join('\n') + '\n'
+}
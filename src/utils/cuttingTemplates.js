@@ -0,0 +1,392 @@
+import * as THREE from 'three'
+import { collectArms, collectWeights, getChildren, getAttachPosition, isRigidMount } from '../models/mobileTree'
+import { getArmRodLength, getArmDistanceAt, getArmBendPoints } from '../models/armGeometry'
+import { getArmMaterialSpec, formatArmMaterial } from '../config/materials'
+import { SCALE, formatLength } from '../config/units'
+import { isFlatWeight, getFlatWeightCutout } from './weightPrint'
+import { createPdfPage, buildPdf } from './pdfDocument'
+
+/**
+ * Printable 1:1 cutting templates (SVG or PDF)
+ *
+ * Every flat weight (disks and organic blobs) is drawn at its real size with its
+ * hanging hole, and every arm rod at its cut (unbent) length with marks for the
+ * pivot, the loops children hang from and any bends. Parts are packed onto pages
+ * of the chosen paper size; parts bigger than a page are split over several pages
+ * to tape together. Each page has rulers to check it was printed at actual size.
+ *
+ * The layout is worked out once in millimeters from the top left of the page and
+ * drawn by either renderer. Text is plain ASCII so the PDF can use its standard fonts.
+ */
+
+export const TEMPLATE_PAPER_SIZES = {
+  a4: { id: 'a4', name: 'A4', width: 210, height: 297 },
+  letter: { id: 'letter', name: 'Letter', width: 215.9, height: 279.4 }
+}
+
+export const DEFAULT_TEMPLATE_PAPER = 'a4'
+
+// Millimeters per scene unit
+const MM_PER_UNIT = SCALE.LENGTH_TO_CM * 10
+
+// Page layout (mm)
+const PAGE_MARGIN = 10
+const HEADER_HEIGHT = 16
+const RULER_HEIGHT = 20
+const ITEM_GAP = 6
+
+// Text sizes (mm) and a rough Helvetica character width, for fitting labels
+const TITLE_SIZE = 4
+const LABEL_SIZE = 3.2
+const NOTE_SIZE = 2.6
+const CHARACTER_WIDTH = 0.55
+
+const OUTLINE_WIDTH = 0.3
+const MARK_WIDTH = 0.2
+const DASH = [2, 1.5]
+const GUIDE_COLOR = '#888888'
+
+// Rows the labels under a rod are staggered over, so neighbouring marks don't collide
+const MARK_LABEL_ROWS = 3
+const MARK_ROW_HEIGHT = 4
+
+function estimateTextWidth(text, size) {
+  return text.length * size * CHARACTER_WIDTH
+}
+
+// Lengths in the current unit system, from millimeters
+function formatMm(mm) {
+  return formatLength(mm / MM_PER_UNIT)
+}
+
+// Weight colors as #rrggbb, whatever CSS color the design stores
+function toHexColor(color) {
+  return `#${new THREE.Color(color).getHexString()}`
+}
+
+// A flat weight's outline, labelled with its number, color and hole position
+function createWeightItem(weight, number) {
+  const { outline, hole } = getFlatWeightCutout(weight)
+  const minX = Math.min(...outline.map(point => point.x))
+  const maxX = Math.max(...outline.map(point => point.x))
+  const minY = Math.min(...outline.map(point => point.y))
+  const maxY = Math.max(...outline.map(point => point.y))
+  const color = toHexColor(weight.color)
+  
+  // The outline is drawn below the labels, flipped so the hanging end is at the top
+  const top = 11
+  const toPage = (point) => ({ x: point.x - minX, y: top + maxY - point.y })
+  
+  const title = `Weight #${number} - ${weight.shape}, ${color}`
+  let holeNote
+  if (hole) {
+    const center = toPage(hole)
+    holeNote = `Hole ${hole.diameter.toFixed(1)}mm dia., ${formatMm(center.x)} from left, ${formatMm(center.y - top)} from top`
+  } else if (isRigidMount(weight)) {
+    holeNote = 'Rigid mount - no hanging hole'
+  } else {
+    holeNote = 'Too small for a hanging hole - tie the wire around it'
+  }
+  
+  const elements = [
+    { type: 'rect', x: 0, y: 0.8, width: 3.5, height: 3.5, fill: color },
+    { type: 'text', x: 5, y: 3.8, text: title, size: LABEL_SIZE, bold: true },
+    { type: 'text', x: 0, y: 8.5, text: holeNote, size: NOTE_SIZE },
+    { type: 'path', points: outline.map(toPage), closed: true, lineWidth: OUTLINE_WIDTH }
+  ]
+  
+  if (hole) {
+    const center = toPage(hole)
+    const radius = hole.diameter / 2
+    const reach = radius + 1.5
+    elements.push(
+      { type: 'circle', x: center.x, y: center.y, r: radius, lineWidth: MARK_WIDTH },
+      { type: 'path', points: [{ x: center.x - reach, y: center.y }, { x: center.x + reach, y: center.y }], lineWidth: MARK_WIDTH },
+      { type: 'path', points: [{ x: center.x, y: center.y - reach }, { x: center.x, y: center.y + reach }], lineWidth: MARK_WIDTH }
+    )
+  }
+  
+  return {
+    width: Math.max(maxX - minX, 5 + estimateTextWidth(title, LABEL_SIZE), estimateTextWidth(holeNote, NOTE_SIZE)),
+    height: top + maxY - minY + 1,
+    label: `Weight #${number}`,
+    elements
+  }
+}
+
+// An arm's rod stock at its cut length, with the pivot, hanging loops and bends marked
+// Marks are measured along the unbent rod from its left end, as in the build specs
+function createArmItem(arm, number, isRoot) {
+  const rodLength = getArmRodLength(arm) * MM_PER_UNIT
+  const { material, diameter } = getArmMaterialSpec(arm)
+  const title = `Arm #${number}${isRoot ? ' (root)' : ''} - ${formatArmMaterial(material.id, diameter)} - cut ${formatMm(rodLength)}`
+  const toMm = (position) => getArmDistanceAt(arm, position) * MM_PER_UNIT
+  
+  const marks = [
+    { x: toMm(arm.pivotPosition), text: 'Pivot', pivot: true },
+    ...getChildren(arm).map(child => ({
+      x: toMm(getAttachPosition(child)),
+      text: isRigidMount(child) ? 'Mount' : 'Loop'
+    })),
+    ...getArmBendPoints(arm).map(bend => ({
+      x: bend.distance * MM_PER_UNIT,
+      text: `Bend ${Math.abs(bend.angle).toFixed(0)} deg ${bend.angle > 0 ? 'up' : 'down'}`,
+      dashed: true
+    }))
+  ].sort((a, b) => a.x - b.x)
+  
+  const rodTop = 9
+  const rodBottom = rodTop + diameter
+  const elements = [
+    { type: 'text', x: 0, y: 3.5, text: title, size: LABEL_SIZE, bold: true },
+    { type: 'rect', x: 0, y: rodTop, width: rodLength, height: diameter, lineWidth: OUTLINE_WIDTH }
+  ]
+  
+  let width = Math.max(rodLength, estimateTextWidth(title, LABEL_SIZE))
+  marks.forEach((mark, index) => {
+    const labelY = rodBottom + 5 + (index % MARK_LABEL_ROWS) * MARK_ROW_HEIGHT
+    const text = `${mark.text} ${formatMm(mark.x)}`
+    const textWidth = estimateTextWidth(text, NOTE_SIZE)
+    elements.push({
+      type: 'path',
+      points: [{ x: mark.x, y: rodTop - 2 }, { x: mark.x, y: labelY - NOTE_SIZE - 0.5 }],
+      lineWidth: MARK_WIDTH,
+      dashed: mark.dashed
+    })
+    if (mark.pivot) {
+      elements.push({ type: 'circle', x: mark.x, y: (rodTop + rodBottom) / 2, r: Math.max(1, diameter / 2 + 0.8), lineWidth: MARK_WIDTH })
+    }
+    // Labels start at their mark, or end at it near the right end of the rod
+    const labelX = Math.max(0, Math.min(mark.x + 0.8, rodLength - textWidth))
+    elements.push({ type: 'text', x: labelX, y: labelY, text, size: NOTE_SIZE })
+    width = Math.max(width, labelX + textWidth)
+  })
+  
+  return {
+    width,
+    height: rodBottom + 5 + (MARK_LABEL_ROWS - 1) * MARK_ROW_HEIGHT + 1,
+    label: `Arm #${number}`,
+    elements
+  }
+}
+
+// Calibration rulers: 100mm and 4in, with their ticks hanging from a baseline at `y`
+function createRulerElements(x, y) {
+  const elements = []
+  const addRuler = (top, count, spacing, tickLength, labelEvery, labelFor, label) => {
+    elements.push({ type: 'path', points: [{ x, y: top }, { x: x + count * spacing, y: top }], lineWidth: MARK_WIDTH })
+    for (let i = 0; i <= count; i++) {
+      const tickX = x + i * spacing
+      elements.push({ type: 'path', points: [{ x: tickX, y: top }, { x: tickX, y: top + tickLength(i) }], lineWidth: MARK_WIDTH })
+      if (i > 0 && i % labelEvery === 0) {
+        elements.push({ type: 'text', x: tickX + 0.5, y: top + 5.5, text: labelFor(i), size: 2 })
+      }
+    }
+    elements.push({ type: 'text', x: x + count * spacing + 2, y: top + 3, text: label, size: NOTE_SIZE, bold: true })
+  }
+  
+  // Millimeters, with longer ticks every 5 and 10
+  addRuler(y, 100, 1, i => (i % 10 === 0 ? 4 : i % 5 === 0 ? 3 : 1.5), 10, i => `${i / 10}`, '100 mm')
+  // Eighths of an inch, with longer ticks every half and whole inch
+  addRuler(y + 10, 32, 25.4 / 8, i => (i % 8 === 0 ? 4 : i % 4 === 0 ? 3 : 1.5), 8, i => `${i / 8}`, '4 in')
+  
+  return elements
+}
+
+// Lay the templates out on pages: { paper, pages: [{ elements }] }
+export function layoutCuttingTemplates(mobile, paperId = DEFAULT_TEMPLATE_PAPER) {
+  const paper = TEMPLATE_PAPER_SIZES[paperId] || TEMPLATE_PAPER_SIZES[DEFAULT_TEMPLATE_PAPER]
+  const content = {
+    x: PAGE_MARGIN,
+    y: PAGE_MARGIN + HEADER_HEIGHT,
+    width: paper.width - PAGE_MARGIN * 2,
+    height: paper.height - PAGE_MARGIN * 2 - HEADER_HEIGHT - RULER_HEIGHT
+  }
+  
+  const items = [
+    ...collectArms(mobile).map((arm, index) => createArmItem(arm, index + 1, arm.id === mobile.id)),
+    ...collectWeights(mobile)
+      .map((weight, index) => ({ weight, number: index + 1 }))
+      .filter(({ weight }) => isFlatWeight(weight))
+      .map(({ weight, number }) => createWeightItem(weight, number))
+  ]
+  
+  const pages = []
+  let page = null
+  let x = 0
+  let y = 0
+  let rowHeight = 0
+  const newPage = () => {
+    page = { elements: [] }
+    pages.push(page)
+    x = 0
+    y = 0
+    rowHeight = 0
+  }
+  
+  for (const item of items) {
+    // Parts bigger than a page are split over pages of their own, to tape together
+    if (item.width > content.width || item.height > content.height) {
+      const columns = Math.ceil(item.width / content.width)
+      const rows = Math.ceil(item.height / content.height)
+      for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+          const part = row * columns + column + 1
+          pages.push({
+            note: `${item.label}, part ${part} of ${columns * rows} - trim one sheet at the dashed line and tape it to the next`,
+            elements: [
+              { type: 'rect', ...content, dashed: true, lineWidth: MARK_WIDTH, color: GUIDE_COLOR },
+              {
+                type: 'group',
+                x: content.x - column * content.width,
+                y: content.y - row * content.height,
+                clip: content,
+                elements: item.elements
+              }
+            ]
+          })
+        }
+      }
+      page = null
+      continue
+    }
+    
+    if (!page) newPage()
+    if (x > 0 && x + item.width > content.width) {
+      x = 0
+      y += rowHeight + ITEM_GAP
+      rowHeight = 0
+    }
+    if (y > 0 && y + item.height > content.height) newPage()
+    
+    page.elements.push({ type: 'group', x: content.x + x, y: content.y + y, elements: item.elements })
+    x += item.width + ITEM_GAP
+    rowHeight = Math.max(rowHeight, item.height)
+  }
+  
+  // Header and rulers on every page
+  pages.forEach((templatePage, index) => {
+    templatePage.elements.push(
+      { type: 'text', x: PAGE_MARGIN, y: PAGE_MARGIN + 4, text: `Calder Creator cutting templates - 1:1 - Page ${index + 1} of ${pages.length}`, size: TITLE_SIZE, bold: true },
+      { type: 'text', x: PAGE_MARGIN, y: PAGE_MARGIN + 9, text: 'Print at 100% (actual size) and check the rulers below before cutting', size: NOTE_SIZE },
+      ...createRulerElements(PAGE_MARGIN, paper.height - PAGE_MARGIN - RULER_HEIGHT + 4)
+    )
+    if (templatePage.note) {
+      templatePage.elements.push({ type: 'text', x: PAGE_MARGIN, y: PAGE_MARGIN + 13.5, text: templatePage.note, size: NOTE_SIZE, bold: true })
+    }
+  })
+  
+  return { paper, pages }
+}
+
+// Whether the mobile has any parts to make templates for
+export function hasCuttingTemplates(mobile) {
+  return collectArms(mobile).length > 0 || collectWeights(mobile).some(isFlatWeight)
+}
+
+function formatNumber(value) {
+  return Number(value.toFixed(3)).toString()
+}
+
+function escapeXML(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+}
+
+function getSVGStroke(element) {
+  const dash = element.dashed ? ` stroke-dasharray="${DASH.join(' ')}"` : ''
+  return `stroke="${element.color ?? '#000000'}" stroke-width="${formatNumber(element.lineWidth ?? MARK_WIDTH)}"${dash}`
+}
+
+function renderSVGElement(element, ox, oy, clipIds) {
+  const n = formatNumber
+  switch (element.type) {
+    case 'path': {
+      const points = element.points.map(point => `${n(ox + point.x)},${n(oy + point.y)}`).join(' ')
+      const tag = element.closed ? 'polygon' : 'polyline'
+      return `<${tag} points="${points}" fill="none" ${getSVGStroke(element)}/>`
+    }
+    case 'circle':
+      return `<circle cx="${n(ox + element.x)}" cy="${n(oy + element.y)}" r="${n(element.r)}" fill="none" ${getSVGStroke(element)}/>`
+    case 'rect':
+      return `<rect x="${n(ox + element.x)}" y="${n(oy + element.y)}" width="${n(element.width)}" height="${n(element.height)}" ` +
+        `fill="${element.fill ?? 'none'}" ${getSVGStroke(element)}/>`
+    case 'text':
+      return `<text x="${n(ox + element.x)}" y="${n(oy + element.y)}" font-size="${n(element.size)}"` +
+        `${element.bold ? ' font-weight="bold"' : ''}>${escapeXML(element.text)}</text>`
+    case 'group': {
+      const children = element.elements.map(child => renderSVGElement(child, ox + element.x, oy + element.y, clipIds)).join('\n')
+      if (!element.clip) return children
+      const id = `clip-${clipIds.length + 1}`
+      const { x, y, width, height } = element.clip
+      clipIds.push(`<clipPath id="${id}"><rect x="${n(ox + x)}" y="${n(oy + y)}" width="${n(width)}" height="${n(height)}"/></clipPath>`)
+      return `<g clip-path="url(#${id})">\n${children}\n</g>`
+    }
+    default:
+      return ''
+  }
+}
+
+// Templates as one SVG document in millimeters, the pages stacked top to bottom
+export function exportCuttingTemplatesSVG(mobile, paperId) {
+  const { paper, pages } = layoutCuttingTemplates(mobile, paperId)
+  const pageGap = 10
+  const height = pages.length * paper.height + (pages.length - 1) * pageGap
+  const clipPaths = []
+  
+  const body = pages.map((page, index) => {
+    const top = index * (paper.height + pageGap)
+    const sheet = `<rect x="0" y="${formatNumber(top)}" width="${formatNumber(paper.width)}" height="${formatNumber(paper.height)}" fill="#ffffff" stroke="#cccccc" stroke-width="0.2"/>`
+    return [sheet, ...page.elements.map(element => renderSVGElement(element, 0, top, clipPaths))].join('\n')
+  }).join('\n')
+  
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${formatNumber(paper.width)}mm" height="${formatNumber(height)}mm" viewBox="0 0 ${formatNumber(paper.width)} ${formatNumber(height)}" font-family="Helvetica, Arial, sans-serif">
+<defs>
+${clipPaths.join('\n')}
+</defs>
+${body}
+</svg>
+`
+}
+
+function renderPdfElement(page, element, ox, oy) {
+  if (element.type === 'group') {
+    const draw = () => element.elements.forEach(child => renderPdfElement(page, child, ox + element.x, oy + element.y))
+    if (element.clip) {
+      const { x, y, width, height } = element.clip
+      page.clip(ox + x, oy + y, width, height, draw)
+    } else {
+      draw()
+    }
+    return
+  }
+  
+  if (element.type === 'text') {
+    page.text(ox + element.x, oy + element.y, element.text, { size: element.size, bold: element.bold })
+    return
+  }
+  
+  page.setStroke({
+    width: element.lineWidth ?? MARK_WIDTH,
+    color: element.color,
+    dash: element.dashed ? DASH : []
+  })
+  if (element.type === 'path') {
+    page.polyline(element.points.map(point => ({ x: ox + point.x, y: oy + point.y })), { closed: element.closed })
+  } else if (element.type === 'circle') {
+    page.circle(ox + element.x, oy + element.y, element.r)
+  } else if (element.type === 'rect') {
+    if (element.fill) page.setFill(element.fill)
+    page.rect(ox + element.x, oy + element.y, element.width, element.height, { fill: Boolean(element.fill), stroke: true })
+  }
+}
+
+// Templates as a PDF with one page per sheet; returns its bytes
+export function exportCuttingTemplatesPDF(mobile, paperId) {
+  const { paper, pages } = layoutCuttingTemplates(mobile, paperId)
+  return buildPdf(pages.map(templatePage => {
+    const page = createPdfPage(paper.width, paper.height)
+    templatePage.elements.forEach(element => renderPdfElement(page, element, 0, 0))
+    return page
+  }))
+}
@@ -0,0 +1,17 @@
+// Save a Blob as a file through the browser's download
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob)
+  
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+  URL.revokeObjectURL(url)
+}
+
+// File name for an export of today's design, e.g. calder-mobile-2024-05-01.glb
+export function getExportFileName(extension) {
+  return `calder-mobile-${new Date().toISOString().slice(0, 10)}.${extension}`
+}
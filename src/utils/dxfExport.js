@@ -0,0 +1,123 @@
+import * as THREE from 'three'
+import { isFlatWeight, getFlatWeightCutout } from './weightPrint'
+
+/**
+ * DXF of flat weights for laser and waterjet cutting
+ *
+ * Each disk and organic weight is a closed polyline of its outline, in millimeters,
+ * with its hanging hole as a circle. Parts go on one layer per weight color
+ * (e.g. "COLOR_E63946") so each sheet material can be cut separately, and are laid
+ * out side by side without overlapping, ready to be nested by the shop.
+ *
+ * Written as AutoCAD R12 DXF, which nearly every cutting package reads. R12 has no
+ * header setting for drawing units, so none is written: coordinates are plain
+ * millimeters, and the file should be imported with its units set to mm.
+ */
+
+// Parts are laid out in rows up to this wide, with a gap between them
+const SHEET_WIDTH_MM = 600
+const PART_GAP_MM = 5
+
+// AutoCAD's standard colors, used to pick a layer color close to the weight's
+const ACI_COLORS = [
+  { index: 1, color: '#ff0000' },
+  { index: 2, color: '#ffff00' },
+  { index: 3, color: '#00ff00' },
+  { index: 4, color: '#00ffff' },
+  { index: 5, color: '#0000ff' },
+  { index: 6, color: '#ff00ff' },
+  { index: 7, color: '#ffffff' },
+  { index: 8, color: '#808080' }
+]
+
+function getLayerName(color) {
+  return `COLOR_${new THREE.Color(color).getHexString().toUpperCase()}`
+}
+
+function getNearestACI(color) {
+  const target = new THREE.Color(color)
+  let nearest = ACI_COLORS[0]
+  let nearestDistance = Infinity
+  for (const option of ACI_COLORS) {
+    const candidate = new THREE.Color(option.color)
+    const distance = (candidate.r - target.r) ** 2 + (candidate.g - target.g) ** 2 + (candidate.b - target.b) ** 2
+    if (distance < nearestDistance) {
+      nearest = option
+      nearestDistance = distance
+    }
+  }
+  return nearest.index
+}
+
+function formatNumber(value) {
+  return Number(value.toFixed(4)).toString()
+}
+
+// DXF is a list of group code / value pairs, one per line
+function pairs(...entries) {
+  return entries.map(([code, value]) => `${code}\n${value}`).join('\n')
+}
+
+function polylineEntity(points, layer) {
+  return [
+    pairs([0, 'POLYLINE'], [8, layer], [66, 1], [10, 0], [20, 0], [30, 0], [70, 1]),
+    ...points.map(point => pairs([0, 'VERTEX'], [8, layer], [10, formatNumber(point.x)], [20, formatNumber(point.y)], [30, 0])),
+    pairs([0, 'SEQEND'], [8, layer])
+  ].join('\n')
+}
+
+function circleEntity(center, radius, layer) {
+  return pairs([0, 'CIRCLE'], [8, layer], [10, formatNumber(center.x)], [20, formatNumber(center.y)], [30, 0], [40, formatNumber(radius)])
+}
+
+// Export the flat weights among `weights` as DXF text
+export function exportWeightsToDXF(weights) {
+  const layers = new Map()
+  const entities = []
+  let x = 0
+  let y = 0
+  let rowHeight = 0
+  
+  for (const weight of weights.filter(isFlatWeight)) {
+    const { outline, hole } = getFlatWeightCutout(weight)
+    const minX = Math.min(...outline.map(point => point.x))
+    const maxX = Math.max(...outline.map(point => point.x))
+    const minY = Math.min(...outline.map(point => point.y))
+    const maxY = Math.max(...outline.map(point => point.y))
+    const width = maxX - minX
+    const height = maxY - minY
+    
+    if (x > 0 && x + width > SHEET_WIDTH_MM) {
+      x = 0
+      y += rowHeight + PART_GAP_MM
+      rowHeight = 0
+    }
+    
+    const layer = getLayerName(weight.color)
+    if (!layers.has(layer)) layers.set(layer, getNearestACI(weight.color))
+    
+    // Move the part so its bounding box starts at the current slot
+    const place = (point) => ({ x: point.x - minX + x, y: point.y - minY + y })
+    entities.push(polylineEntity(outline.map(place), layer))
+    if (hole) entities.push(circleEntity(place(hole), hole.diameter / 2, layer))
+    
+    x += width + PART_GAP_MM
+    rowHeight = Math.max(rowHeight, height)
+  }
+  
+  const layerTable = [
+    pairs([0, 'TABLE'], [2, 'LAYER'], [70, layers.size]),
+    ...[...layers].map(([name, color]) => pairs([0, 'LAYER'], [2, name], [70, 0], [62, color], [6, 'CONTINUOUS'])),
+    pairs([0, 'ENDTAB'])
+  ].join('\n')
+  
+  return [
+    pairs([0, 'SECTION'], [2, 'HEADER'], [9, '$ACADVER'], [1, 'AC1009'], [0, 'ENDSEC']),
+    pairs([0, 'SECTION'], [2, 'TABLES']),
+    layerTable,
+    pairs([0, 'ENDSEC']),
+    pairs([0, 'SECTION'], [2, 'ENTITIES']),
+    ...entities,
+    pairs([0, 'ENDSEC'], [0, 'EOF'])
+  ].join('\n') + '\n'
+}
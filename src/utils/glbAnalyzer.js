@@ -3,10 +3,24 @@ import * as THREE from 'three'
 /**
  * Analyze a GLB model's geometry to compute:
  * - Volume (for mass estimation)
- * - Center of Gravity (geometric centroid)
+ * - Center of Gravity (centroid of the solid)
+ * - Inertia tensor (about the center of gravity, per unit mass)
  * - Attachment Point (vertex above CoG closest to vertical line through CoG)
+ *
+ * Solid properties come from signed tetrahedra: each triangle and a reference
+ * point form a tetrahedron, and summing them (signed by the triangle's winding)
+ * integrates over the enclosed solid. This is exact for closed meshes. Meshes with
+ * holes are integrated from the center of their bounding box, which is a fair
+ * approximation while the holes are small; open surfaces that enclose almost no
+ * volume (planes, cards) fall back to thin-shell properties from the triangle areas.
  */
 
+// Open meshes enclosing less than this fraction of their bounding box are treated as shells
+const MIN_SOLID_FRACTION = 0.01
+
+// Vertices closer than this fraction of the model size are welded for the closed-mesh check
+const WELD_TOLERANCE = 1e-6
+
 /**
  * Calculate the signed volume of a tetrahedron formed by a triangle and the origin
  * Used for computing total mesh volume via the divergence theorem
@@ -85,38 +99,170 @@ function extractVertices(geometry) {
 }
 
 /**
- * Compute the total volume of a mesh using signed tetrahedra method
+ * Add a x b^T (scaled) to a 3x3 matrix stored as a flat row-major array
  */
-function computeVolume(triangles) {
+function addOuterProduct(matrix, a, b, scale) {
+  const av = [a.x, a.y, a.z]
+  const bv = [b.x, b.y, b.z]
+  for (let i = 0; i < 3; i++) {
+    for (let j = 0; j < 3; j++) {
+      matrix[i * 3 + j] += av[i] * bv[j] * scale
+    }
+  }
+}
+
+/**
+ * Sum a v v^T over a triangle's vertices plus s s^T for their sum s
+ * (the shared part of the tetrahedron and triangle second-moment formulas)
+ */
+function addVertexProducts(matrix, p1, p2, p3, scale) {
+  const sum = p1.clone().add(p2).add(p3)
+  addOuterProduct(matrix, p1, p1, scale)
+  addOuterProduct(matrix, p2, p2, scale)
+  addOuterProduct(matrix, p3, p3, scale)
+  addOuterProduct(matrix, sum, sum, scale)
+}
+
+/**
+ * Integrate the solid enclosed by the triangles, using tetrahedra from `origin`
+ * Returns the signed volume, first moment and second moment (flat 3x3) about `origin`
+ */
+function integrateSolid(triangles, origin) {
   let volume = 0
+  const firstMoment = new THREE.Vector3()
+  const secondMoment = new Array(9).fill(0)
   
-  for (const { p1, p2, p3 } of triangles) {
-    volume += signedVolumeOfTriangle(p1, p2, p3)
+  for (const triangle of triangles) {
+    const p1 = triangle.p1.clone().sub(origin)
+    const p2 = triangle.p2.clone().sub(origin)
+    const p3 = triangle.p3.clone().sub(origin)
+    
+    // Tetrahedron (origin, p1, p2, p3): volume, centroid at (p1 + p2 + p3) / 4,
+    // and integral of x x^T = V/20 * (sum of v v^T + s s^T)
+    const tetVolume = signedVolumeOfTriangle(p1, p2, p3)
+    volume += tetVolume
+    firstMoment.add(p1.clone().add(p2).add(p3).multiplyScalar(tetVolume / 4))
+    addVertexProducts(secondMoment, p1, p2, p3, tetVolume / 20)
   }
   
-  return Math.abs(volume)
+  return { volume, firstMoment, secondMoment }
 }
 
 /**
- * Compute the center of gravity as area-weighted centroid
+ * Integrate the triangles as a thin shell of uniform thickness
+ * Returns the area, first moment and second moment (flat 3x3) about `origin`
  */
-function computeCenterOfGravity(triangles) {
-  let totalArea = 0
-  const weightedSum = new THREE.Vector3(0, 0, 0)
+function integrateShell(triangles, origin) {
+  let area = 0
+  const firstMoment = new THREE.Vector3()
+  const secondMoment = new Array(9).fill(0)
+  
+  for (const triangle of triangles) {
+    const p1 = triangle.p1.clone().sub(origin)
+    const p2 = triangle.p2.clone().sub(origin)
+    const p3 = triangle.p3.clone().sub(origin)
+    
+    // Integral of x x^T over a triangle = A/12 * (sum of v v^T + s s^T)
+    const triArea = triangleArea(p1, p2, p3)
+    area += triArea
+    firstMoment.add(triangleCentroid(p1, p2, p3).multiplyScalar(triArea))
+    addVertexProducts(secondMoment, p1, p2, p3, triArea / 12)
+  }
   
+  return { area, firstMoment, secondMoment }
+}
+
+/**
+ * Turn integrals about `origin` into the center of gravity and the inertia tensor
+ * about it, per unit mass (divide by the total measure: volume or area)
+ */
+function massPropertiesFromIntegrals(measure, firstMoment, secondMoment, origin) {
+  const offset = firstMoment.clone().divideScalar(measure)
+  
+  // Second moment per unit mass, moved from the origin to the center of gravity
+  const covariance = secondMoment.map(value => value / measure)
+  addOuterProduct(covariance, offset, offset, -1)
+  
+  // I = trace(C) * Identity - C
+  const trace = covariance[0] + covariance[4] + covariance[8]
+  const inertia = covariance.map((value, index) => (index % 4 === 0 ? trace : 0) - value)
+  
+  return {
+    centerOfGravity: offset.add(origin),
+    inertiaTensor: new THREE.Matrix3().set(...inertia)
+  }
+}
+
+/**
+ * Check if the triangles form closed, consistently wound surfaces:
+ * every edge must be used exactly once in each direction
+ */
+function isClosedMesh(triangles, tolerance) {
+  const vertexKeys = new Map()
+  const keyOf = (p) => {
+    const key = `${Math.round(p.x / tolerance)},${Math.round(p.y / tolerance)},${Math.round(p.z / tolerance)}`
+    if (!vertexKeys.has(key)) vertexKeys.set(key, vertexKeys.size)
+    return vertexKeys.get(key)
+  }
+  
+  const edges = new Map()
   for (const { p1, p2, p3 } of triangles) {
-    const area = triangleArea(p1, p2, p3)
-    const centroid = triangleCentroid(p1, p2, p3)
+    const ids = [keyOf(p1), keyOf(p2), keyOf(p3)]
+    if (ids[0] === ids[1] || ids[1] === ids[2] || ids[2] === ids[0]) continue // degenerate
     
-    weightedSum.add(centroid.multiplyScalar(area))
-    totalArea += area
+    for (let i = 0; i < 3; i++) {
+      const edge = `${ids[i]}-${ids[(i + 1) % 3]}`
+      edges.set(edge, (edges.get(edge) || 0) + 1)
+    }
   }
   
-  if (totalArea === 0) {
-    return new THREE.Vector3(0, 0, 0)
+  if (edges.size === 0) return false
+  for (const [edge, count] of edges) {
+    const [a, b] = edge.split('-')
+    if (count !== 1 || edges.get(`${b}-${a}`) !== 1) return false
+  }
+  return true
+}
+
+/**
+ * Compute volume, center of gravity and inertia tensor (see the note at the top)
+ */
+function computeMassProperties(triangles, boundingBox) {
+  const size = boundingBox.getSize(new THREE.Vector3())
+  const center = boundingBox.getCenter(new THREE.Vector3())
+  const tolerance = Math.max(size.length() * WELD_TOLERANCE, Number.EPSILON)
+  const isClosed = isClosedMesh(triangles, tolerance)
+  
+  const solid = integrateSolid(triangles, center)
+  const volume = Math.abs(solid.volume)
+  const boxVolume = size.x * size.y * size.z
+  
+  if (volume > 0 && (isClosed || volume >= boxVolume * MIN_SOLID_FRACTION)) {
+    // Signs cancel out, so inside-out meshes work too
+    return {
+      volume,
+      isClosed,
+      isSolid: true,
+      ...massPropertiesFromIntegrals(solid.volume, solid.firstMoment, solid.secondMoment, center)
+    }
   }
   
-  return weightedSum.divideScalar(totalArea)
+  const shell = integrateShell(triangles, center)
+  if (shell.area === 0) {
+    return {
+      volume,
+      isClosed,
+      isSolid: false,
+      centerOfGravity: center,
+      inertiaTensor: new THREE.Matrix3().multiplyScalar(0)
+    }
+  }
+  return {
+    volume,
+    isClosed,
+    isSolid: false,
+    ...massPropertiesFromIntegrals(shell.area, shell.firstMoment, shell.secondMoment, center)
+  }
 }
 
 /**
@@ -184,8 +330,12 @@ export function analyzeGLTFScene(scene) {
     return {
       volume: 0,
       centerOfGravity: new THREE.Vector3(0, 0, 0),
+      inertiaTensor: new THREE.Matrix3().multiplyScalar(0),
+      isClosed: false,
+      isSolid: false,
       attachmentPoint: new THREE.Vector3(0, 0, 0),
-      boundingBox: new THREE.Box3()
+      boundingBox: new THREE.Box3(),
+      triangleCount: 0
     }
   }
   
@@ -196,15 +346,18 @@ export function analyzeGLTFScene(scene) {
   }
   
   // Compute analysis values
-  const volume = computeVolume(allTriangles)
-  const centerOfGravity = computeCenterOfGravity(allTriangles)
+  const { volume, centerOfGravity, inertiaTensor, isClosed, isSolid } = computeMassProperties(allTriangles, boundingBox)
   const attachmentPoint = computeAttachmentPoint(allVertices, centerOfGravity)
   
   return {
     volume,
     centerOfGravity,
+    inertiaTensor,
+    isClosed,
+    isSolid,
     attachmentPoint,
-    boundingBox
+    boundingBox,
+    triangleCount: allTriangles.length
   }
 }
 
@@ -229,6 +382,62 @@ export function estimateMassFromVolume(volume, density = 1.0) {
   return Math.max(0.1, Math.min(10, massUnits))
 }
 
+/**
+ * Principal moments and axes of a symmetric inertia tensor (Jacobi eigenvalue iteration)
+ * Returns { moments: Vector3, rotation: Quaternion } where `rotation` turns the
+ * principal axes into the model's axes - the form physics engines take
+ */
+export function computePrincipalInertia(inertiaTensor) {
+  const a = inertiaTensor.elements.slice() // column-major, symmetric
+  const at = (i, j) => a[j * 3 + i]
+  const put = (i, j, value) => { a[j * 3 + i] = value }
+  const axes = [1, 0, 0, 0, 1, 0, 0, 0, 1] // columns are eigenvectors
+  
+  for (let sweep = 0; sweep < 32; sweep++) {
+    const offDiagonal = Math.abs(at(0, 1)) + Math.abs(at(0, 2)) + Math.abs(at(1, 2))
+    if (offDiagonal < 1e-12 * (Math.abs(at(0, 0)) + Math.abs(at(1, 1)) + Math.abs(at(2, 2)) + 1e-30)) break
+    
+    for (const [p, q] of [[0, 1], [0, 2], [1, 2]]) {
+      if (at(p, q) === 0) continue
+      
+      // Rotate in the p-q plane to zero out element (p, q)
+      const theta = (at(q, q) - at(p, p)) / (2 * at(p, q))
+      const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1))
+      const c = 1 / Math.sqrt(t * t + 1)
+      const sn = t * c
+      
+      for (let k = 0; k < 3; k++) {
+        const akp = at(k, p)
+        const akq = at(k, q)
+        put(k, p, c * akp - sn * akq)
+        put(k, q, sn * akp + c * akq)
+      }
+      for (let k = 0; k < 3; k++) {
+        const apk = at(p, k)
+        const aqk = at(q, k)
+        put(p, k, c * apk - sn * aqk)
+        put(q, k, sn * apk + c * aqk)
+      }
+      for (let k = 0; k < 3; k++) {
+        const vkp = axes[p * 3 + k]
+        const vkq = axes[q * 3 + k]
+        axes[p * 3 + k] = c * vkp - sn * vkq
+        axes[q * 3 + k] = sn * vkp + c * vkq
+      }
+    }
+  }
+  
+  const xAxis = new THREE.Vector3(axes[0], axes[1], axes[2])
+  const yAxis = new THREE.Vector3(axes[3], axes[4], axes[5])
+  // Right-handed, so the axes form a rotation
+  const zAxis = xAxis.clone().cross(yAxis)
+  
+  return {
+    moments: new THREE.Vector3(at(0, 0), at(1, 1), at(2, 2)),
+    rotation: new THREE.Quaternion().setFromRotationMatrix(new THREE.Matrix4().makeBasis(xAxis, yAxis, zAxis))
+  }
+}
+
 /**
  * Compute the offset needed to position the model so the attachment point is at origin
  */
@@ -0,0 +1,117 @@
+import { solveMobile } from '../physics/balanceSolver'
+import { getChildren, isRigidMount } from '../models/mobileTree'
+import { getArmLocalPath } from '../models/armGeometry'
+
+// Thumbnail size in pixels
+const THUMBNAIL_WIDTH = 160
+const THUMBNAIL_HEIGHT = 120
+const THUMBNAIL_PADDING = 10
+
+const BACKGROUND_COLOR = '#16161a'
+const ROD_COLOR = '#a1a1aa'
+const WIRE_COLOR = '#52525b'
+
+// Draw a flat side view of the mobile at its equilibrium and return it as a PNG data URL
+// Drawn from the model (not captured from the 3D canvas), so it works for projects
+// that aren't currently open and doesn't depend on the camera
+export function renderMobileThumbnail(mobile) {
+  if (!mobile || typeof document === 'undefined') return null
+  
+  const states = solveMobile(mobile, 0, { x: 0, y: 0 })
+  const stateById = new Map(states.map(state => [state.id, state]))
+  
+  const shapes = { wires: [], rods: [], weights: [] }
+  
+  // Collect lines and circles in scene units (y up)
+  const collect = (node, top) => {
+    const state = stateById.get(node.id)
+    if (!state) return
+    
+    if (node.type === 'weight') {
+      const rigid = isRigidMount(node)
+      if (!rigid) shapes.wires.push([top, state.position])
+      shapes.weights.push({
+        x: state.position.x,
+        y: rigid ? state.position.y : state.position.y - node.size,
+        radius: node.size,
+        color: node.color
+      })
+      return
+    }
+    
+    shapes.wires.push([top, state.position])
+    const cos = Math.cos(state.rotation)
+    const sin = Math.sin(state.rotation)
+    shapes.rods.push(getArmLocalPath(node).map(point => ({
+      x: state.position.x + point.x * cos - point.y * sin,
+      y: state.position.y + point.x * sin + point.y * cos
+    })))
+    
+    getChildren(node).forEach((child, index) => collect(child, state.attachPoints[index]))
+  }
+  collect(mobile, { x: 0, y: 0 })
+  
+  // Fit everything into the thumbnail
+  const bounds = { minX: -0.1, maxX: 0.1, minY: -0.1, maxY: 0.1 }
+  const extend = (x, y, radius = 0) => {
+    bounds.minX = Math.min(bounds.minX, x - radius)
+    bounds.maxX = Math.max(bounds.maxX, x + radius)
+    bounds.minY = Math.min(bounds.minY, y - radius)
+    bounds.maxY = Math.max(bounds.maxY, y + radius)
+  }
+  shapes.wires.forEach(([a, b]) => { extend(a.x, a.y); extend(b.x, b.y) })
+  shapes.rods.forEach(path => path.forEach(point => extend(point.x, point.y)))
+  shapes.weights.forEach(weight => extend(weight.x, weight.y, weight.radius))
+  
+  const scale = Math.min(
+    (THUMBNAIL_WIDTH - THUMBNAIL_PADDING * 2) / (bounds.maxX - bounds.minX),
+    (THUMBNAIL_HEIGHT - THUMBNAIL_PADDING * 2) / (bounds.maxY - bounds.minY)
+  )
+  const offsetX = THUMBNAIL_WIDTH / 2 - (bounds.minX + bounds.maxX) / 2 * scale
+  const offsetY = THUMBNAIL_HEIGHT / 2 + (bounds.minY + bounds.maxY) / 2 * scale
+  const toCanvas = (point) => [offsetX + point.x * scale, offsetY - point.y * scale]
+  
+  const canvas = document.createElement('canvas')
+  canvas.width = THUMBNAIL_WIDTH
+  canvas.height = THUMBNAIL_HEIGHT
+  const ctx = canvas.getContext('2d')
+  if (!ctx) return null
+  
+  ctx.fillStyle = BACKGROUND_COLOR
+  ctx.fillRect(0, 0, THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT)
+  ctx.lineCap = 'round'
+  ctx.lineJoin = 'round'
+  
+  ctx.strokeStyle = WIRE_COLOR
+  ctx.lineWidth = 1
+  shapes.wires.forEach(([a, b]) => {
+    ctx.beginPath()
+    ctx.moveTo(...toCanvas(a))
+    ctx.lineTo(...toCanvas(b))
+    ctx.stroke()
+  })
+  
+  ctx.strokeStyle = ROD_COLOR
+  ctx.lineWidth = 2
+  shapes.rods.forEach(path => {
+    ctx.beginPath()
+    path.forEach((point, index) => {
+      if (index === 0) {
+        ctx.moveTo(...toCanvas(point))
+      } else {
+        ctx.lineTo(...toCanvas(point))
+      }
+    })
+    ctx.stroke()
+  })
+  
+  shapes.weights.forEach(weight => {
+    const [x, y] = toCanvas(weight)
+    ctx.fillStyle = weight.color || '#3b82f6'
+    ctx.beginPath()
+    ctx.arc(x, y, Math.max(1.5, weight.radius * scale), 0, Math.PI * 2)
+    ctx.fill()
+  })
+  
+  return canvas.toDataURL('image/png')
+}
@@ -0,0 +1,204 @@
+import * as THREE from 'three'
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js'
+import { STLLoader } from 'three/examples/jsm/loaders/STLLoader.js'
+import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js'
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js'
+import { analyzeGLTFScene } from './glbAnalyzer'
+import { createModelScene, configureGLTFLoader } from './modelLoaders'
+import { CUSTOM_MODEL_PREFIX } from '../config/models'
+import { cmToLength } from '../config/units'
+
+/**
+ * Turn uploaded model files into custom model records
+ *
+ * A .glb file is used as-is. A .gltf file may come with its .bin and texture files
+ * (select them together); it is converted to a single self-contained GLB so the
+ * model can be stored and exported as one blob.
+ * STL and OBJ files (typical CAD exports) are stored as they are. They carry no
+ * unit, so the unit they were made in is chosen on import and the model keeps
+ * its real size.
+ *
+ * Importing is two steps, so the UI can ask for the unit in between:
+ * readModelFiles parses the files, createModelRecord scales and packages the model.
+ */
+
+// Files the upload input accepts (.bin and images are companions of a .gltf)
+export const MODEL_FILE_ACCEPT = '.glb,.gltf,.stl,.obj,.bin,.png,.jpg,.jpeg,.webp,.ktx2'
+
+// Units an STL or OBJ file can be in, as scene units per file unit
+// `fit` ignores the file's size and scales the largest dimension to 10cm at 100%
+export const MODEL_FILE_UNITS = {
+  mm: { label: 'mm', name: 'Millimeters', scale: cmToLength(0.1) },
+  cm: { label: 'cm', name: 'Centimeters', scale: cmToLength(1) },
+  m: { label: 'm', name: 'Meters', scale: cmToLength(100) },
+  in: { label: 'in', name: 'Inches', scale: cmToLength(2.54) },
+  fit: { label: 'Fit', name: 'Fit to 10cm', scale: null }
+}
+
+// Most CAD tools export STL and OBJ in millimeters
+export const DEFAULT_MESH_UNIT = 'mm'
+
+// Main file extensions and the stored format they map to
+const MODEL_FILE_FORMATS = {
+  glb: 'glb',
+  gltf: 'glb',
+  stl: 'stl',
+  obj: 'obj'
+}
+
+// Largest model we store locally (bytes)
+export const MAX_MODEL_FILE_SIZE = 20 * 1024 * 1024
+
+const THUMBNAIL_SIZE = 96
+
+function getExtension(fileName) {
+  return fileName.split('.').pop().toLowerCase()
+}
+
+// Parse a .glb or .gltf; companion files are resolved by file name
+async function parseGLTFFiles(mainFile, files) {
+  const urls = new Map(files.map(file => [file.name, URL.createObjectURL(file)]))
+  const manager = new THREE.LoadingManager()
+  manager.setURLModifier((url) => {
+    const name = decodeURIComponent(url.split(/[\\/]/).pop())
+    return urls.get(name) ?? url
+  })
+  
+  try {
+    return await configureGLTFLoader(new GLTFLoader(manager)).parseAsync(await mainFile.arrayBuffer(), '')
+  } catch (error) {
+    console.warn('Model parse error:', error)
+    throw new Error(getExtension(mainFile.name) === 'gltf'
+      ? `Could not read ${mainFile.name}. If it uses separate .bin or texture files, select them together with it.`
+      : `Could not read ${mainFile.name}. Check that it is a valid GLB file.`)
+  } finally {
+    urls.forEach(url => URL.revokeObjectURL(url))
+  }
+}
+
+// Content hash, so uploading the same model twice doesn't store it twice
+async function hashModelData(data) {
+  const digest = await crypto.subtle.digest('SHA-256', data)
+  return Array.from(new Uint8Array(digest).slice(0, 8))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('')
+}
+
+// Render a small preview of the model for the model picker
+// Returns null if WebGL isn't available
+export function renderModelThumbnail(scene, boundingBox) {
+  let renderer = null
+  try {
+    renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true, preserveDrawingBuffer: true })
+    renderer.setSize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, false)
+    
+    const thumbnailScene = new THREE.Scene()
+    thumbnailScene.add(new THREE.AmbientLight(0xffffff, 0.8))
+    const light = new THREE.DirectionalLight(0xffffff, 1.5)
+    light.position.set(2, 3, 4)
+    thumbnailScene.add(light)
+    thumbnailScene.add(scene)
+    
+    const center = boundingBox.getCenter(new THREE.Vector3())
+    const radius = Math.max(boundingBox.getSize(new THREE.Vector3()).length() / 2, 1e-6)
+    const camera = new THREE.PerspectiveCamera(35, 1, radius / 100, radius * 100)
+    const distance = radius / Math.sin(THREE.MathUtils.degToRad(35 / 2))
+    camera.position.copy(center).add(new THREE.Vector3(0.8, 0.5, 1.4).normalize().multiplyScalar(distance))
+    camera.lookAt(center)
+    
+    renderer.render(thumbnailScene, camera)
+    return renderer.domElement.toDataURL('image/png')
+  } catch {
+    return null
+  } finally {
+    renderer?.dispose()
+    renderer?.forceContextLoss()
+  }
+}
+
+// Parse a bare mesh file into the same scene graph the weight renders
+async function parseMeshFile(mainFile, format) {
+  try {
+    const asset = format === 'stl'
+      ? new STLLoader().parse(await mainFile.arrayBuffer())
+      : new OBJLoader().parse(await mainFile.text())
+    return createModelScene(asset, format)
+  } catch (error) {
+    console.warn('Model parse error:', error)
+    throw new Error(`Could not read ${mainFile.name}. Check that it is a valid ${format.toUpperCase()} file.`)
+  }
+}
+
+// Whether a parsed model needs a unit chosen before it can be added
+export function needsModelUnit(parsed) {
+  return parsed.format !== 'glb'
+}
+
+// Parse uploaded files: { name, format, data, scene, analysis, size }
+// `size` is the bounding box size in the file's own units
+// Throws with a user-facing message if the files can't be used
+export async function readModelFiles(fileList) {
+  const files = Array.from(fileList)
+  const mainFile = files.find(file => MODEL_FILE_FORMATS[getExtension(file.name)])
+  if (!mainFile) {
+    throw new Error('Choose a .glb, .gltf, .stl or .obj file.')
+  }
+  
+  const totalSize = files.reduce((sum, file) => sum + file.size, 0)
+  if (totalSize > MAX_MODEL_FILE_SIZE) {
+    throw new Error(`Model is too large (${(totalSize / 1024 / 1024).toFixed(1)}MB). The limit is ${MAX_MODEL_FILE_SIZE / 1024 / 1024}MB.`)
+  }
+  
+  const extension = getExtension(mainFile.name)
+  const format = MODEL_FILE_FORMATS[extension]
+  const scene = format === 'glb'
+    ? (await parseGLTFFiles(mainFile, files)).scene
+    : await parseMeshFile(mainFile, format)
+  scene.updateMatrixWorld(true)
+  
+  // Same analysis the weight runs when it renders: volume, center of gravity, attachment point
+  const analysis = analyzeGLTFScene(scene)
+  if (analysis.triangleCount === 0) {
+    throw new Error(`${mainFile.name} has no mesh geometry.`)
+  }
+  
+  // Store a single file; .gltf is packed into a self-contained GLB
+  const data = extension === 'gltf'
+    ? await new GLTFExporter().parseAsync(scene, { binary: true })
+    : await mainFile.arrayBuffer()
+  
+  return {
+    name: mainFile.name.replace(/\.(glb|gltf|stl|obj)$/i, ''),
+    format,
+    data,
+    scene,
+    analysis,
+    size: analysis.boundingBox.getSize(new THREE.Vector3())
+  }
+}
+
+// Build a custom model record from parsed files:
+// { id, name, format, data, thumbnail, baseScale, defaultScale, analysis, createdAt }
+// `unit` (a MODEL_FILE_UNITS key) applies to STL and OBJ; glTF models are always fitted
+export async function createModelRecord(parsed, { unit = DEFAULT_MESH_UNIT } = {}) {
+  const { size, analysis } = parsed
+  const unitScale = needsModelUnit(parsed) ? MODEL_FILE_UNITS[unit]?.scale : null
+  const largest = Math.max(size.x, size.y, size.z)
+  
+  return {
+    // The same file imported in another unit is a different model
+    id: `${CUSTOM_MODEL_PREFIX}${await hashModelData(parsed.data)}${needsModelUnit(parsed) ? `_${unit}` : ''}`,
+    name: parsed.name,
+    format: parsed.format,
+    data: parsed.data,
+    thumbnail: renderModelThumbnail(parsed.scene, analysis.boundingBox),
+    // Real-unit models start at their real size; fitted models at 100% are 10cm across
+    baseScale: unitScale ?? (largest > 0 ? 1 / largest : 1),
+    defaultScale: unitScale ? 1 : 0.5,
+    analysis: {
+      volume: analysis.volume,
+      triangleCount: analysis.triangleCount
+    },
+    createdAt: Date.now()
+  }
+}
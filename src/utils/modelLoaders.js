@@ -0,0 +1,96 @@
+import { useMemo } from 'react'
+import * as THREE from 'three'
+import { useLoader } from '@react-three/fiber'
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js'
+import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js'
+import { STLLoader } from 'three/examples/jsm/loaders/STLLoader.js'
+import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js'
+import { MeshoptDecoder } from 'three/examples/jsm/libs/meshopt_decoder.module.js'
+
+/**
+ * Load a model weight's file (GLB, STL or OBJ) as a scene graph
+ *
+ * GLB files load through one GLTF loader setup (Draco and meshopt decoders),
+ * shared with model import; preloadModelScene warms the same cache that
+ * useModelScene reads. STL and OBJ files hold bare meshes; they are
+ * wrapped in a group with a plain material so the rest of the pipeline
+ * (analyzeGLTFScene, cloning, selection glow) treats every format the same.
+ */
+
+const MODEL_LOADERS = {
+  glb: GLTFLoader,
+  stl: STLLoader,
+  obj: OBJLoader
+}
+
+// Same decoder drei's useGLTF uses; one Draco loader (and its worker pool) for every GLTF loader
+const DRACO_DECODER_PATH = 'https://www.gstatic.com/draco/versioned/decoders/1.5.5/'
+let dracoLoader = null
+
+// Give a GLTF loader the shared Draco and meshopt decoders
+export function configureGLTFLoader(loader) {
+  if (!dracoLoader) {
+    dracoLoader = new DRACOLoader()
+    dracoLoader.setDecoderPath(DRACO_DECODER_PATH)
+  }
+  loader.setDRACOLoader(dracoLoader)
+  loader.setMeshoptDecoder(MeshoptDecoder)
+  return loader
+}
+
+// Color of meshes that come without materials (STL)
+const MESH_COLOR = '#a1a1aa'
+
+// Turn a loaded asset into a scene graph
+// `asset` is a GLTF result (glb), a BufferGeometry (stl) or a Group (obj)
+export function createModelScene(asset, format) {
+  if (format === 'stl') {
+    const material = new THREE.MeshStandardMaterial({
+      color: MESH_COLOR,
+      roughness: 0.6,
+      metalness: 0.1,
+      vertexColors: Boolean(asset.hasColors)
+    })
+    const group = new THREE.Group()
+    group.add(new THREE.Mesh(asset, material))
+    return group
+  }
+  
+  if (format === 'obj') {
+    // OBJ files may leave out normals, which renders them black
+    asset.traverse((child) => {
+      if (child.isMesh && !child.geometry.getAttribute('normal')) {
+        child.geometry.computeVertexNormals()
+      }
+    })
+    return asset
+  }
+  
+  return asset.scene
+}
+
+// Suspends while the model loads; returns the (shared) scene - clone it before changing it
+// Unknown models fall back to `fallbackPath` (a GLB)
+export function useModelScene(modelConfig, fallbackPath) {
+  const path = modelConfig?.path || fallbackPath
+  const format = modelConfig?.path && MODEL_LOADERS[modelConfig.format] ? modelConfig.format : 'glb'
+  
+  const asset = useLoader(MODEL_LOADERS[format], path, format === 'glb' ? configureGLTFLoader : undefined)
+  
+  return useMemo(() => createModelScene(asset, format), [asset, format])
+}
+
+// Start loading a built-in GLB before it's shown
+export function preloadModelScene(path) {
+  useLoader.preload(GLTFLoader, path, configureGLTFLoader)
+}
+
+// Load a model weight's file outside React (e.g. for exports); resolves to a new scene
+export async function loadModelScene(modelConfig, fallbackPath) {
+  const path = modelConfig?.path || fallbackPath
+  const format = modelConfig?.path && MODEL_LOADERS[modelConfig.format] ? modelConfig.format : 'glb'
+  
+  const loader = new MODEL_LOADERS[format]()
+  if (format === 'glb') configureGLTFLoader(loader)
+  return createModelScene(await loader.loadAsync(path), format)
+}
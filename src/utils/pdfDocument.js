@@ -0,0 +1,141 @@
+/**
+ * Minimal PDF writer for vector drawings at true scale
+ *
+ * Enough of PDF for printable templates: lines, polygons, circles, rectangles,
+ * clipping and text in the standard Helvetica fonts (not embedded, so text is
+ * limited to plain ASCII). Coordinates are in millimeters from the top left of
+ * the page, like SVG; they are converted to PDF points with y up.
+ */
+
+const POINTS_PER_MM = 72 / 25.4
+
+// Circles are drawn as four cubic Béziers
+const CIRCLE_KAPPA = 0.5522847498
+
+function formatNumber(value) {
+  return Number(value.toFixed(3)).toString()
+}
+
+function hexToRGB(hex) {
+  const value = parseInt(hex.slice(1), 16)
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(channel => formatNumber(channel / 255))
+}
+
+// Escape text for a PDF string, replacing characters Helvetica can't show
+function escapeText(text) {
+  return text
+    .replace(/[^\x20-\x7e]/g, '?')
+    .replace(/[\\()]/g, match => `\\${match}`)
+}
+
+// A page to draw on; `widthMm` and `heightMm` are the paper size
+export function createPdfPage(widthMm, heightMm) {
+  const operations = []
+  const x = (mm) => formatNumber(mm * POINTS_PER_MM)
+  const y = (mm) => formatNumber((heightMm - mm) * POINTS_PER_MM)
+  const paint = ({ fill, stroke = !fill }) => {
+    if (fill && stroke) return 'B'
+    return fill ? 'f' : 'S'
+  }
+  
+  const page = {
+    width: widthMm * POINTS_PER_MM,
+    height: heightMm * POINTS_PER_MM,
+    operations,
+    
+    // Line width in mm, stroke color (#rrggbb) and dash pattern in mm ([] for solid)
+    setStroke({ width = 0.2, color = '#000000', dash = [] } = {}) {
+      operations.push(`${formatNumber(width * POINTS_PER_MM)} w`)
+      operations.push(`${hexToRGB(color).join(' ')} RG`)
+      operations.push(`[${dash.map(x).join(' ')}] 0 d`)
+    },
+    
+    setFill(color) {
+      operations.push(`${hexToRGB(color).join(' ')} rg`)
+    },
+    
+    polyline(points, { closed = false, fill = false } = {}) {
+      if (points.length < 2) return
+      operations.push(`${x(points[0].x)} ${y(points[0].y)} m`)
+      for (let i = 1; i < points.length; i++) {
+        operations.push(`${x(points[i].x)} ${y(points[i].y)} l`)
+      }
+      if (closed) operations.push('h')
+      operations.push(paint({ fill }))
+    },
+    
+    circle(cx, cy, r, { fill = false } = {}) {
+      const k = r * CIRCLE_KAPPA
+      operations.push(`${x(cx + r)} ${y(cy)} m`)
+      operations.push(`${x(cx + r)} ${y(cy + k)} ${x(cx + k)} ${y(cy + r)} ${x(cx)} ${y(cy + r)} c`)
+      operations.push(`${x(cx - k)} ${y(cy + r)} ${x(cx - r)} ${y(cy + k)} ${x(cx - r)} ${y(cy)} c`)
+      operations.push(`${x(cx - r)} ${y(cy - k)} ${x(cx - k)} ${y(cy - r)} ${x(cx)} ${y(cy - r)} c`)
+      operations.push(`${x(cx + k)} ${y(cy - r)} ${x(cx + r)} ${y(cy - k)} ${x(cx + r)} ${y(cy)} c`)
+      operations.push('h')
+      operations.push(paint({ fill }))
+    },
+    
+    rect(rx, ry, width, height, { fill = false, stroke = !fill } = {}) {
+      operations.push(`${x(rx)} ${y(ry + height)} ${x(width)} ${x(height)} re`)
+      operations.push(paint({ fill, stroke }))
+    },
+    
+    // Text with its baseline at `ty`; `size` is the font size in mm
+    text(tx, ty, text, { size = 3, bold = false, color = '#000000' } = {}) {
+      operations.push(`${hexToRGB(color).join(' ')} rg`)
+      operations.push(`BT /${bold ? 'F2' : 'F1'} ${x(size)} Tf ${x(tx)} ${y(ty)} Td (${escapeText(text)}) Tj ET`)
+    },
+    
+    // Clip everything drawn in `draw` to a rectangle
+    clip(rx, ry, width, height, draw) {
+      operations.push('q')
+      operations.push(`${x(rx)} ${y(ry + height)} ${x(width)} ${x(height)} re W n`)
+      draw()
+      operations.push('Q')
+    }
+  }
+  
+  page.setStroke()
+  return page
+}
+
+// Assemble pages into a PDF file; returns its bytes
+export function buildPdf(pages) {
+  const objects = []
+  const addObject = (body) => {
+    objects.push(body)
+    return objects.length
+  }
+  
+  const catalogId = addObject(null)
+  const pagesId = addObject(null)
+  const fontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>')
+  const boldFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>')
+  
+  const pageIds = pages.map(page => {
+    const content = page.operations.join('\n')
+    const contentId = addObject(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`)
+    return addObject(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${formatNumber(page.width)} ${formatNumber(page.height)}] ` +
+      `/Resources << /Font << /F1 ${fontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`
+    )
+  })
+  
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`
+  
+  // Everything is ASCII, so string offsets are byte offsets
+  let pdf = '%PDF-1.4\n'
+  const offsets = objects.map((body, index) => {
+    const offset = pdf.length
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`
+    return offset
+  })
+  
+  const xrefOffset = pdf.length
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`
+  
+  return new TextEncoder().encode(pdf)
+}
@@ -0,0 +1,138 @@
+/**
+ * Local project storage in IndexedDB
+ *
+ * Each project record holds the mobile in the same format as a file export
+ * (`exportMobileToJSON`), so stored projects can be loaded with `importMobileFromJSON`:
+ *   { id, name, createdAt, updatedAt, thumbnail, data }
+ * Timestamps are milliseconds since the epoch; `thumbnail` is a PNG data URL.
+ *
+ * Uploaded weight models are kept in a second store, so the model picker can offer them
+ * in every project: { id, name, data (GLB ArrayBuffer), thumbnail, baseScale, analysis, createdAt }
+ */
+
+const DB_NAME = 'calder-projects'
+const DB_VERSION = 2
+const STORE_NAME = 'projects'
+const MODELS_STORE_NAME = 'models'
+
+// Remembers which project was open, so a reload reopens it
+const CURRENT_PROJECT_KEY = 'calder-current-project'
+
+let databasePromise = null
+
+// Open (and on first use, create) the projects database
+function openDatabase() {
+  if (databasePromise) return databasePromise
+  
+  databasePromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('Local storage is not available in this browser'))
+      return
+    }
+    
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+    
+    request.onupgradeneeded = () => {
+      const db = request.result
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' })
+        store.createIndex('updatedAt', 'updatedAt')
+      }
+      if (!db.objectStoreNames.contains(MODELS_STORE_NAME)) {
+        db.createObjectStore(MODELS_STORE_NAME, { keyPath: 'id' })
+      }
+    }
+    
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error || new Error('Could not open project storage'))
+  })
+  
+  // Allow a retry after a failed open (e.g. storage blocked, then unblocked)
+  databasePromise.catch(() => {
+    databasePromise = null
+  })
+  
+  return databasePromise
+}
+
+// Run a single request against an object store and resolve with its result
+async function runRequest(mode, createRequest, storeName = STORE_NAME) {
+  const db = await openDatabase()
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode)
+    const request = createRequest(transaction.objectStore(storeName))
+    let result
+    
+    request.onsuccess = () => {
+      result = request.result
+    }
+    transaction.oncomplete = () => resolve(result)
+    transaction.onerror = () => reject(transaction.error || request.error)
+    transaction.onabort = () => reject(transaction.error || new Error('Project storage transaction aborted'))
+  })
+}
+
+// Generate an ID for a new project
+export function generateProjectId() {
+  return `project_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`
+}
+
+// All stored projects, most recently modified first
+export async function listProjects() {
+  const projects = await runRequest('readonly', (store) => store.getAll())
+  return (projects || []).sort((a, b) => b.updatedAt - a.updatedAt)
+}
+
+// Get a single project by ID (undefined if it doesn't exist)
+export function getProject(id) {
+  return runRequest('readonly', (store) => store.get(id))
+}
+
+// Insert or replace a project record
+export async function saveProject(project) {
+  await runRequest('readwrite', (store) => store.put(project))
+  return project
+}
+
+// Delete a project by ID
+export function deleteProject(id) {
+  return runRequest('readwrite', (store) => store.delete(id))
+}
+
+// All uploaded models, oldest first (the order they appear in the model picker)
+export async function listStoredModels() {
+  const models = await runRequest('readonly', (store) => store.getAll(), MODELS_STORE_NAME)
+  return (models || []).sort((a, b) => a.createdAt - b.createdAt)
+}
+
+// Insert or replace an uploaded model
+export async function saveStoredModel(model) {
+  await runRequest('readwrite', (store) => store.put(model), MODELS_STORE_NAME)
+  return model
+}
+
+export function deleteStoredModel(id) {
+  return runRequest('readwrite', (store) => store.delete(id), MODELS_STORE_NAME)
+}
+
+// ID of the project that was open last (null if none)
+export function getCurrentProjectId() {
+  try {
+    return localStorage.getItem(CURRENT_PROJECT_KEY)
+  } catch {
+    return null
+  }
+}
+
+export function setCurrentProjectId(id) {
+  try {
+    if (id) {
+      localStorage.setItem(CURRENT_PROJECT_KEY, id)
+    } else {
+      localStorage.removeItem(CURRENT_PROJECT_KEY)
+    }
+  } catch {
+    // Storage unavailable - the project just won't reopen automatically
+  }
+}
@@ -0,0 +1,212 @@
+import * as THREE from 'three'
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js'
+import { calculateTiltAngle } from '../physics/balanceSolver'
+import { collectArms, collectWeights, getChildren, getAttachPoint, isRigidMount } from '../models/mobileTree'
+import { getArmLocalPath } from '../models/armGeometry'
+import { hasAttachmentPoint, getHangRotation } from '../models/weightAttachment'
+import { getArmMaterialSpec, getWireSpec } from '../config/materials'
+import { getModelById, isModelShape } from '../config/models'
+import { createArmTubeGeometry } from '../components/Arm'
+import { createWeightGeometry, getWeightTopY, getPrimitiveHang } from '../components/Weight'
+import { DEFAULT_WIRE_LENGTH } from '../components/Mobile'
+import { loadModelScene } from './modelLoaders'
+import { analyzeGLTFScene, computeAttachmentOffset } from './glbAnalyzer'
+
+/**
+ * Export the mobile as a glTF scene (GLB)
+ *
+ * The scene is rebuilt from the model rather than captured from the canvas, so it
+ * has no selection rings or handles and doesn't depend on the current view. It shows
+ * the analytical equilibrium, in the flat layout (no yaw) or with the given arm yaw
+ * angles (the 3D layout).
+ *
+ * Nodes nest like the mobile and are named after the build specs numbering
+ * ("Arm #1", "Weight #3"), each arm at its pivot and each weight at the end of its wire.
+ * The file is in meters (one scene unit is 10cm).
+ */
+
+// Same sizes as the rendered rods and wires
+const ROD_RADIUS = 0.06
+const WIRE_RADIUS = 0.02
+
+// Meters per scene unit
+const SCENE_UNIT_METERS = 0.1
+
+// Start of the mobile: the suspension point, as in the 3D view
+const SUSPENSION_Y = 5
+
+function createAppearanceMaterial(name, appearance) {
+  return new THREE.MeshStandardMaterial({ name, ...appearance, color: new THREE.Color(appearance.color) })
+}
+
+// Wire from `bottom` up to `top` (local y), in the connection's wire material
+function createWireMesh(name, node, bottom, top, materials) {
+  const { material } = getWireSpec(node)
+  if (!materials.has(material.id)) {
+    materials.set(material.id, createAppearanceMaterial(`${material.name} wire`, material.appearance))
+  }
+  const wire = new THREE.Mesh(
+    new THREE.CylinderGeometry(WIRE_RADIUS, WIRE_RADIUS, top - bottom, 8),
+    materials.get(material.id)
+  )
+  wire.name = name
+  wire.position.y = (bottom + top) / 2
+  return wire
+}
+
+// Model weight: the model turned and offset so it hangs as GLBWeight draws it
+async function createModelObject(node, name, modelScenes) {
+  const modelConfig = getModelById(node.modelId)
+  if (!modelScenes.has(node.modelId)) {
+    modelScenes.set(node.modelId, loadModelScene(modelConfig, '/assets/earth.glb'))
+  }
+  const scene = (await modelScenes.get(node.modelId)).clone(true)
+  scene.updateMatrixWorld(true)
+  const analysis = analyzeGLTFScene(scene)
+  
+  const baseScale = modelConfig?.baseScale ?? 1
+  const userScale = node.modelScale ?? modelConfig?.defaultScale ?? 0.3
+  const hasChosenPoint = hasAttachmentPoint(node)
+  const hangPoint = isRigidMount(node)
+    ? analysis.centerOfGravity
+    : (hasChosenPoint ? node.attachmentPoint : analysis.attachmentPoint)
+  
+  const model = new THREE.Group()
+  model.name = name
+  model.scale.setScalar(baseScale * userScale)
+  if (hasChosenPoint) {
+    const { x, y, z, w } = getHangRotation(node.attachmentPoint, analysis.centerOfGravity)
+    model.quaternion.set(x, y, z, w)
+  }
+  scene.position.copy(computeAttachmentOffset(hangPoint))
+  model.add(scene)
+  return model
+}
+
+// Primitive weight: the shape in the weight's color, as Weight.jsx draws it
+function createPrimitiveObject(node, name) {
+  const color = new THREE.Color(node.color)
+  const mesh = new THREE.Mesh(
+    createWeightGeometry(node),
+    new THREE.MeshStandardMaterial({ name: `${name} material`, color, metalness: 0.2, roughness: 0.6 })
+  )
+  mesh.name = name
+  
+  const hang = getPrimitiveHang(node)
+  if (!hang) return mesh
+  
+  const group = new THREE.Group()
+  group.name = `${name} hang`
+  group.quaternion.copy(hang.rotation)
+  mesh.position.set(-hang.point.x, -hang.point.y, -hang.point.z)
+  group.add(mesh)
+  return group
+}
+
+// Build a weight's node at `position` (the end of its wire)
+async function createWeightNode(node, position, mountRotation, context) {
+  const name = `Weight #${context.weightNumbers.get(node.id)}`
+  const group = new THREE.Group()
+  group.name = name
+  group.position.copy(position)
+  if (mountRotation) group.rotation.copy(mountRotation)
+  
+  const isModel = isModelShape(node.shape)
+  if (!isRigidMount(node)) {
+    // Models hang from their attachment point at the origin; primitives from their top
+    const top = isModel ? 0 : getWeightTopY(node)
+    const wireLength = node.wireLength ?? DEFAULT_WIRE_LENGTH
+    if (wireLength > top) {
+      group.add(createWireMesh(`${name} wire`, node, top, wireLength, context.wireMaterials))
+    }
+  }
+  
+  group.add(isModel
+    ? await createModelObject(node, `${name} model`, context.modelScenes)
+    : createPrimitiveObject(node, `${name} shape`))
+  return group
+}
+
+// Build an arm's node, hanging from `position` (the top of its wire), and its subtree
+// Mirrors the layout of MobileNode in Mobile.jsx
+async function createArmNode(node, position, context) {
+  const name = `Arm #${context.armNumbers.get(node.id)}`
+  const tiltAngle = calculateTiltAngle(node)
+  const yawAngle = context.armYawAngles[node.id] || 0
+  const wireLength = node.wireLength ?? DEFAULT_WIRE_LENGTH
+  
+  // The arm turns with its stiff wire about the top of the wire
+  const group = new THREE.Group()
+  group.name = name
+  group.rotation.set(0, yawAngle, tiltAngle)
+  group.position.copy(position).add(new THREE.Vector3(0, -wireLength, 0).applyEuler(group.rotation))
+  group.updateMatrixWorld(true)
+  
+  const { material, diameter } = getArmMaterialSpec(node)
+  const rod = new THREE.Mesh(
+    createArmTubeGeometry(getArmLocalPath(node), ROD_RADIUS),
+    createAppearanceMaterial(`${material.name}, ${diameter}mm`, material.appearance)
+  )
+  rod.name = `${name} rod`
+  group.add(rod)
+  group.add(createWireMesh(`${name} wire`, node, 0, wireLength, context.wireMaterials))
+  
+  for (const child of getChildren(node)) {
+    const point = getAttachPoint(node, child)
+    const attach = group.localToWorld(new THREE.Vector3(point.x, point.y, 0))
+    
+    let childObject
+    if (child.type === 'arm') {
+      childObject = await createArmNode(child, attach, context)
+    } else if (isRigidMount(child)) {
+      childObject = await createWeightNode(child, attach, new THREE.Euler(0, yawAngle, tiltAngle), context)
+    } else {
+      attach.y -= child.wireLength ?? DEFAULT_WIRE_LENGTH
+      childObject = await createWeightNode(child, attach, null, context)
+    }
+    
+    // Children are laid out in world coordinates; keep them there under the arm
+    group.attach(childObject)
+  }
+  
+  return group
+}
+
+// Build the mobile as a three.js scene in meters
+// `armYawAngles` maps arm IDs to yaw angles (the 3D layout); leave it empty for the flat layout
+export async function buildMobileScene(mobile, { armYawAngles = {} } = {}) {
+  const context = {
+    armYawAngles,
+    armNumbers: new Map(collectArms(mobile).map((arm, index) => [arm.id, index + 1])),
+    weightNumbers: new Map(collectWeights(mobile).map((weight, index) => [weight.id, index + 1])),
+    wireMaterials: new Map(),
+    modelScenes: new Map()
+  }
+  
+  const root = new THREE.Group()
+  root.name = 'Mobile'
+  root.updateMatrixWorld(true)
+  
+  if (mobile.type === 'arm') {
+    root.attach(await createArmNode(mobile, new THREE.Vector3(0, SUSPENSION_Y, 0), context))
+  } else {
+    // A lone weight hangs its wire length below the suspension point
+    const wireLength = mobile.wireLength ?? DEFAULT_WIRE_LENGTH
+    root.attach(await createWeightNode(mobile, new THREE.Vector3(0, SUSPENSION_Y - wireLength, 0), null, context))
+  }
+  
+  // Hang the mobile from the origin, in meters
+  root.position.y = -SUSPENSION_Y * SCENE_UNIT_METERS
+  root.scale.setScalar(SCENE_UNIT_METERS)
+  
+  const scene = new THREE.Scene()
+  scene.name = 'Calder Mobile'
+  scene.add(root)
+  return scene
+}
+
+// Export the mobile as a binary glTF (GLB) file; resolves to an ArrayBuffer
+export async function exportMobileToGLB(mobile, options) {
+  const scene = await buildMobileScene(mobile, options)
+  return new GLTFExporter().parseAsync(scene, { binary: true })
+}
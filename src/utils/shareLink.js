@@ -0,0 +1,151 @@
+/**
+ * Shareable links - a whole design packed into the URL hash
+ *
+ * The hash is `#design=<format><data>`:
+ * - format 'z': base64url of deflate-compressed JSON (CompressionStream)
+ * - format 'j': base64url of plain JSON, for browsers without CompressionStream
+ * The JSON is { version, tree, view? }: the ID-less tree from `stripIdsForExport`,
+ * so `tree` loads through `importMobileJSON` like an exported file.
+ * `view` is optional: { units, viewMode, yaw } where `yaw` lists arm yaw angles
+ * in `collectArms` order (arm IDs are regenerated on import).
+ */
+
+import { stripIdsForExport, collectArms, collectWeights } from '../models/mobileTree'
+import { isCustomModel } from '../config/models'
+import { MOBILE_FORMAT_VERSION } from '../models/mobileSchema'
+
+const HASH_PREFIX = 'design='
+
+// Longest link we hand out - some chat apps and browsers truncate beyond this
+export const MAX_SHARE_URL_LENGTH = 8000
+
+// Longest hash we try to decode (links are never this long unless tampered with)
+const MAX_HASH_LENGTH = 200000
+
+// Decimals kept in shared numbers (1e-4 length units is 0.01mm)
+const SHARE_PRECISION = 4
+
+const CORRUPTED_MESSAGE = 'This design link is corrupted or incomplete. Check that the whole link was copied.'
+
+// Check if a URL hash (without '#') holds a shared design
+export function isShareHash(hash) {
+  return typeof hash === 'string' && hash.startsWith(HASH_PREFIX)
+}
+
+// Round every number in a JSON value, so links aren't padded with float noise
+function roundNumbers(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? Number(value.toFixed(SHARE_PRECISION)) : value
+  }
+  if (Array.isArray(value)) return value.map(roundNumbers)
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, roundNumbers(v)]))
+  }
+  return value
+}
+
+function bytesToBase64Url(bytes) {
+  let binary = ''
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i])
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+function base64UrlToBytes(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/')
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4))
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i)
+  }
+  return bytes
+}
+
+// Run bytes through a CompressionStream or DecompressionStream
+async function transformBytes(bytes, stream) {
+  const output = new Blob([bytes]).stream().pipeThrough(stream)
+  return new Uint8Array(await new Response(output).arrayBuffer())
+}
+
+// View state to include in a link: units, view mode and the 3D yaw angle of each arm
+export function createShareView(mobile, { units, viewMode, armYawAngles }) {
+  return {
+    units,
+    viewMode,
+    yaw: viewMode === '3d' ? collectArms(mobile).map(arm => armYawAngles[arm.id] ?? 0) : []
+  }
+}
+
+// Encode a design as a URL hash (without '#'); pass `view` to include view state
+export async function encodeShareHash(mobile, view = null) {
+  const payload = roundNumbers({
+    version: MOBILE_FORMAT_VERSION,
+    tree: stripIdsForExport(mobile),
+    ...(view ? { view } : {})
+  })
+  const bytes = new TextEncoder().encode(JSON.stringify(payload))
+  
+  if (typeof CompressionStream !== 'undefined') {
+    const compressed = await transformBytes(bytes, new CompressionStream('deflate-raw'))
+    return `${HASH_PREFIX}z${bytesToBase64Url(compressed)}`
+  }
+  return `${HASH_PREFIX}j${bytesToBase64Url(bytes)}`
+}
+
+// Build the full shareable URL for a design
+// Throws if the design is too big to fit in a link or uses uploaded models
+export async function createShareUrl(mobile, view = null) {
+  // Uploaded models are far too big for a link
+  if (collectWeights(mobile).some(weight => weight.shape === 'model' && isCustomModel(weight.modelId))) {
+    throw new Error('This design uses uploaded models, which can\'t be shared as a link. Use Export to share it as a file instead.')
+  }
+  
+  const { origin, pathname, search } = window.location
+  const url = `${origin}${pathname}${search}#${await encodeShareHash(mobile, view)}`
+  
+  if (url.length > MAX_SHARE_URL_LENGTH) {
+    throw new Error('This design is too large to share as a link. Use Export to share it as a file instead.')
+  }
+  return url
+}
+
+// Decode a URL hash (without '#') into { json, view }
+// `json` is in export format (ready for importMobileJSON); `view` is null if not included
+// Throws for corrupted, truncated or oversized links
+export async function decodeShareHash(hash) {
+  if (!isShareHash(hash)) {
+    throw new Error('This link does not contain a design.')
+  }
+  if (hash.length > MAX_HASH_LENGTH) {
+    throw new Error('This link is too long to be a valid design link.')
+  }
+  
+  const format = hash.charAt(HASH_PREFIX.length)
+  const data = hash.slice(HASH_PREFIX.length + 1)
+  
+  if (format !== 'z' && format !== 'j') {
+    throw new Error('This design link uses an unknown format.')
+  }
+  if (format === 'z' && typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot open compressed design links. Try a newer browser.')
+  }
+  
+  let payload
+  try {
+    let bytes = base64UrlToBytes(data)
+    if (format === 'z') {
+      bytes = await transformBytes(bytes, new DecompressionStream('deflate-raw'))
+    }
+    payload = JSON.parse(new TextDecoder().decode(bytes))
+  } catch {
+    throw new Error(CORRUPTED_MESSAGE)
+  }
+  
+  if (!payload || typeof payload !== 'object' || !payload.tree) {
+    throw new Error(CORRUPTED_MESSAGE)
+  }
+  
+  const { view, ...json } = payload
+  return { json, view: view && typeof view === 'object' ? view : null }
+}
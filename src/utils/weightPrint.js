@@ -0,0 +1,224 @@
+import * as THREE from 'three'
+import { STLExporter } from 'three/examples/jsm/exporters/STLExporter.js'
+import { isRigidMount } from '../models/mobileTree'
+import { hasAttachmentPoint, getPrimitiveAttachmentPoint } from '../models/weightAttachment'
+import { isModelShape } from '../config/models'
+import { getWireSpec, getPrintFilamentById } from '../config/materials'
+import { SCALE } from '../config/units'
+import { createWeightGeometry, createOrganicShape, getOrganicExtrudeSettings } from '../components/Weight'
+import { analyzeGLTFScene } from './glbAnalyzer'
+
+/**
+ * STL files of weights for 3D printing
+ *
+ * Weights are exported at their real size in millimeters, lying on the print bed
+ * (z = 0). Flat weights (disks and organic blobs) are extruded from their outline
+ * exactly as Weight.jsx draws them and can get a hanging hole through the plate
+ * where the wire attaches; other shapes are printed standing up, as they hang.
+ * Model weights are not exported - they come from a mesh file already.
+ */
+
+// Millimeters per scene unit
+const MM_PER_UNIT = SCALE.LENGTH_TO_CM * 10
+
+// Shapes cut from a flat plate, which can be drilled for the wire
+const FLAT_SHAPES = ['disk', 'organic']
+
+// Curve divisions when tracing outlines (the hole is placed on the traced outline)
+const OUTLINE_DIVISIONS = 32
+
+// Hole is the wire's diameter plus printing clearance, and never smaller than a
+// nozzle can reliably print
+const HOLE_CLEARANCE_MM = 0.6
+const MIN_HOLE_DIAMETER_MM = 1.5
+
+// Material left between the hole and the edge of the plate
+const HOLE_WALL_MM = 2
+
+// Batch exports are laid out in rows on a typical print bed
+const PLATE_WIDTH_MM = 200
+const PLATE_GAP_MM = 5
+
+export function isPrintableWeight(node) {
+  return node.type === 'weight' && !isModelShape(node.shape)
+}
+
+// Disks and organic blobs, which are cut from sheet or printed lying flat
+export function isFlatWeight(node) {
+  return node.type === 'weight' && FLAT_SHAPES.includes(node.shape)
+}
+
+// Only hanging flat weights are drilled (rigid mounts have no wire)
+export function canHaveHangingHole(node) {
+  return isFlatWeight(node) && !isRigidMount(node)
+}
+
+// Diameter in mm of the hanging hole for a weight's wire
+export function getHangingHoleDiameter(node) {
+  const { gauge } = getWireSpec(node)
+  return Math.max(MIN_HOLE_DIAMETER_MM, gauge.diameter + HOLE_CLEARANCE_MM)
+}
+
+// Outline of a flat weight in its plane (scene units, center of gravity at the origin)
+// and the point its wire attaches to
+function getFlatOutline(node) {
+  const chosenPoint = hasAttachmentPoint(node) ? getPrimitiveAttachmentPoint(node) : null
+  
+  if (node.shape === 'disk') {
+    const shape = new THREE.Shape().absarc(0, 0, node.size, 0, Math.PI * 2, false)
+    // Disks hang from their top edge and stand in the mesh's YZ plane
+    const attach = chosenPoint ? { x: chosenPoint.z, y: chosenPoint.y + node.size } : { x: 0, y: node.size }
+    return { shape, attach }
+  }
+  
+  // Organic blobs hang from their top control point
+  const { shape, top } = createOrganicShape(node.blobPoints, node.size)
+  const attach = chosenPoint ? { x: chosenPoint.x, y: chosenPoint.y + top } : { x: 0, y: top }
+  return { shape, attach }
+}
+
+function isInsidePolygon(points, point) {
+  let inside = false
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i]
+    const b = points[j]
+    if ((a.y > point.y) !== (b.y > point.y) &&
+        point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+      inside = !inside
+    }
+  }
+  return inside
+}
+
+function distanceToPolygon(points, point) {
+  let distance = Infinity
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[j]
+    const b = points[i]
+    const dx = b.x - a.x
+    const dy = b.y - a.y
+    const lengthSq = dx * dx + dy * dy
+    const t = lengthSq > 0
+      ? Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSq))
+      : 0
+    distance = Math.min(distance, Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy)))
+  }
+  return distance
+}
+
+// Center of the hanging hole: the attachment point, moved towards the center of
+// gravity until the hole has a full wall of material around it
+// Returns null if the plate is too small to hold the hole
+function placeHangingHole(outline, attach, radius) {
+  const clearance = radius + HOLE_WALL_MM / MM_PER_UNIT
+  const length = Math.hypot(attach.x, attach.y)
+  const step = 0.1 / MM_PER_UNIT
+  
+  for (let t = 0; t <= length; t += step) {
+    const scale = length > 0 ? 1 - t / length : 0
+    const center = { x: attach.x * scale, y: attach.y * scale }
+    if (isInsidePolygon(outline, center) && distanceToPolygon(outline, center) >= clearance) {
+      return center
+    }
+  }
+  return null
+}
+
+// Outline and hanging hole of a flat weight in millimeters, in the plane of the plate
+// as it hangs (y up, center of gravity at the origin):
+// { outline: [{ x, y }], hole: { x, y, diameter } | null }
+export function getFlatWeightCutout(node) {
+  const { shape, attach } = getFlatOutline(node)
+  const outline = shape.getPoints(OUTLINE_DIVISIONS)
+  // Traced outlines end where they start
+  if (outline.length > 1 && outline[0].distanceTo(outline[outline.length - 1]) < 1e-9) outline.pop()
+  
+  let hole = null
+  if (canHaveHangingHole(node)) {
+    const diameter = getHangingHoleDiameter(node)
+    const center = placeHangingHole(outline, attach, diameter / 2 / MM_PER_UNIT)
+    if (center) hole = { x: center.x * MM_PER_UNIT, y: center.y * MM_PER_UNIT, diameter }
+  }
+  
+  return {
+    outline: outline.map(point => ({ x: point.x * MM_PER_UNIT, y: point.y * MM_PER_UNIT })),
+    hole
+  }
+}
+
+// Print geometry of a weight, in millimeters, centered on the bed and resting on z = 0
+// Returns { geometry, hangingHole } - `hangingHole` is false if one was asked for
+// but doesn't fit
+export function createPrintGeometry(node, { hangingHole = false } = {}) {
+  let geometry
+  let drilled = false
+  
+  if (isFlatWeight(node)) {
+    const thickness = node.thickness ?? 0.05
+    const { shape, attach } = getFlatOutline(node)
+    
+    if (hangingHole && canHaveHangingHole(node)) {
+      const radius = getHangingHoleDiameter(node) / 2 / MM_PER_UNIT
+      const center = placeHangingHole(shape.getPoints(OUTLINE_DIVISIONS), attach, radius)
+      if (center) {
+        shape.holes.push(new THREE.Path().absarc(center.x, center.y, radius, 0, Math.PI * 2, true))
+        drilled = true
+      }
+    }
+    
+    geometry = new THREE.ExtrudeGeometry(
+      shape,
+      node.shape === 'organic'
+        ? getOrganicExtrudeSettings(thickness)
+        : { depth: thickness, bevelEnabled: false, curveSegments: 48 }
+    )
+  } else {
+    // Solid shapes stand as they hang: the scene's Y up becomes the printer's Z up
+    geometry = createWeightGeometry(node)
+    geometry.rotateX(Math.PI / 2)
+  }
+  
+  geometry.scale(MM_PER_UNIT, MM_PER_UNIT, MM_PER_UNIT)
+  geometry.computeBoundingBox()
+  const { min, max } = geometry.boundingBox
+  geometry.translate(-(min.x + max.x) / 2, -(min.y + max.y) / 2, -min.z)
+  geometry.computeBoundingBox()
+  
+  return { geometry, hangingHole: drilled }
+}
+
+// Mass in grams of a solid print of `geometry` (in mm) in the given filament
+export function calculatePrintedMass(geometry, filamentId) {
+  const { volume } = analyzeGLTFScene(new THREE.Mesh(geometry))
+  return volume / 1000 * getPrintFilamentById(filamentId).density
+}
+
+// Export printable weights as one binary STL; returns an ArrayBuffer
+// Several weights are laid out side by side, in rows across the print bed
+export function exportWeightsToSTL(weights, options) {
+  const scene = new THREE.Scene()
+  let x = 0
+  let y = 0
+  let rowDepth = 0
+  
+  for (const node of weights.filter(isPrintableWeight)) {
+    const { geometry } = createPrintGeometry(node, options)
+    const size = geometry.boundingBox.getSize(new THREE.Vector3())
+    
+    if (x > 0 && x + size.x > PLATE_WIDTH_MM) {
+      x = 0
+      y += rowDepth + PLATE_GAP_MM
+      rowDepth = 0
+    }
+    
+    const mesh = new THREE.Mesh(geometry)
+    mesh.position.set(x + size.x / 2, y + size.y / 2, 0)
+    scene.add(mesh)
+    
+    x += size.x + PLATE_GAP_MM
+    rowDepth = Math.max(rowDepth, size.y)
+  }
+  
+  scene.updateMatrixWorld(true)
+  return new STLExporter().parse(scene, { binary: true }).buffer
+}